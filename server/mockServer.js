@@ -0,0 +1,40 @@
+/**
+ * Mock Game Server
+ * Serves the game protocol (src/net/protocol.js) over WebSocket so the game
+ * can be developed and tested fully offline.
+ *
+ * Usage: npm run mock-server  (then open the game with ?server=ws://localhost:8787)
+ * Env:   PORT, BALANCE, CURRENCY, LATENCY
+ */
+import { WebSocketServer } from "ws";
+import { createMockBackend } from "../src/net/mockBackend.js";
+
+const port = Number(process.env.PORT) || 8787;
+
+const backend = createMockBackend({
+  balance: Number(process.env.BALANCE) || 1000,
+  currency: process.env.CURRENCY || "USD",
+  latency: Number(process.env.LATENCY) || 300
+});
+
+const server = new WebSocketServer({ port });
+
+server.on("connection", socket => {
+  console.log("Client connected");
+
+  const connection = backend.connect(data => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(data);
+    }
+  });
+
+  socket.on("message", data => {
+    connection.receive(data.toString());
+  });
+
+  socket.on("close", () => {
+    console.log("Client disconnected");
+  });
+});
+
+console.log(`Mock game server listening on ws://localhost:${port}`);
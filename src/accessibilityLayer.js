@@ -0,0 +1,142 @@
+import { el } from "./utils/dom.js";
+import { bindText } from "./i18n/index.js";
+
+/**
+ * Create the accessibility layer: DOM stand-ins for the canvas controls
+ * The canvas is invisible to assistive tech, so the cups and betting
+ * controls are mirrored by real buttons (visually hidden until focused) and
+ * game events are read out through an ARIA live region.
+ * @param {number} cupCount - Number of cups
+ * @param {Object} callbacks - { onPickCup, onFocusCup, onStart, onDecreaseBet, onIncreaseBet, onPlaceBet }
+ * @returns {Object} Layer API { announce, setBetSummary, setCupsEnabled, setStartEnabled, setBettingEnabled, focusCup, element }
+ */
+export function createAccessibilityLayer(cupCount, callbacks) {
+  const layer = el("div", "a11y-layer");
+
+  // Polite: announcements never interrupt what the reader is saying
+  const live = el("div", "sr-only");
+  live.setAttribute("role", "status");
+  live.setAttribute("aria-live", "polite");
+  layer.appendChild(live);
+
+  const cupGroup = el("div");
+  cupGroup.setAttribute("role", "group");
+  bindText(text => cupGroup.setAttribute("aria-label", text), "a11y.cups");
+  layer.appendChild(cupGroup);
+
+  const cupButtons = [];
+  for (let i = 0; i < cupCount; i++) {
+    const button = bindText(el("button", "a11y-control"), "a11y.cup", {
+      cup: i + 1
+    });
+    button.addEventListener("click", () => {
+      if (button.getAttribute("aria-disabled") !== "true") {
+        callbacks.onPickCup(i);
+      }
+    });
+    button.addEventListener("focus", () => callbacks.onFocusCup(i));
+    cupButtons.push(button);
+    cupGroup.appendChild(button);
+  }
+
+  const betGroup = el("div");
+  betGroup.setAttribute("role", "group");
+  bindText(text => betGroup.setAttribute("aria-label", text), "a11y.betting");
+  layer.appendChild(betGroup);
+
+  const summary = el("p", "sr-only");
+  betGroup.appendChild(summary);
+
+  const decreaseBtn = bindText(
+    el("button", "a11y-control"),
+    "a11y.decreaseBet"
+  );
+  const increaseBtn = bindText(
+    el("button", "a11y-control"),
+    "a11y.increaseBet"
+  );
+  const placeBetBtn = bindText(el("button", "a11y-control"), "a11y.placeBet");
+  decreaseBtn.addEventListener("click", () => callbacks.onDecreaseBet());
+  increaseBtn.addEventListener("click", () => callbacks.onIncreaseBet());
+  placeBetBtn.addEventListener("click", () => callbacks.onPlaceBet());
+  betGroup.appendChild(decreaseBtn);
+  betGroup.appendChild(increaseBtn);
+  betGroup.appendChild(placeBetBtn);
+
+  const startBtn = bindText(el("button", "a11y-control"), "a11y.startGame");
+  startBtn.addEventListener("click", () => callbacks.onStart());
+  layer.appendChild(startBtn);
+
+  document.body.appendChild(layer);
+
+  let pendingAnnouncement = null;
+
+  /**
+   * Read a message out (clearing first so a repeated message is read again)
+   * @param {string} text - Message
+   */
+  function announce(text) {
+    clearTimeout(pendingAnnouncement);
+    live.textContent = "";
+    pendingAnnouncement = setTimeout(() => {
+      live.textContent = text;
+    }, 50);
+  }
+
+  /**
+   * Describe the current bet and balance
+   * @param {string} text - e.g. "Bet 10.00 USD, balance 990.00 USD"
+   */
+  function setBetSummary(text) {
+    summary.textContent = text;
+  }
+
+  /**
+   * Allow or refuse cup picks (cups stay focusable either way)
+   * @param {boolean} enabled - Whether a cup can be picked
+   */
+  function setCupsEnabled(enabled) {
+    cupButtons.forEach(button => {
+      button.setAttribute("aria-disabled", String(!enabled));
+    });
+  }
+
+  /**
+   * Enable or disable the start button
+   * @param {boolean} enabled - Whether a round can be started
+   */
+  function setStartEnabled(enabled) {
+    startBtn.disabled = !enabled;
+  }
+
+  /**
+   * Enable or disable the betting buttons
+   * @param {Object} enabled - { decrease, increase, placeBet }
+   */
+  function setBettingEnabled({ decrease, increase, placeBet }) {
+    decreaseBtn.disabled = !decrease;
+    increaseBtn.disabled = !increase;
+    placeBetBtn.disabled = !placeBet;
+  }
+
+  /**
+   * Move DOM focus to a cup button, if the focus is already in the layer
+   * (keyboard play on the canvas leaves the page focus alone)
+   * @param {number} index - Cup index
+   */
+  function focusCup(index) {
+    if (layer.contains(document.activeElement)) {
+      cupButtons[index].focus();
+    }
+  }
+
+  return {
+    announce,
+    setBetSummary,
+    setCupsEnabled,
+    setStartEnabled,
+    setBettingEnabled,
+    focusCup,
+    element: layer
+  };
+}
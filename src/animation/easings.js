@@ -0,0 +1,48 @@
+/**
+ * Easing Functions
+ * Map linear progress (0 - 1) to eased progress. Referenced by name in
+ * tween options, e.g. { easing: "easeOutBack" }.
+ */
+
+export const EASINGS = {
+  linear: t => t,
+
+  easeInQuad: t => t * t,
+  easeOutQuad: t => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+
+  // Overshoots the target slightly before settling
+  easeOutBack: t => {
+    const c1 = 1.70158;
+    const c3 = c1 + 1;
+    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+  },
+
+  easeOutBounce: t => {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+  }
+};
+
+/**
+ * Resolve an easing given by name or as a function
+ * @param {string|Function} easing - Easing name (see EASINGS) or function
+ * @returns {Function} Easing function
+ */
+export function resolveEasing(easing) {
+  if (typeof easing === "function") return easing;
+  const fn = EASINGS[easing];
+  if (!fn) throw new Error(`Unknown easing: ${easing}`);
+  return fn;
+}
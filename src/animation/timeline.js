@@ -0,0 +1,308 @@
+import { resolveEasing } from "./easings.js";
+
+/**
+ * Timeline
+ * Drives every tween from a single ticker callback. Tweens can be sequenced
+ * or grouped to run in parallel; the whole timeline can be paused, resumed,
+ * sped up or slowed down (time scale) and cancelled. While skipping, every
+ * tween jumps straight to its end values.
+ *
+ * Tweens and groups are thenable: `await timeline.to(...)` resolves with
+ * true once the tween completes, or false if it was cancelled - cancelled
+ * tweens never leave an await hanging.
+ */
+
+/**
+ * Tween
+ * Interpolates numeric properties of a target from their values when the
+ * tween starts (after its delay) to the given end values.
+ */
+export class Tween {
+  /**
+   * @param {Object} target - Object whose properties are animated
+   * @param {Object} props - End values keyed by property name
+   * @param {Object} options - Tween options
+   * @param {number} options.duration - Duration in ms
+   * @param {string|Function} options.easing - Easing name or function
+   * @param {number} options.delay - Delay before the tween starts in ms
+   */
+  constructor(
+    target,
+    props,
+    { duration = 300, easing = "easeInOutQuad", delay = 0 } = {}
+  ) {
+    this.target = target;
+    this.props = props;
+    this.duration = duration;
+    this.easing = resolveEasing(easing);
+    this.delay = delay;
+
+    this.elapsed = 0;
+    this.startValues = null;
+    this.done = false;
+
+    this.finished = new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Advance the tween
+   * @param {number} deltaMs - Scaled time since the last update in ms
+   * @returns {boolean} Whether the tween is done
+   */
+  update(deltaMs) {
+    if (this.done) return true;
+
+    this.elapsed += deltaMs;
+    const time = this.elapsed - this.delay;
+    if (time < 0) return false;
+
+    // Start values are read when the tween starts, so sequenced tweens
+    // continue from wherever the previous one left the target
+    if (!this.startValues) {
+      this.startValues = {};
+      for (const key in this.props) {
+        this.startValues[key] = this.target[key];
+      }
+    }
+
+    const progress = this.duration > 0 ? Math.min(time / this.duration, 1) : 1;
+    const eased = this.easing(progress);
+    for (const key in this.props) {
+      const start = this.startValues[key];
+      this.target[key] = start + (this.props[key] - start) * eased;
+    }
+
+    if (progress >= 1) this.end(true);
+    return this.done;
+  }
+
+  /**
+   * Jump to the end values (its promise resolves with true)
+   */
+  complete() {
+    if (this.done) return;
+    for (const key in this.props) {
+      this.target[key] = this.props[key];
+    }
+    this.end(true);
+  }
+
+  /**
+   * Stop the tween where it is (its promise resolves with false)
+   */
+  cancel() {
+    this.end(false);
+  }
+
+  /**
+   * Mark the tween done and settle its promise
+   * @param {boolean} completed - Whether the tween ran to the end
+   */
+  end(completed) {
+    if (this.done) return;
+    this.done = true;
+    this.resolve(completed);
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.finished.then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * Tween Group
+ * A sequence or parallel set of tweens (or nested groups) that settles as one
+ */
+class TweenGroup {
+  constructor() {
+    this.children = new Set();
+    this.cancelled = false;
+    this.finished = null;
+  }
+
+  /**
+   * Track a running child so cancel() reaches it
+   * @param {Tween|TweenGroup} child - Child tween or group
+   * @returns {Promise<boolean>} Child completion
+   */
+  track(child) {
+    this.children.add(child);
+    return Promise.resolve(child).then(completed => {
+      this.children.delete(child);
+      return completed;
+    });
+  }
+
+  /**
+   * Cancel every running child (and any steps not started yet)
+   */
+  cancel() {
+    this.cancelled = true;
+    this.children.forEach(child => child.cancel());
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.finished.then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * Create a group step from a tween, group or factory function
+ * @param {Tween|TweenGroup|Function} step - Step or () => step
+ * @returns {Tween|TweenGroup} Running step
+ */
+function startStep(step) {
+  return typeof step === "function" ? step() : step;
+}
+
+export class Timeline {
+  constructor() {
+    this.tweens = new Set();
+    this.groups = new Set();
+    this.timeScale = 1;
+    this.paused = false;
+    this.skipping = false;
+  }
+
+  /**
+   * Advance all tweens (call once per frame, e.g. from app.ticker)
+   * @param {number} deltaMs - Real time since the last frame in ms
+   */
+  update(deltaMs) {
+    if (this.paused) return;
+
+    const scaled = deltaMs * this.timeScale;
+    this.tweens.forEach(tween => {
+      if (tween.update(scaled)) this.tweens.delete(tween);
+    });
+  }
+
+  /**
+   * Tween a target's properties to the given values
+   * @param {Object} target - Object to animate
+   * @param {Object} props - End values keyed by property name
+   * @param {number} duration - Duration in ms
+   * @param {Object} options - { easing, delay }
+   * @returns {Tween} Running tween
+   */
+  to(target, props, duration, options = {}) {
+    const tween = new Tween(target, props, { ...options, duration });
+    if (this.skipping) {
+      tween.complete();
+      return tween;
+    }
+    this.tweens.add(tween);
+    tween.then(() => this.tweens.delete(tween));
+    return tween;
+  }
+
+  /**
+   * Wait on the timeline (paused and scaled like any tween)
+   * @param {number} duration - Wait in ms
+   * @returns {Tween} Running wait
+   */
+  wait(duration) {
+    return this.to({}, {}, duration);
+  }
+
+  /**
+   * Run steps one after another
+   * Steps are started only when the previous one completes, so pass them as
+   * factories (() => timeline.to(...)) to read the target's values at that time.
+   * @param {...(Function|Tween|TweenGroup)} steps - Steps in order
+   * @returns {TweenGroup} Group resolving with true when all steps completed
+   */
+  sequence(...steps) {
+    const group = new TweenGroup();
+    this.groups.add(group);
+
+    group.finished = (async () => {
+      for (const step of steps) {
+        if (group.cancelled) return false;
+        if (!(await group.track(startStep(step)))) return false;
+      }
+      return !group.cancelled;
+    })();
+    group.finished.then(() => this.groups.delete(group));
+
+    return group;
+  }
+
+  /**
+   * Run steps at the same time
+   * @param {...(Function|Tween|TweenGroup)} steps - Steps to run together
+   * @returns {TweenGroup} Group resolving with true when every step completed
+   */
+  parallel(...steps) {
+    const group = new TweenGroup();
+    this.groups.add(group);
+
+    group.finished = Promise.all(
+      steps.map(step => group.track(startStep(step)))
+    ).then(results => results.every(Boolean) && !group.cancelled);
+    group.finished.then(() => this.groups.delete(group));
+
+    return group;
+  }
+
+  /**
+   * Cancel the tweens animating a target
+   * @param {Object} target - Animated object
+   */
+  cancelTweensOf(target) {
+    this.tweens.forEach(tween => {
+      if (tween.target === target) tween.cancel();
+    });
+  }
+
+  /**
+   * Cancel everything on the timeline (all promises resolve with false)
+   */
+  cancelAll() {
+    this.groups.forEach(group => group.cancel());
+    this.tweens.forEach(tween => tween.cancel());
+    this.groups.clear();
+    this.tweens.clear();
+  }
+
+  /**
+   * Complete every running tween and any started until endSkip(), so
+   * awaited animations (and the code after them) finish right away
+   */
+  beginSkip() {
+    this.skipping = true;
+    this.tweens.forEach(tween => tween.complete());
+    this.tweens.clear();
+  }
+
+  /**
+   * Animate normally again after beginSkip()
+   */
+  endSkip() {
+    this.skipping = false;
+  }
+
+  /**
+   * Freeze all tweens in place
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Continue after pause()
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Speed up (> 1) or slow down (< 1) every tween
+   * @param {number} scale - Time scale
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+  }
+}
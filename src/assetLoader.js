@@ -0,0 +1,90 @@
+import { Assets } from "pixi.js";
+
+/**
+ * Asset Loader
+ * Loads a bundle of assets through PixiJS Assets, all in parallel, reporting
+ * the overall progress. Every asset has its own timeout and a failure only
+ * fails that asset, so the game can draw the fallback graphics for just the
+ * missing ones (or retry them: loaded assets come from the cache).
+ */
+
+// How long one asset may take before it counts as failed (ms)
+export const ASSET_TIMEOUT = 15000;
+
+// Failed loads so far, by asset URL. A timed-out load is still pending in
+// Pixi's loader, which hands that same promise to every later load of the
+// URL (and Assets.unload waits for it too), so retries use a fresh URL.
+const failedAttempts = new Map();
+
+/**
+ * URL for another attempt at an asset, past any load still pending
+ * @param {string} src - Asset URL
+ * @param {number} attempt - Number of failed attempts so far
+ * @returns {string} URL with a retry query parameter
+ */
+function getRetryUrl(src, attempt) {
+  return `${src}${src.includes("?") ? "&" : "?"}retry=${attempt}`;
+}
+
+/**
+ * Reject a promise that does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit
+ * @param {string} name - Asset name for the error message
+ * @returns {Promise} The promise's result
+ */
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Loading "${name}" timed out after ${ms} ms`)),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Load a bundle of assets
+ * The bundle is registered on the first call; later calls (retries) load
+ * the same assets again, those that failed before from a fresh URL.
+ * @param {string} bundleId - Bundle name
+ * @param {Object} sources - Asset URLs by name
+ * @param {Object} options - Load options
+ * @param {Function} options.onProgress - Called with the finished fraction (0 - 1)
+ * @param {number} options.timeout - Time limit per asset (ms)
+ * @returns {Promise<Object>} { assets, failed } - loaded assets and errors by name
+ */
+export async function loadAssetBundle(
+  bundleId,
+  sources,
+  { onProgress = () => {}, timeout = ASSET_TIMEOUT } = {}
+) {
+  if (!Assets.resolver.hasBundle(bundleId)) {
+    Assets.addBundle(bundleId, sources);
+  }
+
+  const names = Object.keys(sources);
+  const assets = {};
+  const failed = {};
+  let finished = 0;
+  onProgress(names.length === 0 ? 1 : 0);
+
+  await Promise.all(
+    names.map(async name => {
+      const src = sources[name];
+      const attempt = failedAttempts.get(src) || 0;
+      const request = attempt > 0 ? getRetryUrl(src, attempt) : name;
+      try {
+        assets[name] = await withTimeout(Assets.load(request), timeout, name);
+      } catch (error) {
+        failed[name] = error;
+        failedAttempts.set(src, attempt + 1);
+      }
+      finished++;
+      onProgress(finished / names.length);
+    })
+  );
+
+  return { assets, failed };
+}
@@ -0,0 +1,211 @@
+import { SOUNDS, SOUND_SPRITE_URL } from "../config/sounds.js";
+import { layoutSprite, renderSprite } from "./synthSprite.js";
+
+/**
+ * Sound Engine
+ * Plays the game's sound sprite through Web Audio: one-shot effects and a
+ * looping music track, each on its own gain (volume) under a master gain
+ * (mute). Browsers only start audio after a user gesture, so nothing is
+ * created until unlock() is called from one; effects played before that are
+ * dropped and the music starts on unlock.
+ */
+
+/**
+ * Create an AudioContext if the browser has Web Audio
+ * @returns {AudioContext|null} Context or null
+ */
+function createDefaultContext() {
+  const AudioContextClass =
+    globalThis.AudioContext || globalThis.webkitAudioContext;
+  return AudioContextClass ? new AudioContextClass() : null;
+}
+
+export class SoundEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Function} options.createContext - AudioContext factory (called on unlock)
+   * @param {string|null} options.spriteUrl - Recorded sprite file (null synthesizes it)
+   */
+  constructor({
+    createContext = createDefaultContext,
+    spriteUrl = SOUND_SPRITE_URL
+  } = {}) {
+    this.createContext = createContext;
+    this.spriteUrl = spriteUrl;
+
+    // Created on unlock
+    this.context = null;
+    this.masterGain = null;
+    this.sfxGain = null;
+    this.musicGain = null;
+
+    // Sprite buffer and its regions (seconds), once loaded
+    this.buffer = null;
+    this.regions = null;
+
+    // Levels (0 - 1) and mute
+    this.sfxVolume = 0.8;
+    this.musicVolume = 0.5;
+    this.muted = false;
+
+    // Music: whether it should play and the playing source
+    this.musicWanted = false;
+    this.musicSource = null;
+
+    // Suspended while the page is hidden
+    this.hidden = false;
+  }
+
+  /**
+   * Whether sounds can play
+   */
+  get isReady() {
+    return this.buffer !== null;
+  }
+
+  /**
+   * Create (or resume) the audio context; call from a user gesture handler
+   */
+  unlock() {
+    if (this.context) {
+      if (!this.hidden) this.context.resume();
+      return;
+    }
+
+    const context = this.createContext();
+    if (!context) return;
+    this.context = context;
+
+    this.masterGain = context.createGain();
+    this.masterGain.connect(context.destination);
+    this.sfxGain = context.createGain();
+    this.sfxGain.connect(this.masterGain);
+    this.musicGain = context.createGain();
+    this.musicGain.connect(this.masterGain);
+    this.applyLevels();
+
+    if (!this.hidden) context.resume();
+    this.loadSprite();
+  }
+
+  /**
+   * Load the sprite: the recorded file if configured, else (or if it fails)
+   * the synthesized one
+   */
+  async loadSprite() {
+    if (this.spriteUrl) {
+      try {
+        const response = await fetch(this.spriteUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.arrayBuffer();
+        this.buffer = await this.context.decodeAudioData(data);
+        this.regions = layoutSprite().regions;
+      } catch (error) {
+        console.warn("Sound sprite failed to load, synthesizing:", error);
+      }
+    }
+
+    if (!this.buffer) {
+      const { sampleRate } = this.context;
+      const { samples, regions } = renderSprite(sampleRate);
+      const buffer = this.context.createBuffer(1, samples.length, sampleRate);
+      buffer.copyToChannel(samples, 0);
+      this.buffer = buffer;
+      this.regions = regions;
+    }
+
+    if (this.musicWanted) this.startMusicSource();
+  }
+
+  /**
+   * Set the gains from the volumes and mute
+   */
+  applyLevels() {
+    if (!this.context) return;
+    this.masterGain.gain.value = this.muted ? 0 : 1;
+    this.sfxGain.gain.value = this.sfxVolume;
+    this.musicGain.gain.value = this.musicVolume;
+  }
+
+  /**
+   * Change volumes and mute
+   * @param {Object} levels - { sfxVolume, musicVolume, muted } (any subset)
+   */
+  setLevels({
+    sfxVolume = this.sfxVolume,
+    musicVolume = this.musicVolume,
+    muted = this.muted
+  }) {
+    this.sfxVolume = Math.max(0, Math.min(1, sfxVolume));
+    this.musicVolume = Math.max(0, Math.min(1, musicVolume));
+    this.muted = muted;
+    this.applyLevels();
+  }
+
+  /**
+   * Suspend the audio while the page is hidden, resume when it is back
+   * @param {boolean} hidden - Whether the page is hidden
+   */
+  setHidden(hidden) {
+    this.hidden = hidden;
+    if (!this.context) return;
+    if (hidden) {
+      this.context.suspend();
+    } else {
+      this.context.resume();
+    }
+  }
+
+  /**
+   * Play a sound effect
+   * @param {string} name - Sound name (see SOUNDS)
+   * @param {Object} options - Play options
+   * @param {number} options.rate - Playback rate (also shifts the pitch)
+   */
+  play(name, { rate = 1 } = {}) {
+    if (!this.isReady || this.muted || this.hidden) return;
+    const region = this.regions[name];
+    if (!region) return;
+
+    const source = this.context.createBufferSource();
+    source.buffer = this.buffer;
+    source.playbackRate.value = rate;
+    source.connect(this.sfxGain);
+    source.start(0, region.start, region.duration);
+  }
+
+  /**
+   * Start the music loop (as soon as audio is unlocked)
+   */
+  playMusic() {
+    this.musicWanted = true;
+    if (this.isReady) this.startMusicSource();
+  }
+
+  /**
+   * Stop the music loop
+   */
+  stopMusic() {
+    this.musicWanted = false;
+    if (!this.musicSource) return;
+    this.musicSource.stop();
+    this.musicSource = null;
+  }
+
+  /**
+   * Start a looping source over the music region
+   */
+  startMusicSource() {
+    if (this.musicSource) return;
+    const region = this.regions[SOUNDS.MUSIC];
+
+    const source = this.context.createBufferSource();
+    source.buffer = this.buffer;
+    source.loop = true;
+    source.loopStart = region.start;
+    source.loopEnd = region.start + region.duration;
+    source.connect(this.musicGain);
+    source.start(0, region.start);
+    this.musicSource = source;
+  }
+}
@@ -0,0 +1,156 @@
+import { SOUND_SPRITE, SPRITE_GAP, SOUNDS } from "../config/sounds.js";
+
+/**
+ * Synthesized Sound Sprite
+ * Renders every game sound into one mono sample buffer, laid out like a
+ * recorded sprite, so the game has sound without shipping audio files.
+ * Pure sample math (no Web Audio), so it renders the same everywhere.
+ */
+
+const TAU = Math.PI * 2;
+
+/**
+ * Lay the sprite regions out one after another
+ * @param {Array<Object>} regions - Regions { name, duration, loop }
+ * @param {number} gap - Silence between regions in seconds
+ * @returns {Object} { regions: { [name]: { start, duration, loop } }, length } (seconds)
+ */
+export function layoutSprite(regions = SOUND_SPRITE, gap = SPRITE_GAP) {
+  const layout = {};
+  let start = 0;
+  regions.forEach(({ name, duration, loop = false }) => {
+    layout[name] = { start, duration, loop };
+    start += duration + gap;
+  });
+  return { regions: layout, length: start };
+}
+
+/**
+ * Seeded noise source (mulberry32), so the sprite is identical every load
+ * @param {number} seed - Seed
+ * @returns {Function} Returns floats in [-1, 1)
+ */
+function createNoise(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2147483648 - 1;
+  };
+}
+
+// Exponential decay envelope
+const decay = (t, rate) => Math.exp(-t * rate);
+
+// Phase of a linear frequency sweep from f0 to f1 Hz over duration d
+const sweep = (t, d, f0, f1) => TAU * (f0 * t + ((f1 - f0) * t * t) / (2 * d));
+
+/**
+ * Sum of plucked notes starting one after another
+ * @param {number} t - Time in seconds
+ * @param {Array<number>} frequencies - Frequencies in Hz
+ * @param {number} spacing - Seconds between note starts
+ * @param {number} rate - Decay rate of each note
+ * @returns {number} Sample
+ */
+function notes(t, frequencies, spacing, rate) {
+  let sample = 0;
+  frequencies.forEach((frequency, i) => {
+    const local = t - i * spacing;
+    if (local < 0) return;
+    const phase = TAU * frequency * local;
+    sample +=
+      (Math.sin(phase) + 0.3 * Math.sin(2 * phase)) * decay(local, rate);
+  });
+  return sample;
+}
+
+// Background loop: Am - F - C - G, two seconds per chord
+const MUSIC_CHORDS = [
+  [110, 220, 261.63, 329.63],
+  [87.31, 174.61, 220, 261.63],
+  [65.41, 130.81, 164.81, 196],
+  [98, 196, 246.94, 293.66]
+];
+const MUSIC_CHORD_LENGTH = 2;
+
+// Voice factories: each returns (t, duration, noise) => sample in [-1, 1].
+// Factories let a voice keep filter state for one render.
+const VOICES = {
+  [SOUNDS.LIFT]: () => (t, d, noise) =>
+    0.35 * Math.sin(sweep(t, d, 220, 520)) * decay(t, 14) +
+    0.08 * noise() * decay(t, 30),
+
+  [SOUNDS.LAND]: () => (t, d, noise) =>
+    0.6 * Math.sin(sweep(t, d, 140, 55)) * decay(t, 18) +
+    0.2 * noise() * decay(t, 60),
+
+  // Low-passed noise swelling in and out, its filter opening mid-way
+  [SOUNDS.WHOOSH]: () => {
+    let low = 0;
+    return (t, d, noise) => {
+      const swell = Math.sin((Math.PI * t) / d);
+      low += (0.04 + 0.3 * swell) * (noise() - low);
+      return 0.8 * low * swell;
+    };
+  },
+
+  [SOUNDS.WIN]: () => t =>
+    0.16 * notes(t, [523.25, 659.25, 783.99, 1046.5], 0.12, 5),
+
+  [SOUNDS.LOSS]: () => (t, d) =>
+    0.25 * notes(t, [392, 311.13], 0.25, 4) * (1 - (0.3 * t) / d),
+
+  [SOUNDS.CHIP]: () => (t, d, noise) =>
+    0.3 * Math.sin(TAU * 2400 * t) * decay(t, 80) +
+    0.2 * noise() * decay(t, 120),
+
+  [SOUNDS.BET_CONFIRM]: () => t => 0.25 * notes(t, [660, 990], 0.1, 12),
+
+  // Each chord swells from and back to silence, so the loop is seamless
+  [SOUNDS.MUSIC]: () => t => {
+    const index = Math.floor(t / MUSIC_CHORD_LENGTH) % MUSIC_CHORDS.length;
+    const local = t % MUSIC_CHORD_LENGTH;
+    const swell = Math.sin((Math.PI * local) / MUSIC_CHORD_LENGTH);
+    return MUSIC_CHORDS[index].reduce(
+      (sample, frequency) =>
+        sample + 0.06 * swell * Math.sin(TAU * frequency * t),
+      0
+    );
+  }
+};
+
+// Fade (seconds) at both ends of one-shot sounds to avoid clicks
+const EDGE_FADE = 0.005;
+
+/**
+ * Render the sound sprite
+ * @param {number} sampleRate - Output sample rate (the AudioContext's)
+ * @returns {Object} { samples: Float32Array, regions } (regions in seconds)
+ */
+export function renderSprite(sampleRate) {
+  const { regions, length } = layoutSprite();
+  const samples = new Float32Array(Math.ceil(length * sampleRate));
+  const noise = createNoise(0x7461626c);
+
+  Object.entries(regions).forEach(([name, { start, duration, loop }]) => {
+    const voice = VOICES[name]();
+    const offset = Math.round(start * sampleRate);
+    const count = Math.floor(duration * sampleRate);
+
+    for (let i = 0; i < count; i++) {
+      const t = i / sampleRate;
+      const fade = loop
+        ? 1
+        : Math.min(1, t / EDGE_FADE, (duration - t) / EDGE_FADE);
+      samples[offset + i] = Math.max(
+        -1,
+        Math.min(1, voice(t, duration, noise) * fade)
+      );
+    }
+  });
+
+  return { samples, regions };
+}
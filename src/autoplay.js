@@ -0,0 +1,139 @@
+/**
+ * Autoplay Session
+ * Runs a series of rounds with a fixed stake and pick strategy and decides
+ * after every round whether to go on. Holds no rendering or network code:
+ * main.js drives the betting state and round flow and reports each result.
+ * Uses the same observer pattern as BettingState for UI updates.
+ */
+
+// Pick strategy that chooses a cup at random every round
+export const RANDOM_PICK = "random";
+
+export class AutoplaySession {
+  constructor() {
+    // Whether a series is running
+    this.active = false;
+
+    // Settings of the running (or last) series
+    this.config = null;
+
+    // Rounds left to play in the running series
+    this.remaining = 0;
+    this.roundsPlayed = 0;
+
+    // Balance when the series started and net result since (minor units)
+    this.startBalanceMinor = 0;
+    this.netMinor = 0;
+
+    // Why the last series ended (null while running): a message ID (or
+    // ready-made text) and its parameters
+    this.stopReason = null;
+    this.stopParams = {};
+
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to session changes
+   * @param {Function} callback - Function to call when the session changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify all subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach(callback => callback(this));
+  }
+
+  /**
+   * Start a series
+   * @param {Object} config - Autoplay settings
+   * @param {number} config.rounds - Number of rounds to play
+   * @param {number} config.stakeMinor - Stake per round in minor units
+   * @param {string|number} config.pick - RANDOM_PICK or a fixed cup index
+   * @param {number|null} config.winAboveMinor - Stop after a single payout above this
+   * @param {number|null} config.lossLimitMinor - Stop once the net loss reaches this
+   * @param {number|null} config.balanceBelowMinor - Stop once the balance drops below this
+   * @param {number} balanceMinor - Balance at the start of the series
+   * @returns {boolean} Whether the series started
+   */
+  start(config, balanceMinor) {
+    if (this.active || !(config.rounds > 0) || !(config.stakeMinor > 0)) {
+      return false;
+    }
+
+    this.config = { ...config };
+    this.active = true;
+    this.remaining = config.rounds;
+    this.roundsPlayed = 0;
+    this.startBalanceMinor = balanceMinor;
+    this.netMinor = 0;
+    this.stopReason = null;
+    this.stopParams = {};
+    this.notify();
+    return true;
+  }
+
+  /**
+   * End the series
+   * @param {string} reason - Why autoplay stopped (message ID shown to the player)
+   * @param {Object} params - Message parameters
+   */
+  stop(reason, params = {}) {
+    if (!this.active) return;
+    this.active = false;
+    this.stopReason = reason;
+    this.stopParams = params;
+    this.notify();
+  }
+
+  /**
+   * Choose the cup to pick this round
+   * @param {number} cupCount - Number of cups
+   * @param {Function} random - Function returning floats in [0, 1)
+   * @returns {number} Cup index
+   */
+  choosePick(cupCount, random = Math.random) {
+    const { pick } = this.config;
+    if (pick === RANDOM_PICK) return Math.floor(random() * cupCount);
+    return Math.max(0, Math.min(cupCount - 1, pick));
+  }
+
+  /**
+   * Record a settled round and apply the stop conditions
+   * @param {Object} round - Settled round
+   * @param {number} round.betMinor - Stake in minor units
+   * @param {number} round.payoutMinor - Payout in minor units (0 on a loss)
+   * @param {number} round.balanceMinor - Balance after settlement
+   * @returns {boolean} Whether autoplay goes on
+   */
+  recordRound({ betMinor, payoutMinor, balanceMinor }) {
+    if (!this.active) return false;
+
+    const { winAboveMinor, lossLimitMinor, balanceBelowMinor } = this.config;
+    this.roundsPlayed++;
+    this.remaining--;
+    this.netMinor += payoutMinor - betMinor;
+
+    if (winAboveMinor !== null && payoutMinor > winAboveMinor) {
+      this.stop("autoplay.winLimit");
+    } else if (lossLimitMinor !== null && -this.netMinor >= lossLimitMinor) {
+      this.stop("autoplay.lossLimit");
+    } else if (balanceBelowMinor !== null && balanceMinor < balanceBelowMinor) {
+      this.stop("autoplay.balanceLimit");
+    } else if (this.remaining <= 0) {
+      this.stop("autoplay.finished", { count: this.roundsPlayed });
+    } else {
+      this.notify();
+    }
+
+    return this.active;
+  }
+}
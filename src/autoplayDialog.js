@@ -0,0 +1,194 @@
+import { RANDOM_PICK } from "./autoplay.js";
+import { parseAmount, fromMinorUnits } from "./utils/money.js";
+import { getCurrencyDecimals } from "./config/currencies.js";
+import { el } from "./utils/dom.js";
+import { t, bindText } from "./i18n/index.js";
+
+/**
+ * Create a labelled form row
+ * @param {string} labelKey - Message ID of the row label
+ * @param {HTMLElement} input - Input or select element
+ * @returns {HTMLElement} Row element
+ */
+function createFieldRow(labelKey, input) {
+  const row = el("label", "dialog-row");
+  row.appendChild(bindText(el("span", "dialog-label"), labelKey));
+  row.appendChild(input);
+  return row;
+}
+
+/**
+ * Create a text input for an amount or count
+ * @param {string} placeholderKey - Message ID of the placeholder (optional)
+ * @returns {HTMLInputElement} Input element
+ */
+function createInput(placeholderKey = null) {
+  const input = el("input", "dialog-input");
+  input.type = "text";
+  input.inputMode = "decimal";
+  if (placeholderKey) {
+    bindText(text => (input.placeholder = text), placeholderKey);
+  }
+  return input;
+}
+
+/**
+ * Create the autoplay settings dialog (DOM overlay above the canvas)
+ * Collects rounds, stake, pick strategy and the optional stop conditions,
+ * validated against the betting state's currency and bet limits.
+ * @param {BettingState} state - Betting state (currency, limits, balance)
+ * @param {number} cupCount - Number of cups (for the fixed pick options)
+ * @param {Function} onStart - Called with the autoplay config when confirmed
+ * @returns {Object} Dialog API { open, close, element }
+ */
+export function createAutoplayDialog(state, cupCount, onStart) {
+  const overlay = el("div", "dialog-overlay");
+  overlay.hidden = true;
+
+  const dialog = el("div", "dialog-box");
+  dialog.setAttribute("role", "dialog");
+  bindText(text => dialog.setAttribute("aria-label", text), "autoplay.title");
+  overlay.appendChild(dialog);
+
+  dialog.appendChild(bindText(el("h2", "dialog-title"), "autoplay.title"));
+
+  /* ========================================
+   * ROUNDS - Count, stake and pick strategy
+   * ======================================== */
+  const roundsInput = createInput();
+  roundsInput.inputMode = "numeric";
+  const stakeInput = createInput();
+  const pickSelect = el("select", "dialog-input");
+  pickSelect.appendChild(
+    bindText(new Option("", RANDOM_PICK), "autoplay.randomCup")
+  );
+  for (let i = 0; i < cupCount; i++) {
+    pickSelect.appendChild(
+      bindText(new Option("", String(i)), "autoplay.alwaysCup", { cup: i + 1 })
+    );
+  }
+
+  dialog.appendChild(createFieldRow("autoplay.rounds", roundsInput));
+  const stakeRow = el("label", "dialog-row");
+  const stakeLabel = el("span", "dialog-label");
+  stakeRow.appendChild(stakeLabel);
+  stakeRow.appendChild(stakeInput);
+  dialog.appendChild(stakeRow);
+  dialog.appendChild(createFieldRow("autoplay.pick", pickSelect));
+
+  /* ========================================
+   * STOP CONDITIONS - Optional, empty = off
+   * ======================================== */
+  dialog.appendChild(bindText(el("h3", "dialog-heading"), "autoplay.stopWhen"));
+  const winAboveInput = createInput("autoplay.off");
+  const lossLimitInput = createInput("autoplay.off");
+  const balanceBelowInput = createInput("autoplay.off");
+  dialog.appendChild(createFieldRow("autoplay.winAbove", winAboveInput));
+  dialog.appendChild(createFieldRow("autoplay.lossReaches", lossLimitInput));
+  dialog.appendChild(
+    createFieldRow("autoplay.balanceBelow", balanceBelowInput)
+  );
+  dialog.appendChild(bindText(el("p", "dialog-note"), "autoplay.clickStops"));
+
+  const error = el("p", "dialog-error");
+  dialog.appendChild(error);
+
+  const actions = el("div", "dialog-actions");
+  const cancelBtn = bindText(el("button", "dialog-button"), "dialog.cancel");
+  const startBtn = bindText(el("button", "dialog-button"), "dialog.start");
+  actions.appendChild(cancelBtn);
+  actions.appendChild(startBtn);
+  dialog.appendChild(actions);
+
+  document.body.appendChild(overlay);
+
+  /**
+   * Parse an optional amount field
+   * @param {HTMLInputElement} input - Amount input
+   * @returns {number|null|undefined} Minor units, null when empty, undefined when invalid
+   */
+  const readOptionalAmount = input => {
+    if (input.value.trim() === "") return null;
+    const minor = parseAmount(input.value, state.currency);
+    return minor === null ? undefined : minor;
+  };
+
+  /**
+   * Validate the form
+   * @returns {Object|string} Autoplay config, or an error message
+   */
+  const readConfig = () => {
+    const rounds = Number.parseInt(roundsInput.value, 10);
+    if (!(rounds > 0) || String(rounds) !== roundsInput.value.trim()) {
+      return t("autoplay.enterRounds");
+    }
+
+    const stakeMinor = parseAmount(stakeInput.value, state.currency);
+    if (stakeMinor === null) return t("autoplay.enterStake");
+    const { amount, notice } = state.clampBet(stakeMinor);
+    if (amount !== stakeMinor) return notice || state.betLimitError;
+
+    const winAboveMinor = readOptionalAmount(winAboveInput);
+    const lossLimitMinor = readOptionalAmount(lossLimitInput);
+    const balanceBelowMinor = readOptionalAmount(balanceBelowInput);
+    if (
+      winAboveMinor === undefined ||
+      lossLimitMinor === undefined ||
+      balanceBelowMinor === undefined
+    ) {
+      return t("autoplay.invalidStop");
+    }
+
+    const pick =
+      pickSelect.value === RANDOM_PICK
+        ? RANDOM_PICK
+        : Number.parseInt(pickSelect.value, 10);
+
+    return {
+      rounds,
+      stakeMinor,
+      pick,
+      winAboveMinor,
+      lossLimitMinor,
+      balanceBelowMinor
+    };
+  };
+
+  startBtn.addEventListener("click", () => {
+    const config = readConfig();
+    if (typeof config === "string") {
+      error.textContent = config;
+      return;
+    }
+    close();
+    onStart(config);
+  });
+
+  cancelBtn.addEventListener("click", () => close());
+  overlay.addEventListener("pointerdown", e => {
+    if (e.target === overlay) close();
+  });
+
+  /**
+   * Show the dialog, prefilled with the current stake
+   */
+  function open() {
+    if (roundsInput.value === "") roundsInput.value = "10";
+    stakeInput.value = fromMinorUnits(
+      state.currentBetMinor,
+      state.currency
+    ).toFixed(getCurrencyDecimals(state.currency));
+    stakeLabel.textContent = t("autoplay.stake", { currency: state.currency });
+    error.textContent = "";
+    overlay.hidden = false;
+  }
+
+  /**
+   * Hide the dialog
+   */
+  function close() {
+    overlay.hidden = true;
+  }
+
+  return { open, close, element: overlay };
+}
@@ -1,47 +1,43 @@
 import { Container, Graphics, Text } from "pixi.js";
 import { BettingState } from "./bettingState.js";
+import { formatAmount, formatMoney } from "./utils/currency.js";
+import { getCurrencyDecimals } from "./config/currencies.js";
+import { MAX_QUICK_BETS } from "./config/betLimits.js";
+import { parseAmount, fromMinorUnits } from "./utils/money.js";
+import { i18n, t } from "./i18n/index.js";
+import { getSkin } from "./skin.js";
 
-/**
- * Get currency display name from currency code
- * @param {string} code - Currency code (e.g., "USD", "EUR")
- * @returns {string} Currency display name
- */
-function getCurrencyName(code) {
-  const currencyNames = {
-    USD: "USD",
-    EUR: "EUR",
-    GBP: "GBP",
-    BTC: "BTC"
-  };
-  return currencyNames[code] || code;
-}
+// Horizontal gap between the top-row buttons
+const TOP_BUTTON_GAP = 10;
+
+// Panel height with the controls in one row, and with its sections stacked
+// (portrait screens)
+const PANEL_HEIGHT = 120;
+const STACKED_PANEL_HEIGHT = 250;
 
 /**
  * Create a styled button for the betting panel
  * @param {string} text - Button label text
  * @param {number} width - Button width
  * @param {number} height - Button height
- * @param {number} color - Background color (hex)
+ * @param {number|string} color - Background color (defaults to the skin's panel fill)
  * @returns {Container} Button container with bg and label
  */
-function createPanelButton(text, width, height, color = 0x333333) {
+function createPanelButton(text, width, height, color) {
+  const { buttons, fonts } = getSkin();
   const button = new Container();
 
   // Button background with rounded corners and border
   const bg = new Graphics();
-  bg.roundRect(-width / 2, -height / 2, width, height, 5);
-  bg.fill({ color });
-  bg.roundRect(-width / 2 + 1, -height / 2 + 1, width - 2, height - 2, 4);
-  bg.stroke({ color: 0x666666, width: 1 });
 
   // Button label text (centered)
   const label = new Text({
-    text: text,
+    text: "",
     style: {
-      fontFamily: "Arial",
+      fontFamily: fonts.ui,
       fontSize: height * 0.5,
       fontWeight: "bold",
-      fill: 0xffffff
+      fill: buttons.panel.text
     }
   });
   label.anchor.set(0.5);
@@ -57,6 +53,42 @@ function createPanelButton(text, width, height, color = 0x333333) {
   // Store references for later updates (text changes, color changes)
   button.bg = bg;
   button.label = label;
+  button.btnWidth = width;
+  button.color = color === undefined ? buttons.panel.fill : color;
+
+  // Redraw the background at the current width and color
+  button.redraw = () => {
+    const w = button.btnWidth;
+    bg.clear();
+    bg.roundRect(-w / 2, -height / 2, w, height, 5);
+    bg.fill({ color: button.color });
+    bg.roundRect(-w / 2 + 1, -height / 2 + 1, w - 2, height - 2, 4);
+    bg.stroke({ color: buttons.panel.border, width: 1 });
+  };
+
+  // Change the background color
+  button.setColor = value => {
+    button.color = value;
+    button.redraw();
+  };
+
+  // Set the label, shrinking it when it is wider than the button
+  button.setText = value => {
+    label.text = value;
+    label.scale.set(1);
+    label.scale.set(Math.min(1, (button.btnWidth - 8) / label.width));
+  };
+
+  // Set the label and resize the button to it (never below minWidth)
+  button.fitText = (value, minWidth) => {
+    label.text = value;
+    label.scale.set(1);
+    button.btnWidth = Math.max(minWidth, Math.ceil(label.width) + 16);
+    button.redraw();
+  };
+
+  button.redraw();
+  button.setText(text);
 
   // Method to enable/disable button visually
   button.setDisabled = disabled => {
@@ -89,28 +121,29 @@ function createPanelButton(text, width, height, color = 0x333333) {
  * @returns {Container} Input field container
  */
 function createTextInput(width, height, placeholder = "") {
+  const { panel, fonts } = getSkin();
   const input = new Container();
 
   // Input background (dark with border)
   const bg = new Graphics();
   bg.roundRect(-width / 2, -height / 2, width, height, 5);
-  bg.fill({ color: 0x222222 });
+  bg.fill({ color: panel.input });
   bg.roundRect(-width / 2, -height / 2, width, height, 5);
-  bg.stroke({ color: 0x666666, width: 1 });
+  bg.stroke({ color: panel.inputBorder, width: 1 });
 
   // Active state border (highlighted when focused)
   const activeBorder = new Graphics();
   activeBorder.roundRect(-width / 2, -height / 2, width, height, 5);
-  activeBorder.stroke({ color: 0xffd700, width: 2 });
+  activeBorder.stroke({ color: panel.focus, width: 2 });
   activeBorder.visible = false;
 
   // Input value text (centered)
   const label = new Text({
     text: placeholder,
     style: {
-      fontFamily: "Arial",
+      fontFamily: fonts.ui,
       fontSize: 16,
-      fill: 0xffffff
+      fill: panel.inputText
     }
   });
   label.anchor.set(0.5);
@@ -118,7 +151,7 @@ function createTextInput(width, height, placeholder = "") {
   // Cursor blink indicator
   const cursor = new Graphics();
   cursor.rect(-1, -height / 4, 2, height / 2);
-  cursor.fill({ color: 0xffd700 });
+  cursor.fill({ color: panel.focus });
   cursor.visible = false;
   cursor.x = label.width / 2 + 5;
 
@@ -136,13 +169,23 @@ function createTextInput(width, height, placeholder = "") {
   input.isEditing = false;
   input.inputText = "";
 
+  // Display formatter for the confirmed value (replaced by the owner)
+  input.formatValue = val => val.toString();
+
+  // Text shown when editing starts, and parser for the typed text
+  input.editValue = val => val.toString();
+  input.parseValue = text => parseFloat(text) || 0;
+
+  // Maximum digits accepted after the decimal point (null = unlimited)
+  input.maxDecimals = null;
+
   // Cursor blink animation
   let cursorBlink = null;
 
   // Method to update displayed value
   input.setValue = val => {
     input.value = val;
-    input.label.text = val.toString();
+    input.label.text = input.formatValue(val);
     cursor.x = label.width / 2 + 5;
   };
 
@@ -164,7 +207,7 @@ function createTextInput(width, height, placeholder = "") {
   input.on("pointerdown", () => {
     if (!input.disabled) {
       input.isEditing = true;
-      input.inputText = input.value > 0 ? input.value.toString() : "";
+      input.inputText = input.value > 0 ? input.editValue(input.value) : "";
       label.text = input.inputText || "|";
       cursor.visible = true;
       activeBorder.visible = true;
@@ -183,10 +226,10 @@ function createTextInput(width, height, placeholder = "") {
 
     if (key === "Enter") {
       // Confirm input
-      const numValue = parseFloat(input.inputText) || 0;
+      const numValue = input.parseValue(input.inputText);
       if (numValue >= 0) {
         input.value = numValue;
-        input.label.text = numValue.toString();
+        input.label.text = input.formatValue(numValue);
         if (input.onValueChange) {
           input.onValueChange(numValue);
         }
@@ -203,7 +246,8 @@ function createTextInput(width, height, placeholder = "") {
     } else if (key === "Escape") {
       // Cancel editing
       input.isEditing = false;
-      label.text = input.value > 0 ? input.value.toString() : placeholder;
+      label.text =
+        input.value > 0 ? input.formatValue(input.value) : placeholder;
       cursor.visible = false;
       activeBorder.visible = false;
       if (cursorBlink) clearInterval(cursorBlink);
@@ -211,6 +255,16 @@ function createTextInput(width, height, placeholder = "") {
       // Add number or decimal point
       // Prevent multiple decimal points
       if (key === "." && input.inputText.includes(".")) return;
+      if (key === "." && input.maxDecimals === 0) return;
+      // Prevent more decimals than allowed
+      const [, fraction] = input.inputText.split(".");
+      if (
+        fraction !== undefined &&
+        input.maxDecimals !== null &&
+        fraction.length >= input.maxDecimals
+      ) {
+        return;
+      }
       input.inputText += key;
       label.text = input.inputText;
       cursor.x = label.width / 2 + 5;
@@ -228,45 +282,43 @@ function createTextInput(width, height, placeholder = "") {
  * @returns {Container} Balance section container
  */
 function createBalanceSection(state, callbacks, padding) {
+  const { panel, fonts } = getSkin();
   const balanceContainer = new Container();
 
   // "Balance:" label
   const balanceLabel = new Text({
-    text: "Balance:",
+    text: t("panel.balance"),
     style: {
-      fontFamily: "Arial",
+      fontFamily: fonts.ui,
       fontSize: 14,
-      fill: 0xcccccc
+      fill: panel.label
     }
   });
   balanceLabel.x = padding;
 
   // Balance amount (gold colored, prominent)
   const balanceAmount = new Text({
-    text: state.balance.toFixed(2),
+    text: formatAmount(state.balance, state.currency),
     style: {
-      fontFamily: "Arial",
+      fontFamily: fonts.ui,
       fontSize: 18,
       fontWeight: "bold",
-      fill: 0xffd700
+      fill: panel.balance
     }
   });
-  balanceAmount.x = padding + 75;
 
   // Currency code display
   const currencyText = new Text({
-    text: getCurrencyName(state.currency),
+    text: state.currency,
     style: {
-      fontFamily: "Arial",
+      fontFamily: fonts.ui,
       fontSize: 12,
-      fill: 0xcccccc
+      fill: panel.label
     }
   });
-  currencyText.x = padding + 145;
 
   // Refresh button to reload balance from server
   const refreshBtn = createPanelButton("🔄", 30, 20);
-  refreshBtn.x = padding + 200;
   refreshBtn.y = padding - 13;
   refreshBtn.on("pointerdown", () => {
     if (callbacks.onRefreshBalance) {
@@ -280,20 +332,40 @@ function createBalanceSection(state, callbacks, padding) {
   balanceContainer.addChild(refreshBtn);
 
   // Store references for updates
+  balanceContainer.balanceLabel = balanceLabel;
   balanceContainer.balanceAmount = balanceAmount;
   balanceContainer.currencyText = currencyText;
   balanceContainer.refreshBtn = refreshBtn;
 
+  // Place each part after the previous one, at the English layout's
+  // positions unless a longer label or amount pushes it right
+  balanceContainer.layout = () => {
+    balanceAmount.x = Math.max(
+      padding + 75,
+      balanceLabel.x + balanceLabel.width + 8
+    );
+    currencyText.x = Math.max(
+      padding + 145,
+      balanceAmount.x + balanceAmount.width + 6
+    );
+    refreshBtn.x = Math.max(
+      padding + 200,
+      currencyText.x + currencyText.width + 25
+    );
+  };
+  balanceContainer.layout();
+
   return balanceContainer;
 }
 
 /**
  * Create the bet controls section (-, input, +)
  * @param {BettingState} state - Betting state instance
+ * @param {Object} callbacks - Callback functions
  * @param {number} panelWidth - Panel width
  * @returns {Container} Bet controls container
  */
-function createBetControlsSection(state, panelWidth) {
+function createBetControlsSection(state, callbacks, panelWidth) {
   const betControlsContainer = new Container();
 
   const controlsWidth = 220;
@@ -304,13 +376,22 @@ function createBetControlsSection(state, panelWidth) {
   decreaseBtn.x = controlsStartX + 20;
   decreaseBtn.on("pointerdown", () => {
     if (!decreaseBtn.disabled) {
+      if (callbacks.onChip) callbacks.onChip();
       state.decreaseBet();
     }
   });
 
   // Bet amount input (click to edit)
-  const betInput = createTextInput(120, 35, "Amount");
+  const betInput = createTextInput(120, 35, t("panel.amount"));
   betInput.x = controlsStartX + 110;
+  betInput.formatValue = value =>
+    formatAmount(value, state.currency, { useGrouping: false });
+  // Typed text is parsed straight into minor units (no float rounding)
+  betInput.editValue = value =>
+    value.toFixed(getCurrencyDecimals(state.currency));
+  betInput.parseValue = text =>
+    fromMinorUnits(parseAmount(text, state.currency) || 0, state.currency);
+  betInput.maxDecimals = getCurrencyDecimals(state.currency);
   betInput.setValue(state.currentBetAmount);
   betInput.onValueChange = value => {
     state.setBetAmount(value);
@@ -321,6 +402,7 @@ function createBetControlsSection(state, panelWidth) {
   increaseBtn.x = controlsStartX + 200;
   increaseBtn.on("pointerdown", () => {
     if (!increaseBtn.disabled) {
+      if (callbacks.onChip) callbacks.onChip();
       state.increaseBet();
     }
   });
@@ -340,40 +422,63 @@ function createBetControlsSection(state, panelWidth) {
 /**
  * Create the quick bet buttons section
  * @param {BettingState} state - Betting state instance
+ * @param {Object} callbacks - Callback functions
  * @param {number} panelWidth - Panel width
  * @returns {Container} Quick bet buttons container
  */
-function createQuickBetSection(state, panelWidth) {
+function createQuickBetSection(state, callbacks, panelWidth) {
   const quickBetContainer = new Container();
 
-  const quickBetAmounts = [10, 50, 100];
   const buttonWidth = 60;
   const buttonSpacing = 8;
-  const totalButtonsWidth = buttonWidth * 4 + buttonSpacing * 3;
+  const totalButtonsWidth =
+    buttonWidth * (MAX_QUICK_BETS + 1) + buttonSpacing * MAX_QUICK_BETS;
   const quickBetStartX = (panelWidth - totalButtonsWidth) / 2;
 
   quickBetContainer.quickBtns = [];
 
-  // Create buttons for each preset amount (10, 50, 100)
-  quickBetAmounts.forEach((amount, index) => {
-    const btn = createPanelButton(amount.toString(), buttonWidth, 30);
+  // One chip per preset slot; amounts come from the currency's bet limits
+  for (let index = 0; index < MAX_QUICK_BETS; index++) {
+    const amountMinor = state.limits.quickBetsMinor[index];
+    const btn = createPanelButton(
+      amountMinor === undefined
+        ? ""
+        : formatAmount(
+            fromMinorUnits(amountMinor, state.currency),
+            state.currency,
+            { minimumFractionDigits: 0 }
+          ),
+      buttonWidth,
+      30
+    );
+    btn.presetIndex = index;
+    btn.amountMinor = amountMinor;
     btn.x =
       quickBetStartX + buttonWidth / 2 + index * (buttonWidth + buttonSpacing);
     btn.on("pointerdown", () => {
-      if (!btn.disabled) {
-        state.setBetAmount(amount);
+      if (!btn.disabled && btn.amountMinor !== undefined) {
+        if (callbacks.onChip) callbacks.onChip();
+        state.setBetAmountMinor(btn.amountMinor);
       }
     });
     quickBetContainer.addChild(btn);
     quickBetContainer.quickBtns.push(btn);
-  });
-
-  // MAX button (sets bet to user's full balance) - blue colored
-  const maxBtn = createPanelButton("MAX", buttonWidth, 30, 0x2a5298);
+  }
+
+  // MAX button (maximum bet, capped by the balance) - blue colored
+  const maxBtn = createPanelButton(
+    t("panel.max"),
+    buttonWidth,
+    30,
+    getSkin().buttons.accent
+  );
   maxBtn.x =
-    quickBetStartX + buttonWidth / 2 + 3 * (buttonWidth + buttonSpacing);
+    quickBetStartX +
+    buttonWidth / 2 +
+    MAX_QUICK_BETS * (buttonWidth + buttonSpacing);
   maxBtn.on("pointerdown", () => {
     if (!maxBtn.disabled) {
+      if (callbacks.onChip) callbacks.onChip();
       state.setMaxBet();
     }
   });
@@ -393,40 +498,38 @@ function createQuickBetSection(state, panelWidth) {
 function createPlaceBetButton(state, callbacks, panelWidth) {
   const placeBetBtnWidth = Math.min(210, panelWidth - 40);
   const placeBetBtn = createPanelButton(
-    `Place Bet: ${state.currentBetAmount} ${getCurrencyName(state.currency)}`,
+    t("panel.placeBet", {
+      amount: formatMoney(state.currentBetAmount, state.currency)
+    }),
     placeBetBtnWidth,
     35,
-    0x22c55e
+    getSkin().buttons.confirm
   );
   placeBetBtn.x = panelWidth / 2;
 
-  // Click handler: validate and place bet
-  placeBetBtn.on("pointerdown", () => {
-    if (!placeBetBtn.disabled && state.canBet) {
-      let betAmount = state.currentBetAmount;
-
-      // Ensure minimum bet of 10
-      if (!betAmount || betAmount < 1) {
-        betAmount = 10;
-        state.setBetAmount(betAmount);
-      }
+  // Validate and place the current bet (returns whether it was sent)
+  placeBetBtn.placeBet = () => {
+    if (!state.canBet || !callbacks.onPlaceBet) return false;
+
+    // Call the onPlaceBet callback with bet data
+    const betData = {
+      session: state.userId,
+      bet: state.currentBetAmount,
+      betMinor: state.currentBetMinor,
+      currency: state.currency
+    };
+    state.startBetting();
+    callbacks.onPlaceBet(betData);
+    return true;
+  };
 
-      // Call the onPlaceBet callback with bet data
-      if (callbacks.onPlaceBet) {
-        const betData = {
-          session: state.userId,
-          bet: betAmount,
-          currency: state.currency
-        };
-        state.isBetting = true;
-        callbacks.onPlaceBet(betData);
-      }
+  // Click handler
+  placeBetBtn.on("pointerdown", () => {
+    if (!placeBetBtn.disabled) {
+      placeBetBtn.placeBet();
     }
   });
 
-  // Store button width for state updates
-  placeBetBtn.btnWidth = placeBetBtnWidth;
-
   return placeBetBtn;
 }
 
@@ -439,9 +542,9 @@ function createLastBetDisplay(panelWidth) {
   const lastBetText = new Text({
     text: "",
     style: {
-      fontFamily: "Arial",
+      fontFamily: getSkin().fonts.ui,
       fontSize: 12,
-      fill: 0x4ade80
+      fill: getSkin().panel.win
     }
   });
   lastBetText.anchor.set(0.5, 0);
@@ -453,7 +556,7 @@ function createLastBetDisplay(panelWidth) {
 /**
  * Create the betting panel UI
  * @param {Application} app - PixiJS application instance
- * @param {Object} callbacks - Callback functions { onPlaceBet, onRefreshBalance }
+ * @param {Object} callbacks - Callback functions { onPlaceBet, onRefreshBalance, onOpenFairness, onOpenHistory, onExportHistory, onAutoplay, onChip }
  * @param {number} customWidth - Panel width (defaults to 280)
  * @returns {Container} Complete betting panel container
  */
@@ -461,14 +564,12 @@ export function createBettingPanel(app, callbacks = {}, customWidth = 280) {
   const panel = new Container();
   const state = new BettingState();
 
-  // Panel dimensions
-  const panelWidth = customWidth;
-  const panelHeight = 120; // Reduced height for horizontal layout
+  // Panel dimensions (changed by setLayout)
+  let panelWidth = customWidth;
+  let stacked = false;
 
-  // Panel background: semi-transparent black with gold border
+  // Panel background: semi-transparent, in the skin's panel colour
   const bg = new Graphics();
-  bg.rect(0, 0, panelWidth, panelHeight, 10);
-  bg.fill({ color: 0x000000, alpha: 0.8 });
   panel.addChild(bg);
 
   const padding = 20;
@@ -480,56 +581,158 @@ export function createBettingPanel(app, callbacks = {}, customWidth = 280) {
   balanceSection.y = 15;
   panel.addChild(balanceSection);
 
+  // Provably fair button (opens seed/verification dialog)
+  const fairnessBtn = createPanelButton("", 100, 20);
+  fairnessBtn.y = balanceSection.y + padding - 13;
+  fairnessBtn.on("pointerdown", () => {
+    if (callbacks.onOpenFairness) {
+      callbacks.onOpenFairness();
+    }
+  });
+  panel.addChild(fairnessBtn);
+
+  // Autoplay button (opens the settings, or stops a running series and
+  // shows how many rounds are left)
+  const autoplayBtn = createPanelButton("", 130, 20);
+  autoplayBtn.y = fairnessBtn.y;
+  autoplayBtn.on("pointerdown", () => {
+    if (callbacks.onAutoplay) {
+      callbacks.onAutoplay();
+    }
+  });
+  panel.addChild(autoplayBtn);
+
+  // Round history button
+  const historyBtn = createPanelButton("", 90, 20);
+  historyBtn.y = fairnessBtn.y;
+  historyBtn.on("pointerdown", () => {
+    if (callbacks.onOpenHistory) {
+      callbacks.onOpenHistory();
+    }
+  });
+  panel.addChild(historyBtn);
+
+  // Autoplay state shown on its button
+  let autoplayStatus = { active: false, remaining: 0 };
+
+  /**
+   * Set the top-row labels in the current language, sizing each button to
+   * its label and lining them up from the right edge (stacked: centered on
+   * a row of their own)
+   */
+  const renderTopRow = () => {
+    fairnessBtn.fitText(t("panel.fairness"), 100);
+    autoplayBtn.fitText(
+      autoplayStatus.active
+        ? t("panel.stopAutoplay", { count: autoplayStatus.remaining })
+        : t("panel.autoplay"),
+      130
+    );
+    historyBtn.fitText(t("panel.history"), 90);
+
+    const topButtons = [fairnessBtn, autoplayBtn, historyBtn];
+    const rowWidth =
+      topButtons.reduce((sum, btn) => sum + btn.btnWidth, 0) +
+      (topButtons.length - 1) * TOP_BUTTON_GAP;
+    let right = stacked ? (panelWidth + rowWidth) / 2 : panelWidth - padding;
+    topButtons.forEach(btn => {
+      btn.x = right - btn.btnWidth / 2;
+      right -= btn.btnWidth + TOP_BUTTON_GAP;
+    });
+  };
+
   /* ========================================
-   * BOTTOM SECTION - All betting controls in horizontal layout
+   * BOTTOM SECTION - All betting controls
+   * One horizontal row, or three centered rows when stacked (see layout)
    * ======================================== */
   const bottomSection = new Container();
-  bottomSection.y = 55; // Position below balance
-
-  let xOffset = padding;
-  const spacing = 10;
 
-  // 1. Decrease button
-  const betControlsSection = createBetControlsSection(state, panelWidth);
-  betControlsSection.decreaseBtn.x = xOffset + 20;
-  betControlsSection.decreaseBtn.y = 20;
+  const betControlsSection = createBetControlsSection(
+    state,
+    callbacks,
+    panelWidth
+  );
   bottomSection.addChild(betControlsSection.decreaseBtn);
-  xOffset += 40 + spacing;
-
-  // 2. Bet input
-  betControlsSection.betInput.x = xOffset + 60;
-  betControlsSection.betInput.y = 20;
   bottomSection.addChild(betControlsSection.betInput);
-  xOffset += 120 + spacing;
-
-  // 3. Increase button
-  betControlsSection.increaseBtn.x = xOffset + 20;
-  betControlsSection.increaseBtn.y = 20;
   bottomSection.addChild(betControlsSection.increaseBtn);
-  xOffset += 40 + spacing;
-
-  // 4. Quick bet buttons (10, 50, 100, MAX)
-  const quickBetSection = createQuickBetSection(state, panelWidth);
-  quickBetSection.quickBtns.forEach(btn => {
-    btn.x = xOffset + 30;
-    btn.y = 20;
-    bottomSection.addChild(btn);
-    xOffset += 60 + spacing;
-  });
 
-  // 5. Place bet button
+  const quickBetSection = createQuickBetSection(state, callbacks, panelWidth);
+  quickBetSection.quickBtns.forEach(btn => bottomSection.addChild(btn));
+
   const placeBetBtn = createPlaceBetButton(state, callbacks, panelWidth);
-  placeBetBtn.x = xOffset + 105;
-  placeBetBtn.y = 20;
   bottomSection.addChild(placeBetBtn);
 
   panel.addChild(bottomSection);
 
   // Last bet display - below all controls
   const lastBetText = createLastBetDisplay(panelWidth);
-  lastBetText.y = 90;
   panel.addChild(lastBetText);
 
+  /**
+   * Place every section for the panel width
+   * Side by side: the balance shares the top row with the buttons and the
+   * controls follow in one row. Stacked: each section gets its own centered
+   * row (bet amount, quick bets, place bet).
+   */
+  const layout = () => {
+    const spacing = 10;
+    const height = stacked ? STACKED_PANEL_HEIGHT : PANEL_HEIGHT;
+
+    bg.clear();
+    bg.rect(0, 0, panelWidth, height, 10);
+    bg.fill({ color: getSkin().panel.background, alpha: 0.8 });
+
+    balanceSection.y = 15;
+    fairnessBtn.y = stacked ? 55 : balanceSection.y + padding - 13;
+    autoplayBtn.y = fairnessBtn.y;
+    historyBtn.y = fairnessBtn.y;
+    renderTopRow();
+
+    // Lay buttons out left to right from x on row y ({ button, width } pairs)
+    const row = (items, x, y) => {
+      let xOffset = x;
+      items.forEach(({ button, width }) => {
+        button.x = xOffset + width / 2;
+        button.y = y;
+        xOffset += width + spacing;
+      });
+      return xOffset;
+    };
+    // Starting x that centers a row of the given widths
+    const centered = widths =>
+      (panelWidth -
+        widths.reduce((sum, width) => sum + width, 0) -
+        (widths.length - 1) * spacing) /
+      2;
+
+    const betControls = [
+      { button: betControlsSection.decreaseBtn, width: 40 },
+      { button: betControlsSection.betInput, width: 120 },
+      { button: betControlsSection.increaseBtn, width: 40 }
+    ];
+    const quickBets = quickBetSection.quickBtns.map(button => ({
+      button,
+      width: 60
+    }));
+    const placeBet = [{ button: placeBetBtn, width: placeBetBtn.btnWidth }];
+
+    if (stacked) {
+      bottomSection.y = 80;
+      [betControls, quickBets, placeBet].forEach((items, index) =>
+        row(items, centered(items.map(item => item.width)), 20 + index * 45)
+      );
+      lastBetText.y = 215;
+    } else {
+      bottomSection.y = 55; // Position below balance
+      const afterControls = row(betControls, padding, 20);
+      const afterQuickBets = row(quickBets, afterControls, 20);
+      row(placeBet, afterQuickBets, 20);
+      lastBetText.y = 90;
+    }
+    lastBetText.x = panelWidth / 2;
+  };
+  layout();
+
   /* ========================================
    * KEYBOARD INPUT HANDLING
    * Route keyboard events to the active text input
@@ -554,68 +757,113 @@ export function createBettingPanel(app, callbacks = {}, customWidth = 280) {
    * Subscribe to state updates and refresh UI
    * This ensures all UI elements stay in sync with state
    * ======================================== */
-  state.subscribe(newState => {
+  const render = newState => {
+    const { buttons, panel: colors } = getSkin();
+
     // Update balance display (amount and currency)
-    balanceSection.balanceAmount.text = newState.balance.toFixed(2);
-    balanceSection.currencyText.text = getCurrencyName(newState.currency);
+    balanceSection.balanceAmount.text = formatAmount(
+      newState.balance,
+      newState.currency
+    );
+    balanceSection.currencyText.text = newState.currency;
+    balanceSection.layout();
 
     // Update bet amount input field
+    betControlsSection.betInput.maxDecimals = getCurrencyDecimals(
+      newState.currency
+    );
     betControlsSection.betInput.setValue(newState.currentBetAmount);
 
     // Update increment/decrement buttons (enabled/disabled based on state)
     betControlsSection.decreaseBtn.setDisabled(!newState.canDecrease);
     betControlsSection.increaseBtn.setDisabled(!newState.canIncrease);
-    betControlsSection.betInput.setDisabled(newState.isBetting);
-    balanceSection.refreshBtn.setDisabled(newState.isBetting);
+    betControlsSection.betInput.setDisabled(newState.isLocked);
+    balanceSection.refreshBtn.setDisabled(newState.isLocked);
 
-    // Disable all quick bet buttons while betting is in progress
+    // Disable all quick bet buttons while a bet or round is in progress
     if (quickBetSection.quickBtns) {
       quickBetSection.quickBtns.forEach(btn => {
-        btn.setDisabled(newState.isBetting);
+        btn.setDisabled(newState.isLocked);
+        // Preset chips follow the currency's limits (MAX has no amount)
+        if (btn.presetIndex !== undefined) {
+          btn.amountMinor = newState.limits.quickBetsMinor[btn.presetIndex];
+          btn.visible = btn.amountMinor !== undefined;
+          if (btn.visible) {
+            btn.setText(
+              formatAmount(
+                fromMinorUnits(btn.amountMinor, newState.currency),
+                newState.currency,
+                { minimumFractionDigits: 0 }
+              )
+            );
+          }
+        }
       });
     }
 
     // Update place bet button appearance and state
     placeBetBtn.setDisabled(!newState.canBet);
-    const halfBtnWidth = placeBetBtn.btnWidth / 2;
-    const halfBtnHeight = 35 / 2;
 
     if (newState.isBetting) {
       // Show "Placing..." with orange background during bet
-      placeBetBtn.label.text = "Placing...";
-      placeBetBtn.bg.clear();
-      placeBetBtn.bg.roundRect(
-        -halfBtnWidth,
-        -halfBtnHeight,
-        placeBetBtn.btnWidth,
-        35,
-        5
+      placeBetBtn.setText(t("panel.placing"));
+      placeBetBtn.setColor(buttons.pending);
+    } else if (newState.activeRound) {
+      // Show the stake in play with a muted background until the round settles
+      placeBetBtn.setText(
+        t("panel.inPlay", {
+          amount: formatMoney(
+            newState.activeRound.bet,
+            newState.activeRound.currency
+          )
+        })
       );
-      placeBetBtn.bg.fill({ color: 0xffa500 });
+      placeBetBtn.setColor(buttons.accent);
     } else {
       // Show "Place Bet: X USD" with green background when ready
-      placeBetBtn.label.text = `Place Bet: ${
-        newState.currentBetAmount
-      } ${getCurrencyName(newState.currency)}`;
-      placeBetBtn.bg.clear();
-      placeBetBtn.bg.roundRect(
-        -halfBtnWidth,
-        -halfBtnHeight,
-        placeBetBtn.btnWidth,
-        35,
-        5
+      placeBetBtn.setText(
+        t("panel.placeBet", {
+          amount: formatMoney(newState.currentBetAmount, newState.currency)
+        })
       );
-      placeBetBtn.bg.fill({ color: 0x22c55e });
+      placeBetBtn.setColor(buttons.confirm);
     }
 
-    // Update last bet display
-    if (newState.lastBet) {
-      lastBetText.text = `Last Bet: ${newState.lastBet.bet} ${getCurrencyName(
-        newState.currency
-      )}`;
+    // Update last bet display (bet limit messages first, then the settled result)
+    const limitMessage = newState.isLocked
+      ? null
+      : newState.betNotice || newState.betLimitError;
+    if (limitMessage) {
+      lastBetText.text = limitMessage;
+      lastBetText.style.fill = colors.notice;
+    } else if (newState.lastResult && !newState.activeRound) {
+      const result = newState.lastResult;
+      lastBetText.text = result.won
+        ? t("panel.won", {
+            amount: formatMoney(result.payout, result.currency),
+            multiplier: result.multiplier
+          })
+        : t("panel.lost", {
+            amount: formatMoney(result.bet, result.currency)
+          });
+      lastBetText.style.fill = result.won ? colors.win : colors.loss;
+    } else if (newState.lastBet) {
+      lastBetText.style.fill = colors.win;
+      lastBetText.text = t("panel.lastBet", {
+        amount: formatMoney(newState.lastBet.bet, newState.currency)
+      });
     } else {
       lastBetText.text = "";
     }
+  };
+  state.subscribe(render);
+
+  // Language change: new labels, then everything laid out again
+  i18n.subscribe(() => {
+    balanceSection.balanceLabel.text = t("panel.balance");
+    quickBetSection.quickBtns[MAX_QUICK_BETS].setText(t("panel.max"));
+    renderTopRow();
+    render(state);
   });
 
   /* ========================================
@@ -636,24 +884,69 @@ export function createBettingPanel(app, callbacks = {}, customWidth = 280) {
     state.updateBalance(balance, currency);
   };
 
+  /**
+   * Place the current bet, as if Place Bet was clicked
+   * @returns {boolean} Whether the bet was sent
+   */
+  panel.placeBet = () => placeBetBtn.placeBet();
+
+  /**
+   * Export the round history for audit
+   * @param {string} format - "json" or "csv"
+   * @param {Object} options - { download } (default true: also save as a file)
+   * @returns {string|null} Exported document, or null if export is unavailable
+   */
+  panel.exportHistory = (format = "json", options = {}) =>
+    callbacks.onExportHistory
+      ? callbacks.onExportHistory(format, options)
+      : null;
+
+  /**
+   * Show the autoplay state on the autoplay button
+   * @param {Object} autoplay - { active, remaining }
+   */
+  panel.setAutoplay = ({ active, remaining }) => {
+    autoplayStatus = { active, remaining };
+    renderTopRow();
+  };
+
   /**
    * Confirm bet was placed successfully
    * @param {Object} betData - Bet data returned from server
    */
   panel.confirmBet = betData => {
-    state.lastBet = betData;
-    state.isBetting = false;
-    state.notify();
+    state.confirmBet(betData);
   };
 
   /**
    * Handle bet error (resets betting state)
+   * @param {Error|string} error - Error that occurred
    */
-  panel.betError = () => {
-    state.isBetting = false;
-    state.notify();
+  panel.betError = error => {
+    state.betError(error);
+  };
+
+  /**
+   * Set the payout multiplier offered on new bets
+   * @param {number} multiplier - Stake multiplier paid on a win
+   */
+  panel.setPayoutMultiplier = multiplier => {
+    state.setPayoutMultiplier(multiplier);
   };
 
+  /**
+   * Start the round opened by the last confirmed bet
+   * @returns {boolean} Whether a round was started
+   */
+  panel.startRound = () => state.startRound();
+
+  /**
+   * Settle the active round with its outcome
+   * @param {Object} outcome - { won, pick, ballPosition }
+   * @returns {Object|null} Settled round result
+   */
+  panel.settleRound = outcome => state.settleRound(outcome);
+
   /**
    * Set the user's session ID
    * @param {string} id - User session ID
@@ -671,5 +964,16 @@ export function createBettingPanel(app, callbacks = {}, customWidth = 280) {
     state.notify();
   };
 
+  /**
+   * Fit the panel to a new width, side by side or stacked
+   * @param {number} width - Panel width
+   * @param {boolean} stack - Stack the sections (portrait screens)
+   */
+  panel.setLayout = (width, stack) => {
+    panelWidth = width;
+    stacked = stack;
+    layout();
+  };
+
   return panel;
 }
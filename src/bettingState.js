@@ -1,3 +1,14 @@
+import { normalizeCurrencyCode, formatMoney } from "./utils/currency.js";
+import { getJwtExpiry } from "./utils/jwt.js";
+import {
+  toMinorUnits,
+  fromMinorUnits,
+  multiplyMinor,
+  roundToStep
+} from "./utils/money.js";
+import { getBetLimits } from "./config/betLimits.js";
+import { t } from "./i18n/index.js";
+
 /**
  * Betting Panel State Management
  * Mimics the Vue Pinia store functionality for managing betting state
@@ -7,17 +18,25 @@ export class BettingState {
   constructor() {
     // Authentication state
     this.sessionToken = null;
+    this.sessionExpiresAt = null; // ms timestamp from the JWT `exp` claim
+    this.authError = null;
     this.userId = null;
     this.providerId = null;
 
-    // User's current balance
-    this.balance = 1000;
-
     // Currency code (USD, EUR, etc.)
     this.currency = "USD";
 
-    // Current bet amount selected by user
-    this.currentBetAmount = 0;
+    // User's current balance (integer minor units of the currency)
+    this.balanceMinor = toMinorUnits(1000, this.currency);
+
+    // Current bet amount selected by user (integer minor units)
+    this.currentBetMinor = 0;
+
+    // Operator bet limits for the currency (minor units)
+    this.limits = getBetLimits(this.currency);
+
+    // Explains the last adjustment made to the bet amount (e.g. "Maximum bet is 500.00 USD")
+    this.betNotice = null;
 
     // Whether a bet is currently being placed
     this.isBetting = false;
@@ -25,8 +44,19 @@ export class BettingState {
     // Last bet information (for display)
     this.lastBet = null;
 
-    // Connection status to backend/socket
-    this.isConnected = true;
+    // Payout multiplier of the selected table and difficulty (a bet is paid
+    // at the multiplier the server confirms with it)
+    this.payoutMultiplier = 1;
+
+    // Round opened by a confirmed bet (null when no round is in play)
+    // status: "open" (bet confirmed, waiting for start) -> "playing"
+    this.activeRound = null;
+
+    // Outcome of the most recently settled round
+    this.lastResult = null;
+
+    // Connection status to backend/socket (set by the game client)
+    this.isConnected = false;
     this.connectionError = null;
 
     // Observer pattern: list of callback functions to notify on state change
@@ -52,56 +82,211 @@ export class BettingState {
     this.listeners.forEach(callback => callback(this));
   }
 
+  /**
+   * Computed: balance in major units (for display)
+   */
+  get balance() {
+    return fromMinorUnits(this.balanceMinor, this.currency);
+  }
+
+  /**
+   * Computed: current bet in major units (for display)
+   */
+  get currentBetAmount() {
+    return fromMinorUnits(this.currentBetMinor, this.currency);
+  }
+
   /**
    * Update user's balance and optionally currency
    * Sets default bet amount if current bet is 0
+   * @param {number} balance - Balance in major units (as sent by the backend)
+   * @param {string|number} currency - Currency code or numeric ID (optional)
    */
   updateBalance(balance, currency = null) {
-    this.balance = balance;
-    if (currency) this.currency = currency;
+    const currencyCode = normalizeCurrencyCode(currency);
+    if (currencyCode) this.changeCurrency(currencyCode);
+    this.balanceMinor = toMinorUnits(balance, this.currency);
 
     // Auto-set default bet amount when balance is first loaded
-    if (this.currentBetAmount === 0 && balance > 0) {
-      this.currentBetAmount = Math.min(10, balance);
+    const requested =
+      this.currentBetMinor === 0
+        ? this.limits.defaultBetMinor
+        : this.currentBetMinor;
+    this.currentBetMinor = this.clampBet(requested).amount;
+    this.notify();
+  }
+
+  /**
+   * Switch currency, re-expressing balance and bet in the new minor units
+   * @param {string} currencyCode - Normalized currency code
+   */
+  changeCurrency(currencyCode) {
+    if (currencyCode === this.currency) return;
+    const balance = this.balance;
+    const betAmount = this.currentBetAmount;
+    this.currency = currencyCode;
+    this.limits = getBetLimits(currencyCode);
+    this.balanceMinor = toMinorUnits(balance, currencyCode);
+    this.currentBetMinor = toMinorUnits(betAmount, currencyCode);
+    this.betNotice = null;
+  }
+
+  /**
+   * Replace the bet limits (e.g. operator limits sent by the server)
+   * @param {Object} limits - Limits in minor units (see getBetLimits)
+   */
+  setBetLimits(limits) {
+    this.limits = { ...this.limits, ...limits };
+    this.currentBetMinor = this.clampBet(this.currentBetMinor).amount;
+    this.notify();
+  }
+
+  /**
+   * Format a minor-unit amount in the current currency (for messages)
+   * @param {number} minor - Amount in minor units
+   * @returns {string} e.g. "10.00 USD"
+   */
+  formatMinor(minor) {
+    return formatMoney(fromMinorUnits(minor, this.currency), this.currency);
+  }
+
+  /**
+   * Fit an amount into the bet limits and the balance
+   * @param {number} minor - Requested bet in minor units
+   * @returns {Object} { amount, notice } - accepted amount and why it differs (or null)
+   */
+  clampBet(minor) {
+    const { minMinor, maxMinor, stepMinor } = this.limits;
+    const cap = roundToStep(Math.min(maxMinor, this.balanceMinor), stepMinor);
+
+    // Nothing placeable: keep the minimum, betLimitError explains why
+    if (cap < minMinor) return { amount: minMinor, notice: null };
+
+    const requested = Math.max(0, minor);
+    let amount = roundToStep(requested, stepMinor);
+    let notice =
+      amount !== requested
+        ? t("bet.rounded", { amount: this.formatMinor(stepMinor) })
+        : null;
+
+    if (amount > cap) {
+      amount = cap;
+      notice =
+        maxMinor <= this.balanceMinor
+          ? t("bet.maximum", { amount: this.formatMinor(maxMinor) })
+          : t("bet.limitedToBalance");
+    } else if (amount < minMinor) {
+      amount = minMinor;
+      notice = t("bet.minimum", { amount: this.formatMinor(minMinor) });
     }
+
+    return { amount, notice };
+  }
+
+  /**
+   * Set bet amount in minor units (fitted to the bet limits and balance)
+   * @param {number} minor - Bet amount in minor units
+   */
+  setBetAmountMinor(minor) {
+    const { amount, notice } = this.clampBet(minor);
+    this.currentBetMinor = amount;
+    this.betNotice = notice;
     this.notify();
   }
 
   /**
-   * Set bet amount (clamped between 0 and balance)
+   * Set bet amount in major units (rounded to the currency's smallest unit)
+   * @param {number} amount - Bet amount in major units
    */
   setBetAmount(amount) {
-    this.currentBetAmount = Math.max(0, Math.min(amount, this.balance));
-    this.notify();
+    this.setBetAmountMinor(toMinorUnits(amount, this.currency));
   }
 
   /**
-   * Increase current bet by amount (default 10)
+   * Increase current bet by amount (default: the currency's bet step)
+   * @param {number} amount - Increment in major units (optional)
    */
-  increaseBet(amount = 10) {
-    this.setBetAmount(this.currentBetAmount + amount);
+  increaseBet(amount = null) {
+    const stepMinor =
+      amount === null
+        ? this.limits.stepMinor
+        : toMinorUnits(amount, this.currency);
+    this.setBetAmountMinor(this.currentBetMinor + stepMinor);
   }
 
   /**
-   * Decrease current bet by amount (default 10)
+   * Decrease current bet by amount (default: the currency's bet step)
+   * @param {number} amount - Decrement in major units (optional)
    */
-  decreaseBet(amount = 10) {
-    this.setBetAmount(this.currentBetAmount - amount);
+  decreaseBet(amount = null) {
+    const stepMinor =
+      amount === null
+        ? this.limits.stepMinor
+        : toMinorUnits(amount, this.currency);
+    this.setBetAmountMinor(this.currentBetMinor - stepMinor);
   }
 
   /**
-   * Set bet amount to maximum (user's balance)
+   * Set bet amount to maximum (maximum bet or balance, whichever is lower)
    */
   setMaxBet() {
-    this.setBetAmount(this.balance);
+    this.setBetAmountMinor(Math.min(this.limits.maxMinor, this.balanceMinor));
+  }
+
+  /**
+   * Computed: why the current bet cannot be placed (null when it is valid)
+   */
+  get betLimitError() {
+    const { minMinor, maxMinor, stepMinor } = this.limits;
+    const bet = this.currentBetMinor;
+
+    if (this.balanceMinor < minMinor) {
+      return t("bet.balanceBelowMinimum", {
+        amount: this.formatMinor(minMinor)
+      });
+    }
+    if (bet < minMinor) {
+      return t("bet.minimum", { amount: this.formatMinor(minMinor) });
+    }
+    if (bet > maxMinor) {
+      return t("bet.maximum", { amount: this.formatMinor(maxMinor) });
+    }
+    if (bet > this.balanceMinor) return t("bet.exceedsBalance");
+    if (bet % stepMinor !== 0) {
+      return t("bet.notMultiple", { amount: this.formatMinor(stepMinor) });
+    }
+    return null;
+  }
+
+  /**
+   * Set the payout multiplier used for new rounds
+   * @param {number} multiplier - Stake multiplier paid on a win
+   */
+  setPayoutMultiplier(multiplier) {
+    this.payoutMultiplier = multiplier;
+    this.notify();
+  }
+
+  /**
+   * Computed: whether a confirmed bet is waiting for its round to start
+   */
+  get hasOpenRound() {
+    return this.activeRound !== null && this.activeRound.status === "open";
+  }
+
+  /**
+   * Computed: whether bet controls are locked (bet pending or round in play)
+   */
+  get isLocked() {
+    return this.isBetting || this.activeRound !== null;
   }
 
   /**
    * Computed: whether user is authenticated
    */
   get isAuthenticated() {
-    // return !!this.sessionToken;
-    return true;
+    if (!this.sessionToken) return false;
+    return this.sessionExpiresAt === null || Date.now() < this.sessionExpiresAt;
   }
 
   /**
@@ -112,10 +297,8 @@ export class BettingState {
     return (
       this.isAuthenticated &&
       this.isConnected &&
-      this.balance > 0 &&
-      this.currentBetAmount > 0 &&
-      this.currentBetAmount <= this.balance &&
-      !this.isBetting
+      this.betLimitError === null &&
+      !this.isLocked
     );
   }
 
@@ -123,14 +306,17 @@ export class BettingState {
    * Computed: whether user can increase bet amount
    */
   get canIncrease() {
-    return !this.isBetting && this.currentBetAmount < this.balance;
+    return (
+      !this.isLocked &&
+      this.currentBetMinor < Math.min(this.limits.maxMinor, this.balanceMinor)
+    );
   }
 
   /**
    * Computed: whether user can decrease bet amount
    */
   get canDecrease() {
-    return !this.isBetting && this.currentBetAmount > 0;
+    return !this.isLocked && this.currentBetMinor > this.limits.minMinor;
   }
 
   /**
@@ -139,8 +325,20 @@ export class BettingState {
    */
   setSession(token) {
     this.sessionToken = token;
+    this.sessionExpiresAt = getJwtExpiry(token);
+    this.authError = null;
+    this.notify();
+  }
+
+  /**
+   * Drop the session after an authentication failure
+   * @param {Error|string} error - Why the session ended
+   */
+  clearSession(error) {
+    this.sessionToken = null;
+    this.sessionExpiresAt = null;
+    this.authError = error;
     this.notify();
-    // TODO: Backend should handle JWT validation and user info
   }
 
   /**
@@ -148,14 +346,14 @@ export class BettingState {
    * @param {Object} data - Identity data
    * @param {string} data.id - User ID
    * @param {string} data.providerId - Provider ID
-   * @param {string} data.currency - Currency code
+   * @param {string|number} data.currency - Currency code or numeric currency ID
    */
-  setIdentity({ id, providerId, currency: currencyCode }) {
+  setIdentity({ id, providerId, currency }) {
     if (id) this.userId = id;
     if (providerId !== undefined) this.providerId = providerId;
+    const currencyCode = normalizeCurrencyCode(currency);
     if (currencyCode) {
-      // TODO: Add currency normalization if needed
-      this.currency = currencyCode;
+      this.changeCurrency(currencyCode);
     }
     this.notify();
   }
@@ -169,13 +367,83 @@ export class BettingState {
   }
 
   /**
-   * Confirm bet was placed successfully
-   * @param {Object} betData - Bet confirmation data
+   * Confirm bet was placed successfully and open a round for it
+   * @param {Object} betData - Bet confirmation data (the multiplier, difficulty
+   *   and plan are the server's)
    */
   confirmBet(betData) {
     this.lastBet = betData;
     this.isBetting = false;
+    const currency = betData.currency || this.currency;
+    const betMinor = toMinorUnits(betData.bet, currency);
+    this.activeRound = {
+      roundId: betData.roundId || null,
+      betMinor,
+      bet: fromMinorUnits(betMinor, currency),
+      currency,
+      difficulty: betData.difficulty || null,
+      multiplier: betData.multiplier,
+      // Where the ball starts and how the cups move, decided by the server
+      plan: betData.plan || null,
+      // Confirmations arrive before the debited balance; a restored round's
+      // stake was already debited when the balance was loaded
+      balanceBeforeMinor: betData.restored
+        ? this.balanceMinor + betMinor
+        : this.balanceMinor,
+      status: "open"
+    };
+    this.notify();
+  }
+
+  /**
+   * Mark the open round as being played (cups revealed and shuffling)
+   * @returns {boolean} Whether a round was started
+   */
+  startRound() {
+    if (!this.hasOpenRound) return false;
+    this.activeRound.status = "playing";
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Settle the active round: credit the payout on a win, record the loss otherwise
+   * @param {Object} outcome - Round outcome
+   * @param {boolean} outcome.won - Whether the player found the ball
+   * @param {number} outcome.pick - Cup index the player picked
+   * @param {number} outcome.ballPosition - Cup index that held the ball
+   * @returns {Object|null} Settled round result, or null if no round was active
+   */
+  settleRound({ won, pick, ballPosition }) {
+    const round = this.activeRound;
+    if (!round) return null;
+
+    const payoutMinor = won
+      ? multiplyMinor(round.betMinor, round.multiplier)
+      : 0;
+
+    this.lastResult = {
+      roundId: round.roundId,
+      bet: round.bet,
+      betMinor: round.betMinor,
+      currency: round.currency,
+      multiplier: round.multiplier,
+      won,
+      pick,
+      ballPosition,
+      payout: fromMinorUnits(payoutMinor, round.currency),
+      payoutMinor,
+      balanceBeforeMinor: round.balanceBeforeMinor,
+      balanceAfterBetMinor: this.balanceMinor,
+      balanceAfterMinor: this.balanceMinor + payoutMinor
+    };
+    this.activeRound = null;
+
+    if (payoutMinor > 0) {
+      this.balanceMinor += payoutMinor;
+    }
     this.notify();
+    return this.lastResult;
   }
 
   /**
@@ -0,0 +1,74 @@
+import { toMinorUnits } from "../utils/money.js";
+
+/**
+ * Bet Limits
+ * Operator-configurable limits per currency, in major units:
+ *   min / max   - smallest and largest accepted stake
+ *   step        - stakes must be a multiple of this (also the +/- increment)
+ *   quickBets   - quick-bet chip amounts (the panel shows up to MAX_QUICK_BETS)
+ *   defaultBet  - stake selected when the balance is first loaded
+ * Currencies without an entry use DEFAULT_BET_LIMITS.
+ */
+
+// Number of quick-bet chips the betting panel has room for
+export const MAX_QUICK_BETS = 3;
+
+export const DEFAULT_BET_LIMITS = {
+  min: 1,
+  max: 500,
+  step: 1,
+  quickBets: [10, 50, 100],
+  defaultBet: 10
+};
+
+export const BET_LIMITS = {
+  USD: DEFAULT_BET_LIMITS,
+  EUR: DEFAULT_BET_LIMITS,
+  GBP: DEFAULT_BET_LIMITS,
+  JPY: {
+    min: 100,
+    max: 50000,
+    step: 100,
+    quickBets: [1000, 5000, 10000],
+    defaultBet: 1000
+  },
+  KRW: {
+    min: 1000,
+    max: 500000,
+    step: 1000,
+    quickBets: [10000, 50000, 100000],
+    defaultBet: 10000
+  },
+  BTC: {
+    min: 0.00001,
+    max: 0.01,
+    step: 0.00001,
+    quickBets: [0.0001, 0.0005, 0.001],
+    defaultBet: 0.0001
+  },
+  ETH: {
+    min: 0.0001,
+    max: 0.2,
+    step: 0.0001,
+    quickBets: [0.002, 0.01, 0.02],
+    defaultBet: 0.002
+  }
+};
+
+/**
+ * Get the bet limits of a currency converted to integer minor units
+ * @param {string} currencyCode - Currency code
+ * @returns {Object} { minMinor, maxMinor, stepMinor, quickBetsMinor, defaultBetMinor }
+ */
+export function getBetLimits(currencyCode) {
+  const limits = BET_LIMITS[currencyCode] || DEFAULT_BET_LIMITS;
+  const toMinor = amount => toMinorUnits(amount, currencyCode);
+
+  return {
+    minMinor: toMinor(limits.min),
+    maxMinor: toMinor(limits.max),
+    stepMinor: Math.max(1, toMinor(limits.step)),
+    quickBetsMinor: limits.quickBets.slice(0, MAX_QUICK_BETS).map(toMinor),
+    defaultBetMinor: toMinor(limits.defaultBet)
+  };
+}
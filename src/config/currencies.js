@@ -0,0 +1,62 @@
+/**
+ * Currency Registry
+ * Numeric IDs follow ISO 4217 where a numeric code exists; crypto currencies
+ * (no ISO code) use the 1000+ range. `decimals` is the number of minor-unit
+ * digits the currency is displayed and settled with.
+ */
+export const CURRENCIES = [
+  { id: 840, code: "USD", symbol: "$", decimals: 2 },
+  { id: 978, code: "EUR", symbol: "€", decimals: 2 },
+  { id: 826, code: "GBP", symbol: "£", decimals: 2 },
+  { id: 124, code: "CAD", symbol: "CA$", decimals: 2 },
+  { id: 36, code: "AUD", symbol: "A$", decimals: 2 },
+  { id: 756, code: "CHF", symbol: "CHF", decimals: 2 },
+  { id: 752, code: "SEK", symbol: "kr", decimals: 2 },
+  { id: 578, code: "NOK", symbol: "kr", decimals: 2 },
+  { id: 985, code: "PLN", symbol: "zł", decimals: 2 },
+  { id: 986, code: "BRL", symbol: "R$", decimals: 2 },
+  { id: 949, code: "TRY", symbol: "₺", decimals: 2 },
+  { id: 356, code: "INR", symbol: "₹", decimals: 2 },
+  { id: 392, code: "JPY", symbol: "¥", decimals: 0 },
+  { id: 410, code: "KRW", symbol: "₩", decimals: 0 },
+  { id: 1001, code: "BTC", symbol: "₿", decimals: 8 },
+  { id: 1002, code: "ETH", symbol: "Ξ", decimals: 8 },
+  { id: 1003, code: "LTC", symbol: "Ł", decimals: 8 },
+  { id: 1004, code: "USDT", symbol: "₮", decimals: 2 }
+];
+
+// Decimals used for codes missing from the registry
+export const DEFAULT_DECIMALS = 2;
+
+const currenciesById = new Map(CURRENCIES.map(c => [c.id, c]));
+const currenciesByCode = new Map(CURRENCIES.map(c => [c.code, c]));
+
+/**
+ * Get the currency code for a numeric currency ID
+ * @param {number} id - Numeric currency ID
+ * @returns {string|null} Currency code, or null if the ID is unknown
+ */
+export function getCurrencyName(id) {
+  const currency = currenciesById.get(id);
+  return currency ? currency.code : null;
+}
+
+/**
+ * Look up a currency by its code
+ * @param {string} code - Currency code (case-insensitive)
+ * @returns {Object|null} Currency entry { id, code, symbol, decimals }
+ */
+export function getCurrency(code) {
+  if (typeof code !== "string") return null;
+  return currenciesByCode.get(code.toUpperCase()) || null;
+}
+
+/**
+ * Get the number of decimal places for a currency
+ * @param {string} code - Currency code
+ * @returns {number} Decimal places (DEFAULT_DECIMALS for unknown codes)
+ */
+export function getCurrencyDecimals(code) {
+  const currency = getCurrency(code);
+  return currency ? currency.decimals : DEFAULT_DECIMALS;
+}
@@ -0,0 +1,98 @@
+import { GAME_CONFIG, getPayoutMultiplier } from "./gameConfig.js";
+import { MOVE_TYPES } from "../shuffleMoves.js";
+
+/**
+ * Difficulty Presets
+ * Each preset sets how a round is shuffled and what a win pays:
+ *   swapCount        - number of moves in the shuffle
+ *   swapDuration     - animation time of one move in ms
+ *   ballFollowChance - chance that a move right after one that carried the
+ *                      ball carries it again (0 - 1)
+ *   moveWeights      - relative weight of each move type (see shuffleMoves.js);
+ *                      moves needing more cups than the table has are skipped
+ *   houseEdgeScale   - share of the configured house edge the preset keeps
+ * A pick at random finds the ball once in cupCount rounds, so a preset
+ * returns multiplier / cupCount of the stake on average (its RTP). Normal
+ * keeps the configured edge and pays the table's multiplier; Easy keeps
+ * twice the edge, and Hard and Insane give part of it back for keeping
+ * track of a longer, faster shuffle. Every scale is above 0, so no preset
+ * returns the whole stake.
+ */
+export const DIFFICULTIES = {
+  easy: {
+    id: "easy",
+    label: "Easy",
+    swapCount: 6,
+    swapDuration: 300,
+    ballFollowChance: 0.3,
+    moveWeights: { [MOVE_TYPES.SWAP]: 1 },
+    houseEdgeScale: 2
+  },
+  normal: {
+    id: "normal",
+    label: "Normal",
+    swapCount: 10,
+    swapDuration: 170,
+    ballFollowChance: 0.5,
+    moveWeights: { [MOVE_TYPES.SWAP]: 4, [MOVE_TYPES.FEINT]: 1 },
+    houseEdgeScale: 1
+  },
+  hard: {
+    id: "hard",
+    label: "Hard",
+    swapCount: 14,
+    swapDuration: 130,
+    ballFollowChance: 0.7,
+    moveWeights: {
+      [MOVE_TYPES.SWAP]: 4,
+      [MOVE_TYPES.FEINT]: 1,
+      [MOVE_TYPES.ROTATE]: 1,
+      [MOVE_TYPES.SLIDE]: 1
+    },
+    houseEdgeScale: 0.75
+  },
+  insane: {
+    id: "insane",
+    label: "Insane",
+    swapCount: 20,
+    swapDuration: 90,
+    ballFollowChance: 0.9,
+    moveWeights: {
+      [MOVE_TYPES.SWAP]: 3,
+      [MOVE_TYPES.FEINT]: 1,
+      [MOVE_TYPES.ROTATE]: 2,
+      [MOVE_TYPES.DOUBLE_SWAP]: 2,
+      [MOVE_TYPES.SLIDE]: 2
+    },
+    houseEdgeScale: 0.5
+  }
+};
+
+// Presets in the order they are offered to the player
+export const DIFFICULTY_ORDER = ["easy", "normal", "hard", "insane"];
+
+/**
+ * Look up a difficulty preset, falling back to the configured default
+ * @param {string} id - Preset ID (e.g. "hard")
+ * @returns {Object} Difficulty preset
+ */
+export function resolveDifficulty(id) {
+  return (
+    DIFFICULTIES[id] ||
+    DIFFICULTIES[GAME_CONFIG.difficulty] ||
+    DIFFICULTIES.normal
+  );
+}
+
+/**
+ * Payout multiplier of a table variant played at a difficulty
+ * @param {number} cupCount - Number of cups
+ * @param {Object} difficulty - Difficulty preset
+ * @returns {number} Stake multiplier paid on a win (2 decimals)
+ */
+export function getDifficultyMultiplier(cupCount, difficulty) {
+  return getPayoutMultiplier(
+    cupCount,
+    GAME_CONFIG.houseEdge * difficulty.houseEdgeScale
+  );
+}
@@ -0,0 +1,56 @@
+/**
+ * Game Configuration
+ * Operator-facing settings for the table variant and betting
+ */
+
+// Supported table variants (number of cups)
+export const MIN_CUPS = 2;
+export const MAX_CUPS = 6;
+
+export const GAME_CONFIG = {
+  // Table variant: number of cups on the table (MIN_CUPS - MAX_CUPS)
+  cupCount: 3,
+
+  // Difficulty preset selected at launch (see config/difficulty.js)
+  difficulty: "normal",
+
+  // Share of the fair payout kept by the house (0.03 = 3%)
+  houseEdge: 0.03,
+
+  // Require a confirmed bet before each round
+  bettingEnabled: true,
+
+  // WebSocket URL of the game server (launch parameter `server` overrides it).
+  // null plays against the in-browser mock backend.
+  serverUrl: null,
+
+  // Skin: a name from public/skins/ or a manifest URL (launch parameter
+  // `skin` overrides it). null uses the built-in classic skin.
+  skin: null
+};
+
+/**
+ * Clamp a configured cup count to a supported table variant
+ * @param {number} cupCount - Requested number of cups
+ * @returns {number} Supported number of cups
+ */
+export function resolveCupCount(cupCount) {
+  const count = Math.round(Number(cupCount));
+  if (!Number.isFinite(count)) return 3;
+  return Math.max(MIN_CUPS, Math.min(MAX_CUPS, count));
+}
+
+/**
+ * Derive the payout multiplier from the odds of the table variant
+ * Finding the ball has a 1 in cupCount chance, so the fair multiplier is
+ * cupCount; the house edge is taken off and the result rounded to 2 decimals.
+ * @param {number} cupCount - Number of cups
+ * @param {number} houseEdge - House edge (0 - 1)
+ * @returns {number} Stake multiplier paid on a win
+ */
+export function getPayoutMultiplier(
+  cupCount,
+  houseEdge = GAME_CONFIG.houseEdge
+) {
+  return Math.floor(cupCount * (1 - houseEdge) * 100) / 100;
+}
@@ -0,0 +1,60 @@
+/**
+ * Screen Layouts
+ * Arrangements of the table for landscape and portrait screens, in canvas
+ * pixels (the canvas is then scaled to fit the screen). Landscape is the
+ * 800x600 table with the betting panel in one row over its bottom edge;
+ * portrait is a narrower table with the panel's sections stacked below it,
+ * so a phone held upright scales the game far less.
+ *   width, height     - canvas size (portrait: table plus the stacked panel)
+ *   tableHeight       - height of the table area (border, skip gesture)
+ *   cupBaseline       - y the cups stand on (they are scaled to fit the width)
+ *   title, score, difficulty, playButton, instructions - y of those elements
+ *   titleWidth        - widest the title may be before it shrinks
+ *   replayControls    - y of the replay controls
+ *   panelY            - top of the betting panel
+ *   panelStacked      - stack the panel's sections instead of one row
+ */
+export const LAYOUTS = {
+  landscape: {
+    width: 800,
+    height: 600,
+    tableHeight: 600,
+    cupBaseline: 550,
+    title: 60,
+    score: 110,
+    difficulty: 150,
+    playButton: 450,
+    instructions: 550,
+    titleWidth: 440, // Between the corner buttons
+    replayControls: 150,
+    panelY: 480,
+    panelStacked: false
+  },
+  portrait: {
+    width: 480,
+    height: 900,
+    tableHeight: 650,
+    cupBaseline: 560,
+    title: 140, // Below the corner buttons
+    score: 185,
+    difficulty: 225,
+    playButton: 470,
+    instructions: 615,
+    titleWidth: 440,
+    replayControls: 225,
+    panelY: 650,
+    panelStacked: true
+  }
+};
+
+/**
+ * Pick the arrangement for the available screen area and the scale that fits it
+ * @param {number} width - Available width (inside the safe area)
+ * @param {number} height - Available height
+ * @returns {Object} { layout, scale }
+ */
+export function fitLayout(width, height) {
+  const layout = height > width ? LAYOUTS.portrait : LAYOUTS.landscape;
+  const scale = Math.min(width / layout.width, height / layout.height);
+  return { layout, scale };
+}
@@ -0,0 +1,88 @@
+/**
+ * Default Skin
+ * The classic wooden-cup look, and the shape every skin manifest follows.
+ * A manifest (JSON, see public/skins/) only lists what it changes; the rest
+ * comes from here. Colours are numbers here and "#rrggbb" strings in JSON.
+ *   textures - images: src (null draws the vector fallback), anchor [x, y]
+ *              and scale (size relative to the vector cup or ball)
+ *   table    - felt colour and border
+ *   cup      - vector cup colours (also the shuffle afterimages)
+ *   ball     - vector ball colours
+ *   text     - title, score and instruction colours
+ *   buttons  - palette of the table buttons (primary: Start, secondary:
+ *              corner toggles; also the difficulty selector) and the
+ *              betting panel buttons
+ *   panel    - betting panel backdrop, bet input, balance and result texts
+ *   overlay  - connection overlay backdrop and message
+ *   fonts    - font families for the title and everything else
+ */
+export const DEFAULT_SKIN = {
+  id: "classic",
+
+  textures: {
+    // No background image ships with the game: the felt is the table colour
+    background: { src: null },
+    cup: { src: "assets/Cup/wooden-cup.png", anchor: [0.5, 1], scale: 1.8 },
+    ball: { src: "assets/Ball/ball.png", anchor: [0.5, 0.5], scale: 1 }
+  },
+
+  table: {
+    color: 0x2d5a27,
+    border: 0x7a7a7a,
+    borderWidth: 8
+  },
+
+  cup: {
+    body: 0x8b4513,
+    rim: 0x654321,
+    inside: 0x1a1a1a,
+    highlight: 0xa0522d,
+    shade: 0x5c3317
+  },
+
+  ball: {
+    color: 0xcc2222,
+    highlight: 0xff6666
+  },
+
+  text: {
+    title: 0xffd700,
+    score: 0xffffff,
+    instructions: 0xcccccc
+  },
+
+  buttons: {
+    primary: { fill: 0xd4af37, border: 0xffd700, text: 0x2d2d2d },
+    secondary: { fill: 0x000000, border: 0xffd700, text: 0xffffff },
+    panel: { fill: 0x333333, border: 0x666666, text: 0xffffff },
+    // Betting panel states: MAX and a stake in play, ready to bet, placing
+    accent: 0x2a5298,
+    confirm: 0x22c55e,
+    pending: 0xffa500
+  },
+
+  panel: {
+    background: 0x000000,
+    input: 0x222222,
+    inputBorder: 0x666666,
+    inputText: 0xffffff,
+    // Focused input border and cursor
+    focus: 0xffd700,
+    label: 0xcccccc,
+    balance: 0xffd700,
+    // Last bet and round results; notice: bet limit messages
+    win: 0x4ade80,
+    loss: 0xf87171,
+    notice: 0xfbbf24
+  },
+
+  overlay: {
+    background: 0x000000,
+    text: 0xffd700
+  },
+
+  fonts: {
+    title: "Georgia, serif",
+    ui: "Arial"
+  }
+};
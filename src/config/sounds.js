@@ -0,0 +1,39 @@
+/**
+ * Sound Configuration
+ * Every sound lives in one audio sprite. The sprite is synthesized at load
+ * (see audio/synthSprite.js); a recorded sprite can replace it by setting
+ * SOUND_SPRITE_URL to a file laid out with the same regions.
+ */
+
+// Sound names
+export const SOUNDS = {
+  LIFT: "lift",
+  LAND: "land",
+  WHOOSH: "whoosh",
+  WIN: "win",
+  LOSS: "loss",
+  CHIP: "chip",
+  BET_CONFIRM: "betConfirm",
+  MUSIC: "music"
+};
+
+// Sprite regions in playing order: name, length in seconds, whether it loops
+// (regions are separated by SPRITE_GAP seconds of silence)
+export const SOUND_SPRITE = [
+  { name: SOUNDS.LIFT, duration: 0.18 },
+  { name: SOUNDS.LAND, duration: 0.22 },
+  { name: SOUNDS.WHOOSH, duration: 0.3 },
+  { name: SOUNDS.WIN, duration: 0.7 },
+  { name: SOUNDS.LOSS, duration: 0.6 },
+  { name: SOUNDS.CHIP, duration: 0.06 },
+  { name: SOUNDS.BET_CONFIRM, duration: 0.3 },
+  { name: SOUNDS.MUSIC, duration: 8, loop: true }
+];
+
+export const SPRITE_GAP = 0.05;
+
+// Recorded sprite file (null: synthesize the sounds)
+export const SOUND_SPRITE_URL = null;
+
+// Move duration (ms) the whoosh is recorded at; faster moves play it higher
+export const WHOOSH_REFERENCE_DURATION = 170;
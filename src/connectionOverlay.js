@@ -0,0 +1,78 @@
+import { Container, Graphics, Text } from "pixi.js";
+import { i18n, t } from "./i18n/index.js";
+import { getSkin } from "./skin.js";
+
+/**
+ * Create the connection overlay shown over the canvas while offline
+ * Dims the table and swallows pointer events so nothing can be clicked.
+ * @param {number} width - Overlay width
+ * @param {number} height - Overlay height
+ * @returns {Container} Overlay container with show/hide/resize methods
+ */
+export function createConnectionOverlay(width, height) {
+  const { overlay: colors, fonts } = getSkin();
+  const overlay = new Container();
+
+  // Dimmed background (also blocks clicks on cups and buttons below)
+  const bg = new Graphics();
+  overlay.addChild(bg);
+
+  const message = new Text({
+    text: "",
+    style: {
+      fontFamily: fonts.ui,
+      fontSize: 28,
+      fontWeight: "bold",
+      fill: colors.text,
+      align: "center"
+    }
+  });
+  message.anchor.set(0.5);
+  overlay.addChild(message);
+
+  /**
+   * Cover a new canvas size
+   * @param {number} newWidth - Overlay width
+   * @param {number} newHeight - Overlay height
+   */
+  overlay.resize = (newWidth, newHeight) => {
+    bg.clear();
+    bg.rect(0, 0, newWidth, newHeight);
+    bg.fill({ color: colors.background, alpha: 0.7 });
+    message.x = newWidth / 2;
+    message.y = newHeight / 2;
+  };
+  overlay.resize(width, height);
+
+  overlay.eventMode = "static";
+  overlay.visible = false;
+
+  // Message shown, re-translated when the language changes
+  let shown = { key: "", params: {} };
+  const render = () => {
+    const { key, params } = shown;
+    message.text = t(key, typeof params === "function" ? params() : params);
+  };
+  i18n.subscribe(render);
+
+  /**
+   * Show the overlay with a message
+   * @param {string} key - Message ID
+   * @param {Object|Function} params - Message parameters (or a function
+   *   returning them, for parameters that are translated themselves)
+   */
+  overlay.show = (key, params = {}) => {
+    shown = { key, params };
+    render();
+    overlay.visible = true;
+  };
+
+  /**
+   * Hide the overlay
+   */
+  overlay.hide = () => {
+    overlay.visible = false;
+  };
+
+  return overlay;
+}
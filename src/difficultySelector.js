@@ -0,0 +1,114 @@
+import { Container, Graphics, Text } from "pixi.js";
+import { DIFFICULTY_ORDER } from "./config/difficulty.js";
+import { bindText } from "./i18n/index.js";
+import { getSkin } from "./skin.js";
+
+const BUTTON_WIDTH = 90;
+const BUTTON_HEIGHT = 28;
+const BUTTON_SPACING = 8;
+
+/**
+ * Draw a selector button background
+ * @param {Graphics} bg - Button background
+ * @param {boolean} selected - Whether the preset is selected
+ */
+function drawButton(bg, selected) {
+  const { primary, secondary, panel } = getSkin().buttons;
+  bg.clear();
+  bg.roundRect(
+    -BUTTON_WIDTH / 2,
+    -BUTTON_HEIGHT / 2,
+    BUTTON_WIDTH,
+    BUTTON_HEIGHT,
+    6
+  );
+  bg.fill({
+    color: selected ? primary.fill : secondary.fill,
+    alpha: selected ? 1 : 0.6
+  });
+  bg.stroke({ color: selected ? primary.border : panel.border, width: 1 });
+}
+
+/**
+ * Create the difficulty selector (one button per preset, centred on x = 0)
+ * @param {Function} onSelect - Called with the preset ID the player clicked
+ * @returns {Container} Selector container with setSelected/setDisabled methods
+ */
+export function createDifficultySelector(onSelect) {
+  const selector = new Container();
+  const buttons = new Map();
+  let disabled = false;
+
+  const totalWidth =
+    DIFFICULTY_ORDER.length * BUTTON_WIDTH +
+    (DIFFICULTY_ORDER.length - 1) * BUTTON_SPACING;
+
+  DIFFICULTY_ORDER.forEach((id, index) => {
+    const button = new Container();
+    const bg = new Graphics();
+    drawButton(bg, false);
+
+    const label = new Text({
+      text: "",
+      style: {
+        fontFamily: getSkin().fonts.ui,
+        fontSize: 14,
+        fontWeight: "bold",
+        fill: getSkin().buttons.secondary.text
+      }
+    });
+    label.anchor.set(0.5);
+
+    // Longer translations shrink to fit the button
+    bindText(text => {
+      label.text = text;
+      label.scale.set(1);
+      label.scale.set(Math.min(1, (BUTTON_WIDTH - 8) / label.width));
+    }, `difficulty.${id}`);
+
+    button.addChild(bg);
+    button.addChild(label);
+    button.bg = bg;
+    button.label = label;
+    button.x =
+      -totalWidth / 2 +
+      BUTTON_WIDTH / 2 +
+      index * (BUTTON_WIDTH + BUTTON_SPACING);
+
+    button.eventMode = "static";
+    button.cursor = "pointer";
+    button.on("pointerdown", () => {
+      if (!disabled) onSelect(id);
+    });
+
+    selector.addChild(button);
+    buttons.set(id, button);
+  });
+
+  /**
+   * Highlight the selected preset
+   * @param {string} selectedId - Preset ID
+   */
+  selector.setSelected = selectedId => {
+    buttons.forEach((button, id) => {
+      const selected = id === selectedId;
+      drawButton(button.bg, selected);
+      const { primary, secondary } = getSkin().buttons;
+      button.label.style.fill = selected ? primary.text : secondary.text;
+    });
+  };
+
+  /**
+   * Lock or unlock the selector (locked once a bet is placed)
+   * @param {boolean} value - Whether the selector is disabled
+   */
+  selector.setDisabled = value => {
+    disabled = value;
+    selector.alpha = value ? 0.5 : 1;
+    buttons.forEach(button => {
+      button.cursor = value ? "not-allowed" : "pointer";
+    });
+  };
+
+  return selector;
+}
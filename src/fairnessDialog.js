@@ -0,0 +1,146 @@
+import { verifyRound } from "./provablyFair.js";
+import { describeMove } from "./shuffleMoves.js";
+import { el, createRow } from "./utils/dom.js";
+import { t, bindText } from "./i18n/index.js";
+
+/**
+ * Create the provably fair dialog (DOM overlay above the canvas)
+ * Shows the committed server seed hash, lets the player edit the client seed
+ * and recomputes the last revealed round on demand.
+ * @param {FairnessSession} session - Fairness session to display
+ * @returns {Object} Dialog API { open, close, element }
+ */
+export function createFairnessDialog(session) {
+  const overlay = el("div", "dialog-overlay");
+  overlay.hidden = true;
+
+  const dialog = el("div", "dialog-box");
+  dialog.setAttribute("role", "dialog");
+  bindText(text => dialog.setAttribute("aria-label", text), "fairness.title");
+  overlay.appendChild(dialog);
+
+  dialog.appendChild(bindText(el("h2", "dialog-title"), "fairness.title"));
+
+  /* ========================================
+   * NEXT ROUND - Commitment and client seed
+   * ======================================== */
+  dialog.appendChild(
+    bindText(el("h3", "dialog-heading"), "fairness.nextRound")
+  );
+  const hashRow = createRow("fairness.serverSeedHash");
+  const nonceRow = createRow("fairness.nonce");
+  dialog.appendChild(hashRow.row);
+  dialog.appendChild(nonceRow.row);
+
+  const seedRow = el("div", "dialog-row");
+  seedRow.appendChild(
+    bindText(el("span", "dialog-label"), "fairness.clientSeed")
+  );
+  const seedInput = el("input", "dialog-input");
+  seedInput.type = "text";
+  seedInput.maxLength = 64;
+  const seedSave = bindText(el("button", "dialog-button"), "dialog.save");
+  seedRow.appendChild(seedInput);
+  seedRow.appendChild(seedSave);
+  dialog.appendChild(seedRow);
+
+  /* ========================================
+   * LAST ROUND - Revealed seed and verification
+   * ======================================== */
+  dialog.appendChild(
+    bindText(el("h3", "dialog-heading"), "fairness.lastRound")
+  );
+  const revealEmpty = bindText(el("p", "dialog-note"), "fairness.empty");
+  const revealRows = {
+    serverSeed: createRow("fairness.serverSeed"),
+    serverSeedHash: createRow("fairness.committedHash"),
+    clientSeed: createRow("fairness.clientSeed"),
+    nonce: createRow("fairness.nonce")
+  };
+  dialog.appendChild(revealEmpty);
+  Object.values(revealRows).forEach(({ row }) => dialog.appendChild(row));
+
+  const verifyBtn = bindText(el("button", "dialog-button"), "fairness.verify");
+  dialog.appendChild(verifyBtn);
+  const result = el("pre", "dialog-result");
+  dialog.appendChild(result);
+
+  const closeBtn = bindText(
+    el("button", "dialog-button dialog-close"),
+    "dialog.close"
+  );
+  dialog.appendChild(closeBtn);
+
+  document.body.appendChild(overlay);
+
+  /**
+   * Refresh dialog contents from the session
+   */
+  const render = () => {
+    hashRow.value.textContent = session.serverSeedHash || "…";
+    nonceRow.value.textContent = String(session.nonce);
+    if (document.activeElement !== seedInput) {
+      seedInput.value = session.clientSeed;
+    }
+    const locked = session.currentRound !== null;
+    seedInput.disabled = locked;
+    seedSave.disabled = locked;
+
+    const reveal = session.lastReveal;
+    revealEmpty.hidden = !!reveal;
+    verifyBtn.hidden = !reveal;
+    Object.entries(revealRows).forEach(([key, { row, value }]) => {
+      row.hidden = !reveal;
+      value.textContent = reveal ? String(reveal[key]) : "";
+    });
+  };
+
+  seedSave.addEventListener("click", () => {
+    if (!session.setClientSeed(seedInput.value)) {
+      seedInput.value = session.clientSeed;
+    }
+  });
+
+  verifyBtn.addEventListener("click", async () => {
+    const reveal = session.lastReveal;
+    if (!reveal) return;
+
+    const verified = await verifyRound(reveal);
+    const lines = [
+      t(
+        verified.hashMatches ? "fairness.hashMatches" : "fairness.hashMismatch"
+      ),
+      t("fairness.ballStarts", { cup: verified.ballPosition + 1 }),
+      ...verified.moves.map((move, i) => `${i + 1}. ${describeMove(move)}`),
+      t("fairness.ballEnds", { cup: verified.finalBallPosition + 1 })
+    ];
+    result.textContent = lines.join("\n");
+  });
+
+  closeBtn.addEventListener("click", () => close());
+  overlay.addEventListener("pointerdown", e => {
+    if (e.target === overlay) close();
+  });
+
+  session.subscribe(() => {
+    if (!overlay.hidden) render();
+  });
+
+  /**
+   * Show the dialog
+   */
+  function open() {
+    result.textContent = "";
+    render();
+    overlay.hidden = false;
+  }
+
+  /**
+   * Hide the dialog
+   */
+  function close() {
+    overlay.hidden = true;
+  }
+
+  return { open, close, element: overlay };
+}
@@ -0,0 +1,245 @@
+/**
+ * Headless Game Engine
+ * Pure round state machine for the shell game - no PixiJS, no DOM.
+ * The rendering layer drives the transitions while it animates and
+ * subscribes to events to update the screen. Runs unchanged in Node.
+ *
+ * Phases: idle -> reveal -> shuffle -> awaitingPick -> resolved -> (reveal ...)
+ */
+
+import { createShufflePlan, applyMove } from "./shuffleMoves.js";
+
+export const PHASES = {
+  IDLE: "idle",
+  REVEAL: "reveal",
+  SHUFFLE: "shuffle",
+  AWAITING_PICK: "awaitingPick",
+  RESOLVED: "resolved"
+};
+
+// Allowed phase transitions
+const TRANSITIONS = {
+  [PHASES.IDLE]: [PHASES.REVEAL],
+  [PHASES.REVEAL]: [PHASES.SHUFFLE, PHASES.IDLE],
+  [PHASES.SHUFFLE]: [PHASES.AWAITING_PICK, PHASES.IDLE],
+  [PHASES.AWAITING_PICK]: [PHASES.RESOLVED, PHASES.IDLE],
+  [PHASES.RESOLVED]: [PHASES.REVEAL, PHASES.IDLE]
+};
+
+/**
+ * Game Engine
+ * Tracks the ball through a round and keeps score
+ */
+export class GameEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {number} options.cupCount - Number of cups on the table
+   * @param {number} options.swapCount - Number of moves per shuffle
+   * @param {Object} options.difficulty - Difficulty preset (overrides swapCount)
+   * @param {Function} options.planRound - (cupCount, swapCount, options) => plan or Promise of plan
+   */
+  constructor({
+    cupCount = 3,
+    swapCount = 10,
+    difficulty = null,
+    planRound = null
+  } = {}) {
+    this.cupCount = cupCount;
+    this.swapCount = swapCount;
+    this.difficulty = null;
+    this.planRound =
+      planRound ||
+      ((count, moveCount, options) =>
+        createShufflePlan(count, moveCount, Math.random, options));
+
+    // Round state
+    this.phase = PHASES.IDLE;
+    this.ballPosition = Math.floor(cupCount / 2);
+    this.plan = null;
+    this.moveIndex = 0;
+    this.lastResult = null;
+
+    // Session score
+    this.score = 0;
+    this.gamesPlayed = 0;
+
+    // Event listeners keyed by event name
+    this.listeners = {};
+
+    if (difficulty) this.setDifficulty(difficulty);
+  }
+
+  /**
+   * Subscribe to an engine event
+   * Events: "phase", "difficulty", "move", "resolved"
+   * @param {string} event - Event name
+   * @param {Function} callback - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(callback);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(
+        cb => cb !== callback
+      );
+    };
+  }
+
+  /**
+   * Emit an event to its subscribers
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach(callback => callback(payload));
+  }
+
+  /**
+   * Move to a new phase (throws on an illegal transition)
+   * @param {string} phase - Target phase
+   */
+  setPhase(phase) {
+    if (!TRANSITIONS[this.phase].includes(phase)) {
+      throw new Error(`Illegal phase transition: ${this.phase} -> ${phase}`);
+    }
+    const previous = this.phase;
+    this.phase = phase;
+    this.emit("phase", { phase, previous });
+  }
+
+  /**
+   * Choose the difficulty for the following rounds (only between rounds)
+   * @param {Object} difficulty - Difficulty preset (see config/difficulty.js)
+   * @returns {boolean} Whether the difficulty was applied
+   */
+  setDifficulty(difficulty) {
+    if (!this.canStart) return false;
+    this.difficulty = difficulty;
+    this.swapCount = difficulty.swapCount;
+    this.emit("difficulty", { difficulty });
+    return true;
+  }
+
+  /**
+   * Computed: whether a new round can be started
+   */
+  get canStart() {
+    return this.phase === PHASES.IDLE || this.phase === PHASES.RESOLVED;
+  }
+
+  /**
+   * Computed: whether the player may pick a cup
+   */
+  get canSelect() {
+    return this.phase === PHASES.AWAITING_PICK;
+  }
+
+  /**
+   * Computed: whether the cups are being shuffled
+   */
+  get isShuffling() {
+    return this.phase === PHASES.SHUFFLE;
+  }
+
+  /**
+   * Start a round: fetch the plan and enter the reveal phase
+   * @returns {Promise<Object>} Round plan { ballPosition, moves }
+   */
+  async startRound() {
+    if (!this.canStart) {
+      throw new Error(`Cannot start a round during "${this.phase}"`);
+    }
+
+    const { ballFollowChance = null, moveWeights } = this.difficulty || {};
+    const plan = await this.planRound(this.cupCount, this.swapCount, {
+      ballFollowChance,
+      moveWeights
+    });
+    this.plan = plan;
+    this.ballPosition = plan.ballPosition;
+    this.moveIndex = 0;
+    this.lastResult = null;
+    this.setPhase(PHASES.REVEAL);
+
+    return plan;
+  }
+
+  /**
+   * Leave the reveal phase and start shuffling
+   */
+  beginShuffle() {
+    this.setPhase(PHASES.SHUFFLE);
+  }
+
+  /**
+   * Apply the next move of the plan and track the ball
+   * @returns {Object|null} Move { type, cups }, or null when the plan is done
+   */
+  nextMove() {
+    if (this.phase !== PHASES.SHUFFLE) return null;
+    if (this.moveIndex >= this.plan.moves.length) return null;
+
+    const move = this.plan.moves[this.moveIndex];
+    this.ballPosition = applyMove(this.ballPosition, move);
+
+    this.emit("move", {
+      index: this.moveIndex,
+      move,
+      ballPosition: this.ballPosition
+    });
+    this.moveIndex++;
+    return move;
+  }
+
+  /**
+   * Finish the shuffle (applying any remaining moves) and wait for a pick
+   */
+  finishShuffle() {
+    while (this.nextMove()) {
+      // Apply remaining moves
+    }
+    this.setPhase(PHASES.AWAITING_PICK);
+  }
+
+  /**
+   * Resolve the round with the player's pick
+   * @param {number} cupIndex - Picked cup index
+   * @returns {Object|null} Result { pick, ballPosition, won }, or null if picking is not allowed
+   */
+  pick(cupIndex) {
+    if (!this.canSelect) return null;
+    if (cupIndex < 0 || cupIndex >= this.cupCount) return null;
+
+    const won = cupIndex === this.ballPosition;
+    this.gamesPlayed++;
+    if (won) this.score++;
+
+    this.lastResult = { pick: cupIndex, ballPosition: this.ballPosition, won };
+    this.setPhase(PHASES.RESOLVED);
+    this.emit("resolved", this.lastResult);
+
+    return this.lastResult;
+  }
+
+  /**
+   * Abort the current round and return to idle
+   */
+  reset() {
+    if (this.phase === PHASES.IDLE) return;
+    this.setPhase(PHASES.IDLE);
+  }
+}
+
+/**
+ * Play a whole round without rendering
+ * @param {GameEngine} engine - Engine to drive
+ * @param {Function} choosePick - (engine) => cup index to pick
+ * @returns {Promise<Object>} Round result { pick, ballPosition, won }
+ */
+export async function simulateRound(engine, choosePick) {
+  await engine.startRound();
+  engine.beginShuffle();
+  engine.finishShuffle();
+  return engine.pick(choosePick(engine));
+}
@@ -0,0 +1,166 @@
+import { formatMoney } from "./utils/currency.js";
+import { fromMinorUnits } from "./utils/money.js";
+import { el } from "./utils/dom.js";
+import { i18n, t, bindText } from "./i18n/index.js";
+
+// Table columns: header message ID and cell text for a round
+const COLUMNS = [
+  [
+    "history.time",
+    round => new Date(round.timestamp).toLocaleString(i18n.language)
+  ],
+  ["history.stake", round => formatMinor(round.stakeMinor, round.currency)],
+  ["history.cup", round => String(round.pick + 1)],
+  ["history.ball", round => String(round.ballPosition + 1)],
+  ["history.payout", round => formatMinor(round.payoutMinor, round.currency)],
+  [
+    "history.balance",
+    round => formatMinor(round.balanceAfterMinor, round.currency)
+  ],
+  [
+    "history.seed",
+    round =>
+      round.fairness
+        ? `#${round.fairness.nonce} ${round.fairness.serverSeedHash.slice(
+            0,
+            8
+          )}…`
+        : "–"
+  ]
+];
+
+/**
+ * Format a minor-unit amount with its currency
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {string} e.g. "10.00 USD"
+ */
+function formatMinor(minor, currency) {
+  return formatMoney(fromMinorUnits(minor, currency), currency);
+}
+
+/**
+ * Create the round history dialog (DOM overlay above the canvas)
+ * Lists the stored rounds, newest first, in a scrollable table.
+ * @param {RoundHistory} history - Round history to display
+ * @param {Function} onExport - Called with "json" or "csv" to export the rounds
+ * @param {Function} onReplay - Called with a round to replay it
+ * @returns {Object} Dialog API { open, close, element }
+ */
+export function createHistoryDialog(history, onExport, onReplay) {
+  const overlay = el("div", "dialog-overlay");
+  overlay.hidden = true;
+
+  const dialog = el("div", "dialog-box dialog-wide");
+  dialog.setAttribute("role", "dialog");
+  bindText(text => dialog.setAttribute("aria-label", text), "history.title");
+  overlay.appendChild(dialog);
+
+  dialog.appendChild(bindText(el("h2", "dialog-title"), "history.title"));
+
+  const empty = bindText(el("p", "dialog-note"), "history.empty");
+  dialog.appendChild(empty);
+
+  const scroller = el("div", "dialog-scroll");
+  const table = el("table", "dialog-table");
+  const headRow = el("tr");
+  COLUMNS.forEach(([header]) =>
+    headRow.appendChild(bindText(el("th"), header))
+  );
+  headRow.appendChild(el("th"));
+  table.appendChild(el("thead")).appendChild(headRow);
+  const body = el("tbody");
+  table.appendChild(body);
+  scroller.appendChild(table);
+  dialog.appendChild(scroller);
+
+  const actions = el("div", "dialog-actions");
+  const exportJsonBtn = bindText(
+    el("button", "dialog-button"),
+    "history.exportJson"
+  );
+  const exportCsvBtn = bindText(
+    el("button", "dialog-button"),
+    "history.exportCsv"
+  );
+  const clearBtn = bindText(el("button", "dialog-button"), "history.clear");
+  const closeBtn = bindText(el("button", "dialog-button"), "dialog.close");
+  actions.appendChild(exportJsonBtn);
+  actions.appendChild(exportCsvBtn);
+  actions.appendChild(clearBtn);
+  actions.appendChild(closeBtn);
+  dialog.appendChild(actions);
+
+  document.body.appendChild(overlay);
+
+  /**
+   * Refresh the table from the history
+   */
+  const render = () => {
+    const { rounds } = history;
+    empty.hidden = rounds.length > 0;
+    scroller.hidden = rounds.length === 0;
+    clearBtn.disabled = rounds.length === 0;
+    exportJsonBtn.disabled = rounds.length === 0;
+    exportCsvBtn.disabled = rounds.length === 0;
+
+    body.replaceChildren(
+      ...rounds.map(round => {
+        const row = el("tr", round.won ? "dialog-won" : "dialog-lost");
+        COLUMNS.forEach(([, cell]) =>
+          row.appendChild(el("td", "", cell(round)))
+        );
+        if (round.fairness) {
+          const { serverSeed, clientSeed, nonce } = round.fairness;
+          row.title = t("history.seedDetails", {
+            serverSeed,
+            clientSeed,
+            nonce: String(nonce)
+          });
+        }
+
+        // Rounds stored before moves were recorded cannot be replayed
+        const replayBtn = el(
+          "button",
+          "dialog-button dialog-small",
+          t("history.replay")
+        );
+        replayBtn.disabled = !round.moves;
+        replayBtn.addEventListener("click", () => onReplay(round));
+        row.appendChild(el("td")).appendChild(replayBtn);
+        return row;
+      })
+    );
+  };
+
+  exportJsonBtn.addEventListener("click", () => onExport("json"));
+  exportCsvBtn.addEventListener("click", () => onExport("csv"));
+  clearBtn.addEventListener("click", () => {
+    if (window.confirm(t("history.confirmClear"))) history.clear();
+  });
+  closeBtn.addEventListener("click", () => close());
+  overlay.addEventListener("pointerdown", e => {
+    if (e.target === overlay) close();
+  });
+
+  history.subscribe(() => {
+    if (!overlay.hidden) render();
+  });
+
+  /**
+   * Show the dialog
+   */
+  function open() {
+    render();
+    overlay.hidden = false;
+  }
+
+  /**
+   * Hide the dialog
+   */
+  function close() {
+    overlay.hidden = true;
+  }
+
+  return { open, close, element: overlay };
+}
@@ -0,0 +1,238 @@
+/**
+ * German messages
+ */
+export const messages = {
+  "language.name": "Deutsch",
+
+  // Table
+  "game.title": "🎩 Hütchenspiel 🎩",
+  "game.score": "Punkte: {score} / {played}",
+  "game.intro": "Behalte die Kugel im Auge und finde sie nach dem Mischen!",
+  "game.start": "Spiel starten",
+  "game.playAgain": "Nochmal spielen",
+  "game.turboOn": "⚡ Turbo: An",
+  "game.turboOff": "⚡ Turbo: Aus",
+  "game.settings": "⚙ Einstellungen",
+  "game.sound": "🔊 Ton an",
+  "game.muted": "🔇 Stumm",
+  "game.reveal": "Pass genau auf, wo die Kugel liegt...",
+  "game.shuffling":
+    "Mischen... (klicken oder Leertaste drücken zum Überspringen)",
+  "game.pick":
+    "Klicke auf einen Becher oder drücke 1–{count}, um die Kugel aufzudecken!",
+  "game.found": "🎉 Gefunden! 🎉",
+  "game.wrongCup": "❌ Falscher Becher! Die Kugel war hier.",
+  "game.placeBetFirst": "Platziere einen Einsatz, um die Runde zu starten!",
+  "game.planFailed":
+    "Die Runde konnte nicht vorbereitet werden (sichere Verbindung erforderlich). Bitte versuche es erneut.",
+  "game.watchShuffle": "Jetzt gut aufpassen, die Becher werden gemischt...",
+  "game.betConfirmed": "Einsatz bestätigt! Drücke „Spiel starten“.",
+  "game.betRejected": "Einsatz abgelehnt: {reason}",
+  "game.betRestored": "Einsatz wiederhergestellt! Drücke „Spiel starten“.",
+  "game.finishBeforeReplay":
+    "Beende die laufende Runde, bevor du eine Wiederholung ansiehst.",
+  "game.finishBeforeAutoplay":
+    "Beende die laufende Runde, bevor du Autoplay startest.",
+
+  // Loading screen
+  "loading.init": "Spiel wird gestartet...",
+  "loading.skin": "Lade Design...",
+  "loading.textures": "Texturen werden geladen...",
+  "loading.failed": {
+    one: "{count} Bild konnte nicht geladen werden. Fehlende Bilder werden als einfache Grafiken gezeichnet.",
+    other:
+      "{count} Bilder konnten nicht geladen werden. Fehlende Bilder werden als einfache Grafiken gezeichnet."
+  },
+  "loading.retry": "Erneut versuchen",
+  "loading.continue": "Weiter",
+  "loading.table": "Tisch wird aufgebaut...",
+  "loading.cups": "Becher werden aufgestellt...",
+  "loading.ui": "Oberfläche wird erstellt...",
+  "loading.betting": "Wettbereich wird eingerichtet...",
+  "loading.ready": "Bereit!",
+
+  // Connection overlay
+  "connection.connecting": "Verbinden…",
+  "connection.reconnecting": "Neu verbinden… (Versuch {attempt})",
+  "connection.closed": "Verbindung getrennt",
+  "connection.sessionEnded":
+    "Sitzung beendet\n{reason}\nBitte starte das Spiel erneut aus der Lobby.",
+
+  // Failure reasons (reason codes, see net/protocol.js)
+  "reason.missingToken": "Kein Starttoken übermittelt",
+  "reason.noLaunchToken": "Spiel ohne Starttoken geöffnet",
+  "reason.authFailed": "Anmeldung fehlgeschlagen",
+  "reason.sessionExpired": "Deine Sitzung ist abgelaufen",
+  "reason.notAuthenticated": "Nicht angemeldet",
+  "reason.notConnected": "Nicht verbunden",
+  "reason.connectionLost": "Verbindung verloren",
+  "reason.noAnswer": "Keine Antwort vom Server",
+  "reason.roundInProgress": "Es läuft bereits eine Runde",
+  "reason.currencyMismatch": "Falsche Währung",
+  "reason.unknownTable": "Unbekannter Tisch",
+  "reason.unknownDifficulty": "Unbekannter Schwierigkeitsgrad",
+  "reason.invalidAmount": "Ungültiger Einsatz",
+  "reason.belowMinimum": "Einsatz unter dem Minimum",
+  "reason.aboveMaximum": "Einsatz über dem Maximum",
+  "reason.offStep": "Einsatz ist kein Vielfaches der Schrittweite",
+  "reason.insufficientFunds": "Guthaben reicht nicht aus",
+  "reason.planFailed": "Die Runde konnte nicht vorbereitet werden",
+  "reason.unknown": "Unbekannter Fehler ({code})",
+
+  // Difficulty presets
+  "difficulty.easy": "Leicht",
+  "difficulty.normal": "Normal",
+  "difficulty.hard": "Schwer",
+  "difficulty.insane": "Wahnsinn",
+
+  // Shuffle moves
+  "move.cup": "Becher {cup}",
+  "move.swap": "Tausch: {a} ↔ {b}",
+  "move.rotate": "Rotation: {a} → {b} → {c} → {a}",
+  "move.doubleSwap": "Doppeltausch: {a} ↔ {b}, {c} ↔ {d}",
+  "move.feint": "Finte: {a} ↔ {b} (keine Änderung)",
+  "move.slide": "Schieben: {a} ↔ {b}",
+
+  // Betting panel
+  "panel.balance": "Guthaben:",
+  "panel.amount": "Betrag",
+  "panel.max": "MAX",
+  "panel.placeBet": "Einsatz setzen: {amount}",
+  "panel.placing": "Wird gesetzt...",
+  "panel.inPlay": "Im Spiel: {amount}",
+  "panel.won": "{amount} gewonnen ({multiplier}x)",
+  "panel.lost": "{amount} verloren",
+  "panel.lastBet": "Letzter Einsatz: {amount}",
+  "panel.fairness": "🔒 Fairness",
+  "panel.autoplay": "▶ Autoplay",
+  "panel.stopAutoplay": "■ Stopp (noch {count})",
+  "panel.history": "📜 Verlauf",
+
+  // Bet limits
+  "bet.rounded": "Einsatz auf ein Vielfaches von {amount} gerundet",
+  "bet.maximum": "Höchsteinsatz ist {amount}",
+  "bet.minimum": "Mindesteinsatz ist {amount}",
+  "bet.limitedToBalance": "Einsatz auf dein Guthaben begrenzt",
+  "bet.balanceBelowMinimum":
+    "Guthaben liegt unter dem Mindesteinsatz von {amount}",
+  "bet.exceedsBalance": "Einsatz übersteigt dein Guthaben",
+  "bet.notMultiple": "Einsatz muss ein Vielfaches von {amount} sein",
+
+  // Autoplay
+  "autoplay.stopped": "Autoplay beendet: {reason}",
+  "autoplay.winLimit": "Gewinnlimit erreicht",
+  "autoplay.lossLimit": "Verlustlimit erreicht",
+  "autoplay.balanceLimit": "Guthaben unter das Limit gefallen",
+  "autoplay.finished": {
+    one: "{count} Runde gespielt",
+    other: "{count} Runden gespielt"
+  },
+  "autoplay.stakeNotAllowed": "Einsatz nicht mehr erlaubt",
+  "autoplay.betFailed": "Einsatz konnte nicht gesetzt werden",
+  "autoplay.betRejected": "Einsatz abgelehnt",
+  "autoplay.interrupted": "Runde unterbrochen",
+  "autoplay.stoppedByPlayer": "Vom Spieler gestoppt",
+  "autoplay.title": "▶ Autoplay",
+  "autoplay.rounds": "Runden",
+  "autoplay.stake": "Einsatz ({currency})",
+  "autoplay.pick": "Wahl",
+  "autoplay.randomCup": "Zufälliger Becher",
+  "autoplay.alwaysCup": "Immer Becher {cup}",
+  "autoplay.stopWhen": "Stoppen, wenn",
+  "autoplay.off": "aus",
+  "autoplay.winAbove": "ein Gewinn mehr auszahlt als",
+  "autoplay.lossReaches": "der Gesamtverlust erreicht",
+  "autoplay.balanceBelow": "das Guthaben fällt unter",
+  "autoplay.clickStops": "Ein Klick irgendwohin stoppt Autoplay ebenfalls.",
+  "autoplay.enterRounds": "Gib die Anzahl der Runden ein",
+  "autoplay.enterStake": "Gib einen Einsatz ein",
+  "autoplay.invalidStop": "Stoppbedingungen müssen Beträge sein (oder leer)",
+
+  // Replay
+  "replay.watermark": "WIEDERHOLUNG",
+  "replay.pause": "⏸ Pause",
+  "replay.play": "▶ Abspielen",
+  "replay.step": "⏭ Schritt",
+  "replay.exit": "✖ Beenden",
+  "replay.unavailable": "Wiederholung nicht verfügbar: {reason}",
+  "replay.noMoves": "Die Runde wurde ohne ihre Mischzüge gespeichert",
+  "replay.cupCount": {
+    one: "Die Runde wurde mit {count} Becher gespielt",
+    other: "Die Runde wurde mit {count} Bechern gespielt"
+  },
+  "replay.mismatch": "Die gespeicherten Züge passen nicht zum Ergebnis",
+  "replay.reveal": "Wiederholung: Die Kugel startet hier...",
+  "replay.move": "Wiederholung, Zug {index} / {total}: {move}",
+  "replay.picked": "Wiederholung: Becher {cup} gewählt",
+  "replay.found":
+    "Wiederholung: Die Kugel wurde gefunden. „Beenden“ führt zurück.",
+  "replay.missed":
+    "Wiederholung: Die Kugel wurde verfehlt. „Beenden“ führt zurück.",
+
+  // Dialogs
+  "dialog.close": "Schließen",
+  "dialog.cancel": "Abbrechen",
+  "dialog.start": "Starten",
+  "dialog.save": "Speichern",
+  "history.title": "📜 Rundenverlauf",
+  "history.empty": "Noch keine Runden gespielt.",
+  "history.time": "Zeit",
+  "history.stake": "Einsatz",
+  "history.cup": "Becher",
+  "history.ball": "Kugel",
+  "history.payout": "Auszahlung",
+  "history.balance": "Guthaben",
+  "history.seed": "Seed",
+  "history.seedDetails":
+    "Server-Seed: {serverSeed}\nClient-Seed: {clientSeed}\nNonce: {nonce}",
+  "history.replay": "Wiederholen",
+  "history.exportJson": "JSON exportieren",
+  "history.exportCsv": "CSV exportieren",
+  "history.clear": "Verlauf löschen",
+  "history.confirmClear": "Den gespeicherten Rundenverlauf löschen?",
+  "fairness.title": "🔒 Nachweislich fair",
+  "fairness.nextRound": "Nächste Runde",
+  "fairness.lastRound": "Letzte Runde",
+  "fairness.serverSeedHash": "Server-Seed-Hash",
+  "fairness.serverSeed": "Server-Seed",
+  "fairness.committedHash": "Zugesagter Hash",
+  "fairness.clientSeed": "Client-Seed",
+  "fairness.nonce": "Nonce",
+  "fairness.empty": "Noch keine Runde gespielt.",
+  "fairness.verify": "Prüfen",
+  "fairness.hashMatches":
+    "✔ SHA-256(Server-Seed) stimmt mit dem zugesagten Hash überein",
+  "fairness.hashMismatch":
+    "✘ SHA-256(Server-Seed) stimmt NICHT mit dem zugesagten Hash überein",
+  "fairness.ballStarts": "Die Kugel startet unter Becher {cup}",
+  "fairness.ballEnds": "Die Kugel endet unter Becher {cup}",
+  "settings.title": "⚙ Einstellungen",
+  "settings.language": "Sprache",
+  "settings.automatic": "Automatisch",
+  "settings.reducedMotion": "Reduzierte Bewegung",
+  "settings.reducedMotionNote":
+    "Langsamere Tauschzüge ohne Bögen; Becher blenden aus statt sich zu heben.",
+  "settings.highContrast": "Hoher Kontrast",
+  "settings.highContrastNote":
+    "Umrandete, gemusterte Kugel und Auswahlmarkierungen.",
+  "settings.sfxVolume": "Effektlautstärke",
+  "settings.musicVolume": "Musiklautstärke",
+
+  // Screen reader
+  "a11y.cups": "Becher",
+  "a11y.cup": "Becher {cup}",
+  "a11y.betting": "Einsatz",
+  "a11y.decreaseBet": "Einsatz verringern",
+  "a11y.increaseBet": "Einsatz erhöhen",
+  "a11y.placeBet": "Einsatz setzen",
+  "a11y.startGame": "Spiel starten",
+  "a11y.betSummary": "Einsatz {bet}, Guthaben {balance}",
+  "a11y.reveal": "Achte darauf, wo die Kugel liegt",
+  "a11y.shuffling": "Mischen",
+  "a11y.pick": "Wähle einen Becher, 1 bis {count}",
+  "a11y.found": "Gefunden!",
+  "a11y.wrongCup": "Falscher Becher. Die Kugel lag unter Becher {cup}.",
+  "a11y.betConfirmed":
+    "Einsatz bestätigt. Drücke die Eingabetaste, um das Spiel zu starten.",
+  "a11y.betRejected": "Einsatz abgelehnt: {reason}"
+};
@@ -0,0 +1,231 @@
+/**
+ * English messages (the fallback catalogue: every message ID is defined here)
+ */
+export const messages = {
+  "language.name": "English",
+
+  // Table
+  "game.title": "🎩 Thimblerig 🎩",
+  "game.score": "Score: {score} / {played}",
+  "game.intro": "Watch the ball, then find it after the shuffle!",
+  "game.start": "Start Game",
+  "game.playAgain": "Play Again",
+  "game.turboOn": "⚡ Turbo: On",
+  "game.turboOff": "⚡ Turbo: Off",
+  "game.settings": "⚙ Settings",
+  "game.sound": "🔊 Sound",
+  "game.muted": "🔇 Muted",
+  "game.reveal": "Watch carefully where the ball is...",
+  "game.shuffling": "Shuffling... (click or press Space to skip)",
+  "game.pick": "Click on a cup or press 1–{count} to reveal the ball!",
+  "game.found": "🎉 You found it! 🎉",
+  "game.wrongCup": "❌ Wrong cup! The ball was here.",
+  "game.placeBetFirst": "Place a bet to start the round!",
+  "game.planFailed":
+    "Could not prepare the round (secure connection required). Please try again.",
+  "game.watchShuffle": "Now watch the cups shuffle...",
+  "game.betConfirmed": "Bet confirmed! Press Start Game to play.",
+  "game.betRejected": "Bet rejected: {reason}",
+  "game.betRestored": "Bet restored! Press Start Game to play.",
+  "game.finishBeforeReplay":
+    "Finish the current round before watching a replay.",
+  "game.finishBeforeAutoplay":
+    "Finish the current round before starting autoplay.",
+
+  // Loading screen
+  "loading.init": "Initializing game...",
+  "loading.skin": "Loading skin...",
+  "loading.textures": "Loading textures...",
+  "loading.failed": {
+    one: "{count} image could not be loaded. Missing images are drawn as simple graphics.",
+    other:
+      "{count} images could not be loaded. Missing images are drawn as simple graphics."
+  },
+  "loading.retry": "Retry",
+  "loading.continue": "Continue",
+  "loading.table": "Setting up table...",
+  "loading.cups": "Placing cups...",
+  "loading.ui": "Creating UI...",
+  "loading.betting": "Setting up betting panel...",
+  "loading.ready": "Ready!",
+
+  // Connection overlay
+  "connection.connecting": "Connecting…",
+  "connection.reconnecting": "Reconnecting… (attempt {attempt})",
+  "connection.closed": "Disconnected",
+  "connection.sessionEnded":
+    "Session ended\n{reason}\nPlease relaunch the game from the lobby.",
+
+  // Failure reasons (reason codes, see net/protocol.js)
+  "reason.missingToken": "No launch token was sent",
+  "reason.noLaunchToken": "The game was opened without a launch token",
+  "reason.authFailed": "Sign-in failed",
+  "reason.sessionExpired": "Your session has expired",
+  "reason.notAuthenticated": "Not signed in",
+  "reason.notConnected": "Not connected",
+  "reason.connectionLost": "Connection lost",
+  "reason.noAnswer": "No answer from the server",
+  "reason.roundInProgress": "A round is already in progress",
+  "reason.currencyMismatch": "Wrong currency",
+  "reason.unknownTable": "Unknown table",
+  "reason.unknownDifficulty": "Unknown difficulty",
+  "reason.invalidAmount": "Invalid bet amount",
+  "reason.belowMinimum": "Bet below the minimum",
+  "reason.aboveMaximum": "Bet above the maximum",
+  "reason.offStep": "Bet is not a multiple of the bet step",
+  "reason.insufficientFunds": "Insufficient funds",
+  "reason.planFailed": "The round could not be prepared",
+  "reason.unknown": "Unknown error ({code})",
+
+  // Difficulty presets
+  "difficulty.easy": "Easy",
+  "difficulty.normal": "Normal",
+  "difficulty.hard": "Hard",
+  "difficulty.insane": "Insane",
+
+  // Shuffle moves
+  "move.cup": "cup {cup}",
+  "move.swap": "Swap: {a} ↔ {b}",
+  "move.rotate": "Rotate: {a} → {b} → {c} → {a}",
+  "move.doubleSwap": "Double swap: {a} ↔ {b}, {c} ↔ {d}",
+  "move.feint": "Feint: {a} ↔ {b} (no change)",
+  "move.slide": "Slide: {a} ↔ {b}",
+
+  // Betting panel
+  "panel.balance": "Balance:",
+  "panel.amount": "Amount",
+  "panel.max": "MAX",
+  "panel.placeBet": "Place Bet: {amount}",
+  "panel.placing": "Placing...",
+  "panel.inPlay": "In Play: {amount}",
+  "panel.won": "Won {amount} ({multiplier}x)",
+  "panel.lost": "Lost {amount}",
+  "panel.lastBet": "Last Bet: {amount}",
+  "panel.fairness": "🔒 Fairness",
+  "panel.autoplay": "▶ Autoplay",
+  "panel.stopAutoplay": "■ Stop ({count} left)",
+  "panel.history": "📜 History",
+
+  // Bet limits
+  "bet.rounded": "Bet rounded to a multiple of {amount}",
+  "bet.maximum": "Maximum bet is {amount}",
+  "bet.minimum": "Minimum bet is {amount}",
+  "bet.limitedToBalance": "Bet limited to your balance",
+  "bet.balanceBelowMinimum": "Balance is below the minimum bet of {amount}",
+  "bet.exceedsBalance": "Bet exceeds your balance",
+  "bet.notMultiple": "Bet must be a multiple of {amount}",
+
+  // Autoplay
+  "autoplay.stopped": "Autoplay stopped: {reason}",
+  "autoplay.winLimit": "Win limit reached",
+  "autoplay.lossLimit": "Loss limit reached",
+  "autoplay.balanceLimit": "Balance dropped below the limit",
+  "autoplay.finished": {
+    one: "Finished {count} round",
+    other: "Finished {count} rounds"
+  },
+  "autoplay.stakeNotAllowed": "Stake no longer allowed",
+  "autoplay.betFailed": "Bet could not be placed",
+  "autoplay.betRejected": "Bet rejected",
+  "autoplay.interrupted": "Round interrupted",
+  "autoplay.stoppedByPlayer": "Stopped by player",
+  "autoplay.title": "▶ Autoplay",
+  "autoplay.rounds": "Rounds",
+  "autoplay.stake": "Stake ({currency})",
+  "autoplay.pick": "Pick",
+  "autoplay.randomCup": "Random cup",
+  "autoplay.alwaysCup": "Always cup {cup}",
+  "autoplay.stopWhen": "Stop when",
+  "autoplay.off": "off",
+  "autoplay.winAbove": "A win pays more than",
+  "autoplay.lossReaches": "Total loss reaches",
+  "autoplay.balanceBelow": "Balance drops below",
+  "autoplay.clickStops": "Clicking anywhere also stops autoplay.",
+  "autoplay.enterRounds": "Enter the number of rounds",
+  "autoplay.enterStake": "Enter a stake",
+  "autoplay.invalidStop": "Stop conditions must be amounts (or empty)",
+
+  // Replay
+  "replay.watermark": "REPLAY",
+  "replay.pause": "⏸ Pause",
+  "replay.play": "▶ Play",
+  "replay.step": "⏭ Step",
+  "replay.exit": "✖ Exit",
+  "replay.unavailable": "Replay unavailable: {reason}",
+  "replay.noMoves": "Round was stored without its shuffle",
+  "replay.cupCount": {
+    one: "Round was played with {count} cup",
+    other: "Round was played with {count} cups"
+  },
+  "replay.mismatch": "Stored moves do not match the result",
+  "replay.reveal": "Replay: the ball starts here...",
+  "replay.move": "Replay move {index} / {total}: {move}",
+  "replay.picked": "Replay: cup {cup} picked",
+  "replay.found": "Replay: the ball was found. Press Exit to return.",
+  "replay.missed": "Replay: the ball was missed. Press Exit to return.",
+
+  // Dialogs
+  "dialog.close": "Close",
+  "dialog.cancel": "Cancel",
+  "dialog.start": "Start",
+  "dialog.save": "Save",
+  "history.title": "📜 Round History",
+  "history.empty": "No rounds played yet.",
+  "history.time": "Time",
+  "history.stake": "Stake",
+  "history.cup": "Cup",
+  "history.ball": "Ball",
+  "history.payout": "Payout",
+  "history.balance": "Balance",
+  "history.seed": "Seed",
+  "history.seedDetails":
+    "Server seed: {serverSeed}\nClient seed: {clientSeed}\nNonce: {nonce}",
+  "history.replay": "Replay",
+  "history.exportJson": "Export JSON",
+  "history.exportCsv": "Export CSV",
+  "history.clear": "Clear history",
+  "history.confirmClear": "Delete the stored round history?",
+  "fairness.title": "🔒 Provably Fair",
+  "fairness.nextRound": "Next round",
+  "fairness.lastRound": "Last round",
+  "fairness.serverSeedHash": "Server seed hash",
+  "fairness.serverSeed": "Server seed",
+  "fairness.committedHash": "Committed hash",
+  "fairness.clientSeed": "Client seed",
+  "fairness.nonce": "Nonce",
+  "fairness.empty": "No round played yet.",
+  "fairness.verify": "Verify",
+  "fairness.hashMatches": "✔ SHA-256(server seed) matches the committed hash",
+  "fairness.hashMismatch":
+    "✘ SHA-256(server seed) does NOT match the committed hash",
+  "fairness.ballStarts": "Ball starts under cup {cup}",
+  "fairness.ballEnds": "Ball ends under cup {cup}",
+  "settings.title": "⚙ Settings",
+  "settings.language": "Language",
+  "settings.automatic": "Automatic",
+  "settings.reducedMotion": "Reduced motion",
+  "settings.reducedMotionNote":
+    "Slower swaps without arcs; cups fade instead of lifting.",
+  "settings.highContrast": "High contrast",
+  "settings.highContrastNote":
+    "Outlined, patterned ball and selection highlights.",
+  "settings.sfxVolume": "Effects volume",
+  "settings.musicVolume": "Music volume",
+
+  // Screen reader
+  "a11y.cups": "Cups",
+  "a11y.cup": "Cup {cup}",
+  "a11y.betting": "Betting",
+  "a11y.decreaseBet": "Decrease bet",
+  "a11y.increaseBet": "Increase bet",
+  "a11y.placeBet": "Place bet",
+  "a11y.startGame": "Start game",
+  "a11y.betSummary": "Bet {bet}, balance {balance}",
+  "a11y.reveal": "Watch where the ball is",
+  "a11y.shuffling": "Shuffling",
+  "a11y.pick": "Pick a cup, 1 to {count}",
+  "a11y.found": "You found it!",
+  "a11y.wrongCup": "Wrong cup. The ball was under cup {cup}.",
+  "a11y.betConfirmed": "Bet confirmed. Press Enter to start the game.",
+  "a11y.betRejected": "Bet rejected: {reason}"
+};
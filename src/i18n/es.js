@@ -0,0 +1,238 @@
+/**
+ * Spanish messages
+ */
+export const messages = {
+  "language.name": "Español",
+
+  // Table
+  "game.title": "🎩 Trile 🎩",
+  "game.score": "Puntos: {score} / {played}",
+  "game.intro": "¡Sigue la bola y encuéntrala después de mezclar!",
+  "game.start": "Empezar",
+  "game.playAgain": "Jugar de nuevo",
+  "game.turboOn": "⚡ Turbo: Sí",
+  "game.turboOff": "⚡ Turbo: No",
+  "game.settings": "⚙ Ajustes",
+  "game.sound": "🔊 Sonido",
+  "game.muted": "🔇 Silencio",
+  "game.reveal": "Fíjate bien dónde está la bola...",
+  "game.shuffling": "Mezclando... (haz clic o pulsa Espacio para saltar)",
+  "game.pick": "¡Haz clic en un vaso o pulsa 1–{count} para descubrir la bola!",
+  "game.found": "🎉 ¡La encontraste! 🎉",
+  "game.wrongCup": "❌ ¡Vaso equivocado! La bola estaba aquí.",
+  "game.placeBetFirst": "¡Haz una apuesta para empezar la ronda!",
+  "game.planFailed":
+    "No se pudo preparar la ronda (se requiere una conexión segura). Inténtalo de nuevo.",
+  "game.watchShuffle": "Ahora mira cómo se mezclan los vasos...",
+  "game.betConfirmed": "¡Apuesta confirmada! Pulsa Empezar para jugar.",
+  "game.betRejected": "Apuesta rechazada: {reason}",
+  "game.betRestored": "¡Apuesta recuperada! Pulsa Empezar para jugar.",
+  "game.finishBeforeReplay":
+    "Termina la ronda actual antes de ver una repetición.",
+  "game.finishBeforeAutoplay":
+    "Termina la ronda actual antes de iniciar el juego automático.",
+
+  // Loading screen
+  "loading.init": "Iniciando el juego...",
+  "loading.skin": "Cargando aspecto...",
+  "loading.textures": "Cargando texturas...",
+  "loading.failed": {
+    one: "No se pudo cargar {count} imagen. Las imágenes que faltan se dibujan como gráficos simples.",
+    other:
+      "No se pudieron cargar {count} imágenes. Las imágenes que faltan se dibujan como gráficos simples."
+  },
+  "loading.retry": "Reintentar",
+  "loading.continue": "Continuar",
+  "loading.table": "Preparando la mesa...",
+  "loading.cups": "Colocando los vasos...",
+  "loading.ui": "Creando la interfaz...",
+  "loading.betting": "Preparando el panel de apuestas...",
+  "loading.ready": "¡Listo!",
+
+  // Connection overlay
+  "connection.connecting": "Conectando…",
+  "connection.reconnecting": "Reconectando… (intento {attempt})",
+  "connection.closed": "Desconectado",
+  "connection.sessionEnded":
+    "La sesión ha terminado\n{reason}\nVuelve a abrir el juego desde el lobby.",
+
+  // Failure reasons (reason codes, see net/protocol.js)
+  "reason.missingToken": "No se envió el token de inicio",
+  "reason.noLaunchToken": "El juego se abrió sin token de inicio",
+  "reason.authFailed": "Error al iniciar sesión",
+  "reason.sessionExpired": "Tu sesión ha caducado",
+  "reason.notAuthenticated": "Sesión no iniciada",
+  "reason.notConnected": "Sin conexión",
+  "reason.connectionLost": "Se perdió la conexión",
+  "reason.noAnswer": "El servidor no responde",
+  "reason.roundInProgress": "Ya hay una ronda en curso",
+  "reason.currencyMismatch": "Moneda incorrecta",
+  "reason.unknownTable": "Mesa desconocida",
+  "reason.unknownDifficulty": "Dificultad desconocida",
+  "reason.invalidAmount": "Importe de apuesta no válido",
+  "reason.belowMinimum": "Apuesta por debajo del mínimo",
+  "reason.aboveMaximum": "Apuesta por encima del máximo",
+  "reason.offStep": "La apuesta no es múltiplo del incremento",
+  "reason.insufficientFunds": "Saldo insuficiente",
+  "reason.planFailed": "No se pudo preparar la ronda",
+  "reason.unknown": "Error desconocido ({code})",
+
+  // Difficulty presets
+  "difficulty.easy": "Fácil",
+  "difficulty.normal": "Normal",
+  "difficulty.hard": "Difícil",
+  "difficulty.insane": "Locura",
+
+  // Shuffle moves
+  "move.cup": "vaso {cup}",
+  "move.swap": "Cambio: {a} ↔ {b}",
+  "move.rotate": "Rotación: {a} → {b} → {c} → {a}",
+  "move.doubleSwap": "Doble cambio: {a} ↔ {b}, {c} ↔ {d}",
+  "move.feint": "Finta: {a} ↔ {b} (sin cambio)",
+  "move.slide": "Deslizar: {a} ↔ {b}",
+
+  // Betting panel
+  "panel.balance": "Saldo:",
+  "panel.amount": "Importe",
+  "panel.max": "MÁX",
+  "panel.placeBet": "Apostar: {amount}",
+  "panel.placing": "Apostando...",
+  "panel.inPlay": "En juego: {amount}",
+  "panel.won": "Ganaste {amount} ({multiplier}x)",
+  "panel.lost": "Perdiste {amount}",
+  "panel.lastBet": "Última apuesta: {amount}",
+  "panel.fairness": "🔒 Equidad",
+  "panel.autoplay": "▶ Automático",
+  "panel.stopAutoplay": "■ Parar (quedan {count})",
+  "panel.history": "📜 Historial",
+
+  // Bet limits
+  "bet.rounded": "Apuesta redondeada a un múltiplo de {amount}",
+  "bet.maximum": "La apuesta máxima es {amount}",
+  "bet.minimum": "La apuesta mínima es {amount}",
+  "bet.limitedToBalance": "Apuesta limitada a tu saldo",
+  "bet.balanceBelowMinimum":
+    "El saldo es inferior a la apuesta mínima de {amount}",
+  "bet.exceedsBalance": "La apuesta supera tu saldo",
+  "bet.notMultiple": "La apuesta debe ser múltiplo de {amount}",
+
+  // Autoplay
+  "autoplay.stopped": "Juego automático detenido: {reason}",
+  "autoplay.winLimit": "Límite de ganancia alcanzado",
+  "autoplay.lossLimit": "Límite de pérdida alcanzado",
+  "autoplay.balanceLimit": "El saldo bajó del límite",
+  "autoplay.finished": {
+    one: "{count} ronda jugada",
+    other: "{count} rondas jugadas"
+  },
+  "autoplay.stakeNotAllowed": "La apuesta ya no está permitida",
+  "autoplay.betFailed": "No se pudo hacer la apuesta",
+  "autoplay.betRejected": "Apuesta rechazada",
+  "autoplay.interrupted": "Ronda interrumpida",
+  "autoplay.stoppedByPlayer": "Detenido por el jugador",
+  "autoplay.title": "▶ Juego automático",
+  "autoplay.rounds": "Rondas",
+  "autoplay.stake": "Apuesta ({currency})",
+  "autoplay.pick": "Elección",
+  "autoplay.randomCup": "Vaso al azar",
+  "autoplay.alwaysCup": "Siempre el vaso {cup}",
+  "autoplay.stopWhen": "Parar cuando",
+  "autoplay.off": "no",
+  "autoplay.winAbove": "un premio pague más de",
+  "autoplay.lossReaches": "la pérdida total llegue a",
+  "autoplay.balanceBelow": "el saldo baje de",
+  "autoplay.clickStops":
+    "Hacer clic en cualquier parte también detiene el juego automático.",
+  "autoplay.enterRounds": "Indica el número de rondas",
+  "autoplay.enterStake": "Indica una apuesta",
+  "autoplay.invalidStop":
+    "Las condiciones de parada deben ser importes (o estar vacías)",
+
+  // Replay
+  "replay.watermark": "REPETICIÓN",
+  "replay.pause": "⏸ Pausa",
+  "replay.play": "▶ Seguir",
+  "replay.step": "⏭ Paso",
+  "replay.exit": "✖ Salir",
+  "replay.unavailable": "Repetición no disponible: {reason}",
+  "replay.noMoves": "La ronda se guardó sin su mezcla",
+  "replay.cupCount": {
+    one: "La ronda se jugó con {count} vaso",
+    other: "La ronda se jugó con {count} vasos"
+  },
+  "replay.mismatch": "Los movimientos guardados no coinciden con el resultado",
+  "replay.reveal": "Repetición: la bola empieza aquí...",
+  "replay.move": "Repetición, movimiento {index} / {total}: {move}",
+  "replay.picked": "Repetición: vaso {cup} elegido",
+  "replay.found":
+    "Repetición: la bola fue encontrada. Pulsa Salir para volver.",
+  "replay.missed":
+    "Repetición: la bola no fue encontrada. Pulsa Salir para volver.",
+
+  // Dialogs
+  "dialog.close": "Cerrar",
+  "dialog.cancel": "Cancelar",
+  "dialog.start": "Empezar",
+  "dialog.save": "Guardar",
+  "history.title": "📜 Historial de rondas",
+  "history.empty": "Aún no se ha jugado ninguna ronda.",
+  "history.time": "Hora",
+  "history.stake": "Apuesta",
+  "history.cup": "Vaso",
+  "history.ball": "Bola",
+  "history.payout": "Premio",
+  "history.balance": "Saldo",
+  "history.seed": "Semilla",
+  "history.seedDetails":
+    "Semilla del servidor: {serverSeed}\nSemilla del cliente: {clientSeed}\nNonce: {nonce}",
+  "history.replay": "Repetir",
+  "history.exportJson": "Exportar JSON",
+  "history.exportCsv": "Exportar CSV",
+  "history.clear": "Borrar historial",
+  "history.confirmClear": "¿Borrar el historial de rondas guardado?",
+  "fairness.title": "🔒 Demostrablemente justo",
+  "fairness.nextRound": "Próxima ronda",
+  "fairness.lastRound": "Última ronda",
+  "fairness.serverSeedHash": "Hash de la semilla del servidor",
+  "fairness.serverSeed": "Semilla del servidor",
+  "fairness.committedHash": "Hash comprometido",
+  "fairness.clientSeed": "Semilla del cliente",
+  "fairness.nonce": "Nonce",
+  "fairness.empty": "Aún no se ha jugado ninguna ronda.",
+  "fairness.verify": "Verificar",
+  "fairness.hashMatches":
+    "✔ SHA-256(semilla del servidor) coincide con el hash comprometido",
+  "fairness.hashMismatch":
+    "✘ SHA-256(semilla del servidor) NO coincide con el hash comprometido",
+  "fairness.ballStarts": "La bola empieza bajo el vaso {cup}",
+  "fairness.ballEnds": "La bola termina bajo el vaso {cup}",
+  "settings.title": "⚙ Ajustes",
+  "settings.language": "Idioma",
+  "settings.automatic": "Automático",
+  "settings.reducedMotion": "Movimiento reducido",
+  "settings.reducedMotionNote":
+    "Cambios más lentos y sin arcos; los vasos se desvanecen en vez de levantarse.",
+  "settings.highContrast": "Alto contraste",
+  "settings.highContrastNote":
+    "Bola con contorno y patrón, y selección resaltada.",
+  "settings.sfxVolume": "Volumen de efectos",
+  "settings.musicVolume": "Volumen de música",
+
+  // Screen reader
+  "a11y.cups": "Vasos",
+  "a11y.cup": "Vaso {cup}",
+  "a11y.betting": "Apuestas",
+  "a11y.decreaseBet": "Bajar apuesta",
+  "a11y.increaseBet": "Subir apuesta",
+  "a11y.placeBet": "Apostar",
+  "a11y.startGame": "Empezar partida",
+  "a11y.betSummary": "Apuesta {bet}, saldo {balance}",
+  "a11y.reveal": "Fíjate dónde está la bola",
+  "a11y.shuffling": "Mezclando",
+  "a11y.pick": "Elige un vaso, del 1 al {count}",
+  "a11y.found": "¡La encontraste!",
+  "a11y.wrongCup": "Vaso equivocado. La bola estaba bajo el vaso {cup}.",
+  "a11y.betConfirmed":
+    "Apuesta confirmada. Pulsa Intro para empezar la partida.",
+  "a11y.betRejected": "Apuesta rechazada: {reason}"
+};
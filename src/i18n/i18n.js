@@ -0,0 +1,145 @@
+/**
+ * I18n
+ * Looks messages up in per-language catalogues, picks plural forms and
+ * interpolates parameters. Catalogues are flat objects keyed by dotted
+ * message IDs; a message is a string with `{name}` placeholders, or an object
+ * of plural forms ({ one, other, ... }) chosen by the `count` parameter.
+ * Missing messages fall back to the fallback language, then to the key.
+ * Uses the same observer pattern as BettingState: subscribers re-render
+ * their text when the language changes.
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+/**
+ * Pick the first supported language from the requested ones
+ * A regional tag ("de-AT") matches its base language ("de").
+ * @param {Array<string|null>} requested - Language tags in order of preference
+ * @param {Array<string>} available - Supported languages
+ * @param {string} fallback - Language used when none matches
+ * @returns {string} Supported language
+ */
+export function resolveLanguage(
+  requested,
+  available,
+  fallback = DEFAULT_LANGUAGE
+) {
+  for (const tag of requested) {
+    if (typeof tag !== "string" || tag.trim() === "") continue;
+    const code = tag.trim().toLowerCase();
+    if (available.includes(code)) return code;
+    const base = code.split("-")[0];
+    if (available.includes(base)) return base;
+  }
+  return fallback;
+}
+
+export class I18n {
+  /**
+   * @param {Object} options - I18n options
+   * @param {Object} options.catalogues - Messages by language code
+   * @param {string} options.language - Initial language
+   * @param {string} options.fallback - Language used for missing messages
+   */
+  constructor({
+    catalogues,
+    language = DEFAULT_LANGUAGE,
+    fallback = DEFAULT_LANGUAGE
+  }) {
+    this.catalogues = catalogues;
+    this.fallback = fallback;
+    this.language = fallback;
+    this.listeners = [];
+
+    this.setLanguage(language);
+  }
+
+  /**
+   * Subscribe to language changes
+   * @param {Function} callback - Function to call when the language changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify all subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach(callback => callback(this));
+  }
+
+  /**
+   * Supported language codes
+   */
+  get languages() {
+    return Object.keys(this.catalogues);
+  }
+
+  /**
+   * Name of a language in that language (for the language picker)
+   * @param {string} language - Language code
+   * @returns {string} e.g. "Deutsch"
+   */
+  getLanguageName(language) {
+    const catalogue = this.catalogues[language];
+    return (catalogue && catalogue["language.name"]) || language;
+  }
+
+  /**
+   * Switch the language
+   * @param {string} language - Language code
+   * @returns {boolean} Whether the language is supported
+   */
+  setLanguage(language) {
+    if (!this.catalogues[language]) return false;
+    if (language === this.language && this.pluralRules) return true;
+
+    this.language = language;
+    this.pluralRules = new Intl.PluralRules(language);
+    this.numberFormat = new Intl.NumberFormat(language);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Message ID
+   * @param {Object} params - Placeholder values (numbers are formatted for the
+   *                          language; `count` also selects the plural form)
+   * @returns {string} Translated text
+   */
+  t(key, params = {}) {
+    let message = this.lookup(key);
+    if (message === null) return key;
+
+    if (typeof message === "object") {
+      const form = this.pluralRules.select(Number(params.count) || 0);
+      message = message[form] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      const value = params[name];
+      return typeof value === "number"
+        ? this.numberFormat.format(value)
+        : String(value);
+    });
+  }
+
+  /**
+   * Find a message in the current or the fallback catalogue
+   * @param {string} key - Message ID
+   * @returns {string|Object|null} Message, or null if it is missing
+   */
+  lookup(key) {
+    const catalogue = this.catalogues[this.language];
+    if (key in catalogue) return catalogue[key];
+    const fallback = this.catalogues[this.fallback];
+    return fallback && key in fallback ? fallback[key] : null;
+  }
+}
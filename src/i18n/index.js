@@ -0,0 +1,45 @@
+import { I18n } from "./i18n.js";
+import { messages as en } from "./en.js";
+import { messages as de } from "./de.js";
+import { messages as es } from "./es.js";
+
+/**
+ * Shared translator for the whole UI
+ * main.js picks the language at launch (see resolveLanguage); every
+ * component translates through t() and re-renders on i18n changes.
+ */
+export const i18n = new I18n({ catalogues: { en, de, es } });
+
+/**
+ * Translate a message in the current language
+ * @param {string} key - Message ID
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated text
+ */
+export function t(key, params) {
+  return i18n.t(key, params);
+}
+
+/**
+ * Show a message on a text target and keep it translated
+ * @param {Text|HTMLElement|Function} target - Pixi Text, DOM element, or a
+ *   function called with the text (e.g. to set an attribute)
+ * @param {string} key - Message ID
+ * @param {Object} params - Placeholder values
+ * @returns {Text|HTMLElement|Function} The target, for chaining
+ */
+export function bindText(target, key, params = {}) {
+  const apply = () => {
+    const text = i18n.t(key, params);
+    if (typeof target === "function") {
+      target(text);
+    } else if ("textContent" in target) {
+      target.textContent = text;
+    } else {
+      target.text = text;
+    }
+  };
+  apply();
+  i18n.subscribe(apply);
+  return target;
+}
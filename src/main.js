@@ -4,33 +4,79 @@ import {
   Graphics,
   Text,
   Rectangle,
-  Assets,
   Sprite
 } from "pixi.js";
 import { createBettingPanel } from "./bettingPanel.js";
-
-// Game constants
+import { FairnessSession, RemoteFairnessSession } from "./provablyFair.js";
+import { createFairnessDialog } from "./fairnessDialog.js";
+import { GameEngine, PHASES } from "./gameEngine.js";
+import {
+  MOVE_TYPES,
+  getMoveDestinations,
+  describeMove
+} from "./shuffleMoves.js";
+import { GAME_CONFIG, resolveCupCount } from "./config/gameConfig.js";
+import {
+  resolveDifficulty,
+  getDifficultyMultiplier
+} from "./config/difficulty.js";
+import { createDifficultySelector } from "./difficultySelector.js";
+import { Timeline } from "./animation/timeline.js";
+import { AutoplaySession } from "./autoplay.js";
+import { createAutoplayDialog } from "./autoplayDialog.js";
+import { RoundHistory } from "./roundHistory.js";
+import { createHistoryDialog } from "./historyDialog.js";
+import { exportRoundsJson, exportRoundsCsv } from "./roundExport.js";
+import { ReplaySession, getReplayError } from "./replay.js";
+import { createReplayOverlay } from "./replayOverlay.js";
+import { createAccessibilityLayer } from "./accessibilityLayer.js";
+import { GameSettings } from "./settings.js";
+import { SoundEngine } from "./audio/soundEngine.js";
+import { SOUNDS, WHOOSH_REFERENCE_DURATION } from "./config/sounds.js";
+import { createSettingsDialog } from "./settingsDialog.js";
+import { i18n, t } from "./i18n/index.js";
+import { resolveLanguage } from "./i18n/i18n.js";
+import { downloadText } from "./utils/dom.js";
+import { computeCupLayout } from "./utils/cupLayout.js";
+import { GameClient, CONNECTION_STATUS } from "./net/gameClient.js";
+import { createConnectionOverlay } from "./connectionOverlay.js";
+import { createMockBackend, createLoopbackSocket } from "./net/mockBackend.js";
+import { getSkin, setSkin, loadSkin } from "./skin.js";
+import { loadAssetBundle } from "./assetLoader.js";
+import { LAYOUTS, fitLayout } from "./config/layouts.js";
+
+// Game constants (GAME_WIDTH: the table width the cups are laid out on; the
+// screen layout scales them to fit its own width)
 const GAME_WIDTH = 800;
-const GAME_HEIGHT = 600;
-const CUP_COUNT = 3;
+const CUP_COUNT = resolveCupCount(GAME_CONFIG.cupCount);
 const CUP_WIDTH = 90;
 const CUP_HEIGHT = 130;
-const CUP_SPACING = 160;
+const CUP_SPACING = 160; // Natural spacing, shrinks when more cups need to fit
+const TABLE_MARGIN = 40;
 const CUP_Y = 550;
 const BALL_RADIUS = 40;
-const SHUFFLE_SPEED = 170; // ms per swap (faster!)
-const SHUFFLE_COUNT = 10;
-
-// Game state
-let ballPosition = 0;
-let isShuffling = false;
-let isRevealing = false;
-let canSelect = false;
-let score = 0;
-let gamesPlayed = 0;
+const CUP_HIT_SCALE = 1.8; // Click target size over CUP_WIDTH/HEIGHT (whatever the skin draws)
+const TURBO_SPEED = 3; // Timeline speed factor while Turbo is on
+const AUTOPLAY_PAUSE = 1000; // ms between autoplay rounds
+const REDUCED_MOTION_SLOWDOWN = 2; // Move duration factor in reduced-motion mode
+const FADED_CUP_ALPHA = 0.25; // Cup opacity of a "lifted" cup in reduced-motion mode
+const CORNER_MARGIN = 20; // Gap between the corner buttons and the table edge
+const CORNER_BUTTON_WIDTH = 120; // Minimum corner button width (labels may widen it)
+
+// Cup positions and scale for the configured table variant
+const CUP_LAYOUT = computeCupLayout(CUP_COUNT, {
+  gameWidth: GAME_WIDTH,
+  spacing: CUP_SPACING,
+  margin: TABLE_MARGIN
+});
+
+// Betting constants
+const BETTING_ENABLED = GAME_CONFIG.bettingEnabled;
 
 // Game objects
 let app;
+let layout = LAYOUTS.landscape; // Screen arrangement (see config/layouts.js)
+let tableBackground;
 let cups = [];
 let ball;
 let ui;
@@ -38,51 +84,84 @@ let gameContainer;
 let cupsContainer;
 let afterimages = []; // For motion blur effect
 let bettingPanel;
-
-// Easing function
-function easeInOutQuad(t) {
-  return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
-}
-
-// Animation helper using app.ticker
-function animate(target, props, duration) {
-  return new Promise(resolve => {
-    const startProps = {};
-    for (const key in props) {
-      startProps[key] = target[key];
-    }
-
-    let elapsed = 0;
-    const ticker = delta => {
-      elapsed += delta.deltaTime * (1000 / 60);
-      const progress = Math.min(elapsed / duration, 1);
-      const eased = easeInOutQuad(progress);
-
-      for (const key in props) {
-        target[key] = startProps[key] + (props[key] - startProps[key]) * eased;
-      }
-
-      if (progress >= 1) {
-        app.ticker.remove(ticker);
-        resolve();
-      }
-    };
-
-    app.ticker.add(ticker);
-  });
+let gameClient;
+let connectionOverlay;
+let difficultySelector;
+let turboEnabled = false;
+// Instructions shown (message ID and params), re-translated on a language change
+let instructionsMessage = { key: "game.intro", params: {} };
+
+// Keyboard focus on the cups (shown as a ring while a pick is awaited)
+let accessibility;
+let focusRing;
+let focusedCup = 0;
+let keyboardFocus = false;
+
+// All game tweens run on one timeline (driven by app.ticker)
+const timeline = new Timeline();
+
+// Autoplay series and its settings dialog
+const autoplay = new AutoplaySession();
+let autoplayDialog;
+
+// Display settings (reduced motion, high contrast) and their menu
+const settings = new GameSettings();
+let settingsDialog;
+let ballMarker; // High-contrast outline and pattern drawn over the ball
+
+// Sound effects and music (levels and mute come from the settings)
+const sound = new SoundEngine();
+
+// Stored rounds and the history overlay
+const roundHistory = new RoundHistory();
+let historyDialog;
+
+// Replay of stored rounds and its controls
+const replay = new ReplaySession();
+let replayOverlay;
+
+// Provably fair seeds and verification dialog. With betting the server
+// holds the seeds and plans every round; without, the browser does.
+const fairness = BETTING_ENABLED
+  ? new RemoteFairnessSession(seed => gameClient.setClientSeed(seed))
+  : new FairnessSession();
+let fairnessDialog;
+
+// Game state (headless engine): bet rounds play the plan confirmed with the
+// bet, practice rounds are planned from the local fairness seeds.
+// The difficulty preset sets the number, speed and kinds of moves and the payout.
+const engine = new GameEngine({
+  cupCount: CUP_COUNT,
+  difficulty: resolveDifficulty(GAME_CONFIG.difficulty),
+  planRound: (cupCount, swapCount, options) =>
+    BETTING_ENABLED
+      ? getServerPlan()
+      : fairness.createRoundPlan(cupCount, swapCount, options)
+});
+
+// Plan of the round opened by the confirmed bet (decided by the server)
+function getServerPlan() {
+  const round = bettingPanel.state.activeRound;
+  if (!round || !round.plan) {
+    throw new Error("The server sent no plan for this round");
+  }
+  return round.plan;
 }
 
-// Create the ball
+// Create the ball (drawn in the skin's colours without a texture)
 function createBall(texture) {
+  const skin = getSkin();
+
   if (texture) {
     // Use texture-based ball
     const ballSprite = new Sprite(texture);
 
-    // Scale the ball (texture is 544x459, make it fit BALL_RADIUS * 2)
-    const ballSize = BALL_RADIUS * 2;
+    // Fit the image to BALL_RADIUS * 2, times the skin's scale
+    const { anchor, scale } = skin.textures.ball;
+    const ballSize = BALL_RADIUS * 2 * scale;
     ballSprite.width = ballSize;
     ballSprite.height = ballSize;
-    ballSprite.anchor.set(0.5, 0.5); // Center anchor
+    ballSprite.anchor.set(anchor[0], anchor[1]);
 
     return ballSprite;
   }
@@ -96,11 +175,11 @@ function createBall(texture) {
 
   // Main ball
   ballGraphic.circle(0, 0, BALL_RADIUS);
-  ballGraphic.fill({ color: 0xcc2222 });
+  ballGraphic.fill({ color: skin.ball.color });
 
   // Highlight
   ballGraphic.circle(-8, -8, BALL_RADIUS * 0.4);
-  ballGraphic.fill({ color: 0xff6666, alpha: 0.6 });
+  ballGraphic.fill({ color: skin.ball.highlight, alpha: 0.6 });
 
   // Small shine
   ballGraphic.circle(-5, -5, BALL_RADIUS * 0.15);
@@ -109,28 +188,28 @@ function createBall(texture) {
   return ballGraphic;
 }
 
-// Create a cup graphic
+// Create a cup graphic (drawn in the skin's colours without a texture)
 function createCup(index, texture) {
+  const skin = getSkin();
   const cupContainer = new Container();
 
   if (texture) {
     // Use texture-based cup
     const cupSprite = new Sprite(texture);
 
-    // Scale the sprite larger (texture is 488x511, scale it to be more visible)
-    // Make it 1.5x larger than the original CUP_WIDTH/HEIGHT
-    const scaledWidth = CUP_WIDTH * 1.8;
-    const scaledHeight = CUP_HEIGHT * 1.8;
-
-    cupSprite.width = scaledWidth;
-    cupSprite.height = scaledHeight;
-    cupSprite.anchor.set(0.5, 1); // Anchor at bottom center
+    // Scale the sprite by the skin's factor over CUP_WIDTH/HEIGHT; the
+    // anchor is the point that sits on the table (bottom center by default)
+    const { anchor, scale } = skin.textures.cup;
+    cupSprite.width = CUP_WIDTH * scale;
+    cupSprite.height = CUP_HEIGHT * scale;
+    cupSprite.anchor.set(anchor[0], anchor[1]);
     cupSprite.y = 0; // Position at container origin
 
     cupContainer.addChild(cupSprite);
 
     // Store cup data
     cupContainer.cupIndex = index;
+    cupContainer.drawScale = scale;
     cupContainer.isLifted = false;
     cupContainer.originalY = CUP_Y;
 
@@ -156,21 +235,21 @@ function createCup(index, texture) {
     CUP_HEIGHT - 15
   ];
   cup.poly(cupPath);
-  cup.fill({ color: 0x8b4513 });
+  cup.fill({ color: skin.cup.body });
 
   // Bottom rounded rim (ellipse)
   cup.ellipse(0, CUP_HEIGHT - 15, CUP_WIDTH * 0.5, 15);
-  cup.fill({ color: 0x8b4513 });
+  cup.fill({ color: skin.cup.body });
 
   // Bottom rim edge highlight
   cup.ellipse(0, CUP_HEIGHT - 15, CUP_WIDTH * 0.5, 15);
-  cup.stroke({ color: 0x654321, width: 2 });
+  cup.stroke({ color: skin.cup.rim, width: 2 });
 
   // Cup rim (ellipse at top)
   cup.ellipse(0, 0, CUP_WIDTH * 0.35, 12);
-  cup.fill({ color: 0x654321 });
+  cup.fill({ color: skin.cup.rim });
   cup.ellipse(0, 0, CUP_WIDTH * 0.3, 8);
-  cup.fill({ color: 0x1a1a1a }); // dark inside
+  cup.fill({ color: skin.cup.inside }); // dark inside
 
   // Left highlight
   const highlightPath = [
@@ -184,7 +263,7 @@ function createCup(index, texture) {
     CUP_HEIGHT - 15
   ];
   cup.poly(highlightPath);
-  cup.fill({ color: 0xa0522d, alpha: 0.5 });
+  cup.fill({ color: skin.cup.highlight, alpha: 0.5 });
 
   // Right shadow
   const shadowPath = [
@@ -198,43 +277,49 @@ function createCup(index, texture) {
     CUP_HEIGHT - 15
   ];
   cup.poly(shadowPath);
-  cup.fill({ color: 0x5c3317, alpha: 0.5 });
+  cup.fill({ color: skin.cup.shade, alpha: 0.5 });
 
   cupContainer.addChild(cup);
 
   // Store cup data
   cupContainer.cupIndex = index;
+  cupContainer.drawScale = 1;
   cupContainer.isLifted = false;
   cupContainer.originalY = CUP_Y;
 
   return cupContainer;
 }
 
-// Create a button
-function createButton(text, x, y) {
+// Create a button (widens to fit longer labels)
+function createButton(text) {
+  const { buttons, fonts } = getSkin();
   const button = new Container();
 
   const bg = new Graphics();
-  bg.roundRect(-80, -25, 160, 50, 12);
-  bg.fill({ color: 0xd4af37 });
-  bg.roundRect(-78, -23, 156, 46, 10);
-  bg.stroke({ color: 0xffd700, width: 2 });
-
   const label = new Text({
-    text: text,
+    text: "",
     style: {
-      fontFamily: "Arial",
+      fontFamily: fonts.ui,
       fontSize: 22,
       fontWeight: "bold",
-      fill: 0x2d2d2d
+      fill: buttons.primary.text
     }
   });
   label.anchor.set(0.5);
 
   button.addChild(bg);
   button.addChild(label);
-  button.x = x;
-  button.y = y;
+
+  button.setText = value => {
+    label.text = value;
+    const width = Math.max(160, Math.ceil(label.width) + 40);
+    bg.clear();
+    bg.roundRect(-width / 2, -25, width, 50, 12);
+    bg.fill({ color: buttons.primary.fill });
+    bg.roundRect(-width / 2 + 2, -23, width - 4, 46, 10);
+    bg.stroke({ color: buttons.primary.border, width: 2 });
+  };
+  button.setText(text);
 
   button.eventMode = "static";
   button.cursor = "pointer";
@@ -249,17 +334,97 @@ function createButton(text, x, y) {
   return button;
 }
 
-// Create UI elements
+// Create the Turbo toggle button (x is its right edge, so longer labels
+// widen it towards the table)
+function createTurboButton() {
+  const { buttons, fonts } = getSkin();
+  const button = new Container();
+
+  const bg = new Graphics();
+  const label = new Text({
+    text: "",
+    style: {
+      fontFamily: fonts.ui,
+      fontSize: 16,
+      fontWeight: "bold",
+      fill: buttons.secondary.text
+    }
+  });
+  label.anchor.set(0.5);
+
+  button.addChild(bg);
+  button.addChild(label);
+
+  // Redraw for the on/off state
+  button.setActive = active => {
+    label.text = t(active ? "game.turboOn" : "game.turboOff");
+    const palette = active ? buttons.primary : buttons.secondary;
+    label.style.fill = palette.text;
+    const width = Math.max(CORNER_BUTTON_WIDTH, Math.ceil(label.width) + 24);
+    label.x = -width / 2;
+    bg.clear();
+    bg.roundRect(-width, -18, width, 36, 10);
+    bg.fill({ color: palette.fill, alpha: active ? 1 : 0.6 });
+    bg.stroke({ color: palette.border, width: 2 });
+  };
+  button.setActive(false);
+
+  button.eventMode = "static";
+  button.cursor = "pointer";
+
+  return button;
+}
+
+// Create a small button for the table corners (settings, sound); x is its
+// left edge, so longer labels widen it towards the table
+function createCornerButton(text) {
+  const { buttons, fonts } = getSkin();
+  const button = new Container();
+
+  const bg = new Graphics();
+  const label = new Text({
+    text: "",
+    style: {
+      fontFamily: fonts.ui,
+      fontSize: 16,
+      fontWeight: "bold",
+      fill: buttons.secondary.text
+    }
+  });
+  label.anchor.set(0.5);
+
+  button.addChild(bg);
+  button.addChild(label);
+  button.setText = value => {
+    label.text = value;
+    const width = Math.max(CORNER_BUTTON_WIDTH, Math.ceil(label.width) + 24);
+    label.x = width / 2;
+    bg.clear();
+    bg.roundRect(0, -18, width, 36, 10);
+    bg.fill({ color: buttons.secondary.fill, alpha: 0.6 });
+    bg.stroke({ color: buttons.secondary.border, width: 2 });
+  };
+  button.setText(text);
+
+  button.eventMode = "static";
+  button.cursor = "pointer";
+
+  return button;
+}
+
+// Create UI elements (texts are set by renderUIText, positions that depend
+// on the screen layout by applyLayout)
 function createUI() {
+  const { fonts, text: textColors } = getSkin();
   const uiContainer = new Container();
 
   // Title
   const title = new Text({
-    text: "🎩 Thimblerig 🎩",
+    text: "",
     style: {
-      fontFamily: "Georgia, serif",
+      fontFamily: fonts.title,
       fontSize: 42,
-      fill: 0xffd700,
+      fill: textColors.title,
       stroke: { color: 0x000000, width: 4 },
       dropShadow: {
         color: 0x000000,
@@ -269,72 +434,106 @@ function createUI() {
     }
   });
   title.anchor.set(0.5);
-  title.x = GAME_WIDTH / 2;
-  title.y = 60;
+  title.label = "title";
   uiContainer.addChild(title);
 
   // Score display
   const scoreText = new Text({
-    text: "Score: 0 / 0",
+    text: "",
     style: {
-      fontFamily: "Arial",
+      fontFamily: fonts.ui,
       fontSize: 24,
-      fill: 0xffffff
+      fill: textColors.score
     }
   });
   scoreText.anchor.set(0.5);
-  scoreText.x = GAME_WIDTH / 2;
-  scoreText.y = 110;
   scoreText.label = "scoreText";
   uiContainer.addChild(scoreText);
 
-  // Instructions
+  // Instructions (wrap onto a second line when a translation is too long)
   const instructions = new Text({
-    text: "Watch the ball, then find it after the shuffle!",
+    text: "",
     style: {
-      fontFamily: "Arial",
+      fontFamily: fonts.ui,
       fontSize: 20,
-      fill: 0xcccccc
+      fill: textColors.instructions,
+      align: "center",
+      wordWrap: true
     }
   });
   instructions.anchor.set(0.5);
-  instructions.x = GAME_WIDTH / 2;
-  instructions.y = 550;
   instructions.label = "instructions";
   uiContainer.addChild(instructions);
 
+  // Turbo toggle (speeds up every phase)
+  const turboButton = createTurboButton();
+  turboButton.y = 40;
+  turboButton.label = "turboButton";
+  uiContainer.addChild(turboButton);
+
+  // Settings menu (reduced motion, high contrast)
+  const settingsButton = createCornerButton("");
+  settingsButton.x = CORNER_MARGIN;
+  settingsButton.y = 40;
+  settingsButton.label = "settingsButton";
+  uiContainer.addChild(settingsButton);
+
+  // Mute toggle
+  const muteButton = createCornerButton("");
+  muteButton.x = CORNER_MARGIN;
+  muteButton.y = 85;
+  muteButton.label = "muteButton";
+  uiContainer.addChild(muteButton);
+
   // Play button
-  const playButton = createButton("Start Game", GAME_WIDTH / 2, 480);
+  const playButton = createButton("");
   playButton.label = "playButton";
-  playButton.y = 450;
+  playButton.textKey = "game.start";
   uiContainer.addChild(playButton);
 
   return uiContainer;
 }
 
-// Lift a cup to reveal what's underneath
+// Play a sound effect (not while a skip jumps through the animation)
+function playSound(name, options) {
+  if (!timeline.skipping) sound.play(name, options);
+}
+
+// Lift a cup to reveal what's underneath (reduced motion: fade it out instead)
 async function liftCup(cupIndex, quick = false) {
   const cup = cups[cupIndex];
   const duration = quick ? 150 : 400;
-  await animate(cup, { y: cup.originalY - 120 }, duration);
+  const props = settings.reducedMotion
+    ? { alpha: FADED_CUP_ALPHA }
+    : { y: cup.originalY - 120 };
+  playSound(SOUNDS.LIFT);
+  await timeline.to(cup, props, duration, { easing: "easeOutCubic" });
   cup.isLifted = true;
 }
 
-// Lower a cup
+// Lower a cup (or fade it back in)
 async function lowerCup(cupIndex, quick = false) {
   const cup = cups[cupIndex];
   const duration = quick ? 150 : 400;
-  await animate(cup, { y: cup.originalY }, duration);
+  const landed = await timeline.to(
+    cup,
+    { y: cup.originalY, alpha: 1 },
+    duration,
+    { easing: "easeInQuad" }
+  );
+  if (landed) playSound(SOUNDS.LAND);
   cup.isLifted = false;
 }
 
 // Create an afterimage of a cup
 function createAfterimage(cup) {
+  const skin = getSkin();
   const ghost = new Graphics();
 
-  // Use scaled dimensions to match the textured cups (1.8x scale)
-  const scaledWidth = CUP_WIDTH * 1.8;
-  const scaledHeight = CUP_HEIGHT * 1.8;
+  // Use scaled dimensions to match the drawn cup (textures are scaled up)
+  const scaledWidth = CUP_WIDTH * cup.drawScale;
+  const scaledHeight = CUP_HEIGHT * cup.drawScale;
+  const rimHeight = 15 * cup.drawScale;
 
   // Simplified cup shape for afterimage (matching scaled cup)
   const cupPath = [
@@ -343,18 +542,18 @@ function createAfterimage(cup) {
     scaledWidth * 0.35,
     0,
     scaledWidth * 0.5,
-    scaledHeight - 27,
+    scaledHeight - rimHeight,
     -scaledWidth * 0.5,
-    scaledHeight - 27
+    scaledHeight - rimHeight
   ];
   ghost.poly(cupPath);
-  ghost.fill({ color: 0x8b4513, alpha: 0.4 });
+  ghost.fill({ color: skin.cup.body, alpha: 0.4 });
   // Bottom rounded rim
-  ghost.ellipse(0, scaledHeight - 27, scaledWidth * 0.5, 27);
-  ghost.fill({ color: 0x8b4513, alpha: 0.4 });
+  ghost.ellipse(0, scaledHeight - rimHeight, scaledWidth * 0.5, rimHeight);
+  ghost.fill({ color: skin.cup.body, alpha: 0.4 });
   // Top rim
-  ghost.ellipse(0, 0, scaledWidth * 0.35, 22);
-  ghost.fill({ color: 0x654321, alpha: 0.4 });
+  ghost.ellipse(0, 0, scaledWidth * 0.35, 12 * cup.drawScale);
+  ghost.fill({ color: skin.cup.rim, alpha: 0.4 });
 
   ghost.x = cup.x;
   ghost.y = cup.y;
@@ -379,106 +578,443 @@ function createAfterimage(cup) {
   app.ticker.add(fade);
 }
 
-// Swap two cups with animation
-async function swapCups(index1, index2) {
+// Move a cup along an arc to a new x (lift: height of the arc in px);
+// reduced motion slides it along the table instead
+function arcCup(cup, x, lift, duration) {
+  if (settings.reducedMotion) {
+    return timeline.to(cup, { x }, duration, { easing: "easeInOutSine" });
+  }
+  return timeline.sequence(
+    () => timeline.to(cup, { y: CUP_Y - lift }, duration / 2),
+    () => timeline.to(cup, { x, y: CUP_Y }, duration / 2)
+  );
+}
+
+// Swap two cups with animation (duration in ms); returns the running tween group
+function swapCups(index1, index2, duration) {
   const cup1 = cups[index1];
   const cup2 = cups[index2];
 
   const x1 = cup1.x;
   const x2 = cup2.x;
 
-  // Move cups in an arc
-  const midY = CUP_Y - 60;
+  // Animate both cups simultaneously, on arcs of different heights
+  return timeline.parallel(
+    arcCup(cup1, x2, 60, duration),
+    arcCup(cup2, x1, 30, duration)
+  );
+}
 
-  // Create afterimages during animation
-  // let trailInterval = setInterval(() => {
-  //   createAfterimage(cup1);
-  //   createAfterimage(cup2);
-  // }, 25);
+// Fake swap: both cups lift and lean towards each other, then return
+function feintCups(index1, index2, duration) {
+  const cup1 = cups[index1];
+  const cup2 = cups[index2];
 
-  // Animate both cups simultaneously
-  await Promise.all([
-    (async () => {
-      await animate(cup1, { y: midY }, SHUFFLE_SPEED / 2);
-      await animate(cup1, { x: x2, y: CUP_Y }, SHUFFLE_SPEED / 2);
-    })(),
-    (async () => {
-      await animate(cup2, { y: midY + 30 }, SHUFFLE_SPEED / 2);
-      await animate(cup2, { x: x1, y: CUP_Y }, SHUFFLE_SPEED / 2);
-    })()
-  ]);
+  const x1 = cup1.x;
+  const x2 = cup2.x;
+  const lean = (x2 - x1) * 0.35;
+  // Reduced motion: lean along the table without lifting
+  const lift = settings.reducedMotion ? 0 : 1;
+
+  return timeline.sequence(
+    () =>
+      timeline.parallel(
+        timeline.to(
+          cup1,
+          { x: x1 + lean, y: CUP_Y - 60 * lift },
+          duration / 2,
+          { easing: "easeOutQuad" }
+        ),
+        timeline.to(
+          cup2,
+          { x: x2 - lean, y: CUP_Y - 30 * lift },
+          duration / 2,
+          { easing: "easeOutQuad" }
+        )
+      ),
+    () =>
+      timeline.parallel(
+        timeline.to(cup1, { x: x1, y: CUP_Y }, duration / 2),
+        timeline.to(cup2, { x: x2, y: CUP_Y }, duration / 2)
+      )
+  );
+}
 
-  // clearInterval(trailInterval);
+// Rotate three cups: the first takes the second's place, the second the
+// third's and the third the first's
+function rotateCups(index1, index2, index3, duration) {
+  const [cup1, cup2, cup3] = [cups[index1], cups[index2], cups[index3]];
+  const [x1, x2, x3] = [cup1.x, cup2.x, cup3.x];
 
-  // Swap in array
-  cups[index1] = cup2;
-  cups[index2] = cup1;
-  cup1.cupIndex = index2;
-  cup2.cupIndex = index1;
+  return timeline.parallel(
+    arcCup(cup1, x2, 60, duration),
+    arcCup(cup2, x3, 40, duration),
+    arcCup(cup3, x1, 20, duration)
+  );
+}
 
-  // Update ball position tracking
-  if (ballPosition === index1) {
-    ballPosition = index2;
-  } else if (ballPosition === index2) {
-    ballPosition = index1;
+// Swap two disjoint pairs at the same time
+function doubleSwapCups(index1, index2, index3, index4, duration) {
+  return timeline.parallel(
+    swapCups(index1, index2, duration),
+    swapCups(index3, index4, duration)
+  );
+}
+
+// Swap two non-adjacent cups: the first slides behind the cups in between
+// (raised and shrunk for depth) while the second arcs over in front
+function slideCups(index1, index2, duration) {
+  const cup1 = cups[index1];
+  const cup2 = cups[index2];
+
+  const x1 = cup1.x;
+  const x2 = cup2.x;
+  const scale = CUP_LAYOUT.scale;
+  const backScale = scale * 0.85;
+
+  cupsContainer.setChildIndex(cup1, 0);
+  cupsContainer.setChildIndex(cup2, cupsContainer.children.length - 1);
+
+  // Reduced motion: both cups slide flat, one behind the other
+  if (settings.reducedMotion) {
+    return timeline.parallel(
+      arcCup(cup1, x2, 0, duration),
+      arcCup(cup2, x1, 0, duration)
+    );
   }
+
+  return timeline.parallel(
+    timeline.sequence(
+      () =>
+        timeline.parallel(
+          timeline.to(cup1, { y: CUP_Y - 25 }, duration / 4),
+          timeline.to(cup1.scale, { x: backScale, y: backScale }, duration / 4)
+        ),
+      () => timeline.to(cup1, { x: x2 }, duration / 2, { easing: "linear" }),
+      () =>
+        timeline.parallel(
+          timeline.to(cup1, { y: CUP_Y }, duration / 4),
+          timeline.to(cup1.scale, { x: scale, y: scale }, duration / 4)
+        )
+    ),
+    arcCup(cup2, x1, 60, duration)
+  );
+}
+
+// Animation for each move type (called with the move's cups and the duration)
+const MOVE_ANIMATIONS = {
+  [MOVE_TYPES.SWAP]: swapCups,
+  [MOVE_TYPES.FEINT]: feintCups,
+  [MOVE_TYPES.ROTATE]: rotateCups,
+  [MOVE_TYPES.DOUBLE_SWAP]: doubleSwapCups,
+  [MOVE_TYPES.SLIDE]: slideCups
+};
+
+// Animate a shuffle move, then reorder the cups array to match the table
+// (the engine tracks the ball); reduced motion plays it slower
+async function playMove(move, duration) {
+  const moveDuration = settings.reducedMotion
+    ? duration * REDUCED_MOTION_SLOWDOWN
+    : duration;
+
+  // The whoosh rises in pitch with the on-screen speed of the move
+  const speed = (WHOOSH_REFERENCE_DURATION / moveDuration) * timeline.timeScale;
+  playSound(SOUNDS.WHOOSH, { rate: Math.max(0.5, Math.min(3, speed)) });
+
+  await MOVE_ANIMATIONS[move.type](...move.cups, moveDuration);
+
+  const moved = move.cups.map(index => cups[index]);
+  getMoveDestinations(move).forEach((destination, i) => {
+    cups[destination] = moved[i];
+    moved[i].cupIndex = destination;
+  });
 }
 
-// Shuffle the cups
+// Shuffle the cups, animating each move the engine applies at the
+// speed of the selected difficulty
 async function shuffleCups() {
-  isShuffling = true;
-  updateInstructions("Shuffling...");
+  const { swapDuration } = engine.difficulty;
+  engine.beginShuffle();
 
-  for (let i = 0; i < SHUFFLE_COUNT; i++) {
-    // Pick two different random cups to swap
-    let idx1 = Math.floor(Math.random() * CUP_COUNT);
-    let idx2;
-    do {
-      idx2 = Math.floor(Math.random() * CUP_COUNT);
-    } while (idx2 === idx1);
+  let move;
+  while ((move = engine.nextMove())) {
+    await playMove(move, swapDuration);
+  }
+
+  // The round may have been abandoned mid-shuffle
+  if (engine.isShuffling) engine.finishShuffle();
+}
+
+// Put the cups back on their original positions, in table order
+function resetCups() {
+  for (let i = 0; i < CUP_COUNT; i++) {
+    cups[i].x = CUP_LAYOUT.positions[i];
+    cups[i].y = CUP_Y;
+    // A slide cut short (replay exited, round abandoned) leaves a cup shrunk
+    cups[i].scale.set(CUP_LAYOUT.scale);
+    cups[i].alpha = 1;
+    cups[i].cupIndex = i;
+    cups[i].isLifted = false;
+  }
+  // Reset cups array order
+  cups.sort((a, b) => a.x - b.x);
+  for (let i = 0; i < cups.length; i++) {
+    cups[i].cupIndex = i;
+  }
+}
 
-    await swapCups(idx1, idx2);
+// Draw the focus ring around the focused cup (only while a pick is awaited
+// and the player is using the keyboard)
+function updateFocusRing() {
+  focusRing.clear();
+  focusRing.visible = keyboardFocus && engine.canSelect;
+  if (!focusRing.visible) return;
+
+  // Cup bounds in play area coordinates (the play area is scaled to fit the
+  // screen layout)
+  const bounds = cups[focusedCup].getBounds();
+  const topLeft = gameContainer.toLocal({ x: bounds.x, y: bounds.y });
+  const scale = gameContainer.scale.x;
+  const x = topLeft.x - 8;
+  const y = topLeft.y - 8;
+  const width = bounds.width / scale + 16;
+  const height = bounds.height / scale + 16;
+
+  if (settings.highContrast) {
+    // Black outline with a white dash pattern, visible on any background
+    focusRing.rect(x, y, width, height);
+    focusRing.stroke({ color: 0x000000, width: 8 });
+    drawDashedRect(focusRing, x, y, width, height, 12);
+    focusRing.stroke({ color: 0xffffff, width: 4 });
+  } else {
+    focusRing.roundRect(x, y, width, height, 14);
+    focusRing.stroke({ color: 0xffd700, width: 4 });
   }
+}
 
-  isShuffling = false;
+// Trace a dashed rectangle outline (stroke it afterwards)
+function drawDashedRect(graphics, x, y, width, height, dash) {
+  const edges = [
+    [x, y, x + width, y],
+    [x + width, y, x + width, y + height],
+    [x + width, y + height, x, y + height],
+    [x, y + height, x, y]
+  ];
+  edges.forEach(([x1, y1, x2, y2]) => {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    for (let start = 0; start < length; start += dash * 2) {
+      const end = Math.min(start + dash, length);
+      graphics.moveTo(
+        x1 + ((x2 - x1) * start) / length,
+        y1 + ((y2 - y1) * start) / length
+      );
+      graphics.lineTo(
+        x1 + ((x2 - x1) * end) / length,
+        y1 + ((y2 - y1) * end) / length
+      );
+    }
+  });
+}
+
+// Create the high-contrast ball marker: a black and white outline with a
+// dot pattern, so the ball does not rely on its colour
+function createBallMarker() {
+  const marker = new Graphics();
+  const radius = BALL_RADIUS * CUP_LAYOUT.scale;
+
+  // Dot pattern inside the ball
+  const spacing = radius / 2.5;
+  for (let dx = -radius; dx <= radius; dx += spacing) {
+    for (let dy = -radius; dy <= radius; dy += spacing) {
+      if (Math.hypot(dx, dy) < radius - spacing / 2) {
+        marker.circle(dx, dy, spacing / 4);
+      }
+    }
+  }
+  marker.fill({ color: 0xffffff });
+
+  marker.circle(0, 0, radius + 2);
+  marker.stroke({ color: 0x000000, width: 4 });
+  marker.circle(0, 0, radius + 5);
+  marker.stroke({ color: 0xffffff, width: 3 });
+
+  marker.visible = false;
+  return marker;
+}
+
+// Focus a cup from the keyboard (wraps around at the ends)
+function focusCup(index) {
+  focusedCup = (index + CUP_COUNT) % CUP_COUNT;
+  keyboardFocus = true;
+  accessibility.focusCup(focusedCup);
+  updateFocusRing();
+}
+
+// Keyboard play: 1–N pick a cup, the arrows move the focus ring and
+// Enter/Space pick the focused cup or start the game (Space also skips)
+function handleKeyDown(e) {
+  if (e.defaultPrevented || e.repeat) return;
+  // Leave keys to the bet input and to open dialogs
+  if (e.target instanceof HTMLInputElement) return;
+  if (document.querySelector(".dialog-overlay:not([hidden])")) return;
+
+  const number = /^(?:Digit|Numpad)(\d)$/.exec(e.code);
+  if (number) {
+    const index = Number(number[1]) - 1;
+    if (index < 0 || index >= CUP_COUNT) return;
+    e.preventDefault();
+    focusCup(index);
+    selectCup(index);
+    return;
+  }
+
+  switch (e.code) {
+    case "ArrowLeft":
+    case "ArrowRight":
+      if (!engine.canSelect) return;
+      e.preventDefault();
+      focusCup(
+        keyboardFocus
+          ? focusedCup + (e.code === "ArrowLeft" ? -1 : 1)
+          : focusedCup
+      );
+      break;
+
+    case "Enter":
+    case "NumpadEnter":
+    case "Space":
+      // Buttons (e.g. the accessibility layer) handle their own activation
+      if (e.target instanceof HTMLButtonElement) return;
+      e.preventDefault();
+      if (engine.phase === PHASES.REVEAL || engine.isShuffling) {
+        skipPhase();
+      } else if (engine.canSelect) {
+        selectCup(focusedCup);
+      } else if (engine.canStart) {
+        startGame();
+      }
+      break;
+  }
+}
+
+// Mirror the bet and what can be done in the accessibility layer
+function updateAccessibility() {
+  const state = bettingPanel.state;
+  accessibility.setCupsEnabled(engine.canSelect);
+  accessibility.setStartEnabled(engine.canStart && !replay.active);
+  accessibility.setBettingEnabled({
+    decrease: BETTING_ENABLED && state.canDecrease,
+    increase: BETTING_ENABLED && state.canIncrease,
+    placeBet: BETTING_ENABLED && state.canBet
+  });
+  accessibility.setBetSummary(
+    BETTING_ENABLED
+      ? t("a11y.betSummary", {
+          bet: state.formatMinor(state.currentBetMinor),
+          balance: state.formatMinor(state.balanceMinor)
+        })
+      : ""
+  );
 }
 
 // Update score display
 function updateScore() {
   const scoreText = ui.getChildByLabel("scoreText");
-  scoreText.text = `Score: ${score} / ${gamesPlayed}`;
+  scoreText.text = t("game.score", {
+    score: engine.score,
+    played: engine.gamesPlayed
+  });
 }
 
-// Update instructions text
-function updateInstructions(text) {
+// Update instructions text (params may be a function, for parameters that
+// are translated themselves, so a language change re-translates them too)
+function updateInstructions(key, params = {}) {
+  instructionsMessage = { key, params };
   const instructions = ui.getChildByLabel("instructions");
-  instructions.text = text;
+  instructions.text = t(key, typeof params === "function" ? params() : params);
+}
+
+// Player-facing text of a reason code the game client reports (see REASONS
+// in net/protocol.js)
+function translateReason(code) {
+  const key = `reason.${code}`;
+  return i18n.lookup(key) === null ? t("reason.unknown", { code }) : t(key);
+}
+
+// Put every table text in the current language; buttons resize to their
+// new labels
+function renderUIText() {
+  const title = ui.getChildByLabel("title");
+  title.text = t("game.title");
+  title.scale.set(1);
+  title.scale.set(Math.min(1, layout.titleWidth / title.width));
+
+  const playButton = ui.getChildByLabel("playButton");
+  playButton.setText(t(playButton.textKey));
+  ui.getChildByLabel("turboButton").setActive(turboEnabled);
+  ui.getChildByLabel("settingsButton").setText(t("game.settings"));
+  ui.getChildByLabel("muteButton").setText(
+    t(settings.muted ? "game.muted" : "game.sound")
+  );
+
+  updateScore();
+  updateInstructions(instructionsMessage.key, instructionsMessage.params);
+}
+
+// Choose the language: the player's choice in the settings, then the `lang`
+// launch parameter, then the browser's languages
+function applyLanguage() {
+  const params = new URLSearchParams(window.location.search);
+  const language = resolveLanguage(
+    [
+      settings.language,
+      params.get("lang"),
+      ...(navigator.languages || [navigator.language])
+    ],
+    i18n.languages
+  );
+  i18n.setLanguage(language);
+  document.documentElement.lang = language;
 }
 
 // Handle cup selection
 async function selectCup(cupIndex) {
-  if (!canSelect || isShuffling || isRevealing) return;
+  // No picks while offline: the round could not be settled
+  if (BETTING_ENABLED && !bettingPanel.state.isConnected) return;
+
+  const result = engine.pick(cupIndex);
+  if (!result) return;
 
-  canSelect = false;
-  isRevealing = true;
+  const { won, ballPosition } = result;
 
   // Show ball at its actual position before lifting cup
   ball.x = cups[ballPosition].x;
   ball.visible = true;
 
   // Small delay to let the ball appear before cup lifts
-  await new Promise(r => setTimeout(r, 50));
+  await timeline.wait(50);
 
   // Lift selected cup
   await liftCup(cupIndex);
 
-  gamesPlayed++;
+  // Resolve the round opened by the confirmed bet (the engine played the
+  // server's plan, so this matches the settlement the server sends back)
+  if (BETTING_ENABLED) {
+    bettingPanel.settleRound({ won, pick: cupIndex, ballPosition });
+  }
+
+  // Store the round. Practice rounds reveal their server seed right away;
+  // the server reveals a bet round's seeds once it has settled it.
+  recordRound(result, BETTING_ENABLED ? null : fairness.reveal());
+  if (BETTING_ENABLED) gameClient.reportRound({ pick: cupIndex });
 
-  if (cupIndex === ballPosition) {
-    score++;
-    updateInstructions("🎉 You found it! 🎉");
+  sound.play(won ? SOUNDS.WIN : SOUNDS.LOSS);
+  if (won) {
+    updateInstructions("game.found");
+    accessibility.announce(t("a11y.found"));
   } else {
-    updateInstructions("❌ Wrong cup! The ball was here.");
+    updateInstructions("game.wrongCup");
+    accessibility.announce(t("a11y.wrongCup", { cup: ballPosition + 1 }));
     // Lift the correct cup too
     await liftCup(ballPosition);
   }
@@ -488,82 +1024,444 @@ async function selectCup(cupIndex) {
   // Show play again button
   const playButton = ui.getChildByLabel("playButton");
   playButton.visible = true;
-  playButton.getChildAt(1).text = "Play Again";
+  playButton.textKey = "game.playAgain";
+  playButton.setText(t(playButton.textKey));
+}
+
+// Store a finished round in the history
+function recordRound({ pick, ballPosition, won }, reveal) {
+  const state = bettingPanel.state;
+  const settled = BETTING_ENABLED ? state.lastResult : null;
+  const timestamp = Date.now();
+
+  roundHistory.add({
+    roundId: settled ? settled.roundId : `local-${timestamp.toString(36)}`,
+    timestamp,
+    stakeMinor: settled ? settled.betMinor : 0,
+    currency: settled ? settled.currency : state.currency,
+    pick,
+    initialBallPosition: engine.plan.ballPosition,
+    ballPosition,
+    moves: engine.plan.moves,
+    difficulty: engine.difficulty.id,
+    // Timing as shown, so a replay runs at the same pace
+    cupCount: CUP_COUNT,
+    swapDuration: engine.difficulty.swapDuration,
+    timeScale: timeline.timeScale,
+    won,
+    payoutMinor: settled ? settled.payoutMinor : 0,
+    balanceBeforeMinor: settled
+      ? settled.balanceBeforeMinor
+      : state.balanceMinor,
+    balanceAfterBetMinor: settled
+      ? settled.balanceAfterBetMinor
+      : state.balanceMinor,
+    balanceAfterMinor: state.balanceMinor,
+    fairness: reveal ? getRoundSeeds(reveal) : null
+  });
+}
 
-  isRevealing = false;
+// Seeds of a revealed round, as stored in the history
+function getRoundSeeds({ serverSeed, serverSeedHash, clientSeed, nonce }) {
+  return { serverSeed, serverSeedHash, clientSeed, nonce };
+}
+
+// Export the stored rounds for audit, optionally as a file download
+function exportHistory(format = "json", { download = true } = {}) {
+  const csv = format === "csv";
+  const content = csv
+    ? exportRoundsCsv(roundHistory.rounds)
+    : exportRoundsJson(roundHistory.rounds);
+
+  if (download) {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadText(
+      `thimblerig-rounds-${date}.${csv ? "csv" : "json"}`,
+      content,
+      csv ? "text/csv" : "application/json"
+    );
+  }
+  return content;
+}
+
+// Replay a stored round with the live visuals: the same reveal, moves and
+// pick, at the recorded speed, paced by the replay controls
+async function replayRound(round) {
+  const error = getReplayError(round, CUP_COUNT);
+  if (error) {
+    updateInstructions("replay.unavailable", () => ({
+      reason: getReplayError(round, CUP_COUNT)
+    }));
+    return;
+  }
+  if (
+    replay.active ||
+    autoplay.active ||
+    !engine.canStart ||
+    (BETTING_ENABLED && bettingPanel.state.isLocked)
+  ) {
+    updateInstructions("game.finishBeforeReplay");
+    return;
+  }
+
+  replay.start(round);
+  timeline.setTimeScale(round.timeScale || 1);
+  ui.getChildByLabel("playButton").visible = false;
+  difficultySelector.visible = false;
+  replayOverlay.setPaused(false);
+  replayOverlay.show();
+
+  const { initialBallPosition, ballPosition, pick, moves } = round;
+  const swapDuration =
+    round.swapDuration || resolveDifficulty(round.difficulty).swapDuration;
+
+  // Reveal, as at the start of the round
+  resetCups();
+  ball.x = cups[initialBallPosition].x;
+  ball.visible = true;
+  updateInstructions("replay.reveal");
+  await liftCup(initialBallPosition, true);
+  await timeline.wait(1500);
+  if (!replay.active) return;
+  await lowerCup(initialBallPosition, true);
+  await timeline.wait(500);
+  if (!replay.active) return;
+  ball.visible = false;
+
+  // Shuffle
+  for (let i = 0; i < moves.length; i++) {
+    if (!(await replay.waitForMove())) return;
+    updateInstructions("replay.move", () => ({
+      index: i + 1,
+      total: moves.length,
+      move: describeMove(moves[i])
+    }));
+    await playMove(moves[i], swapDuration);
+  }
+
+  // Pick
+  if (!(await replay.waitForMove())) return;
+  updateInstructions("replay.picked", { cup: pick + 1 });
+  ball.x = cups[ballPosition].x;
+  ball.visible = true;
+  await timeline.wait(50);
+  await liftCup(pick);
+  if (!replay.active) return;
+  if (pick !== ballPosition) await liftCup(ballPosition);
+  if (!replay.active) return;
+
+  updateInstructions(pick === ballPosition ? "replay.found" : "replay.missed");
+}
+
+// Leave the replay and restore the live table
+function exitReplay() {
+  if (!replay.active) return;
+  replay.stop();
+  timeline.cancelAll();
+  timeline.setTimeScale(turboEnabled ? TURBO_SPEED : 1);
+
+  resetCups();
+  ball.x = cups[engine.ballPosition].x;
+  ball.visible = true;
+
+  replayOverlay.hide();
+  difficultySelector.visible = true;
+  ui.getChildByLabel("playButton").visible = true;
+  updateInstructions("game.intro");
+}
+
+// Replay play/pause button
+function toggleReplayPause() {
+  if (replay.paused) {
+    replay.play();
+  } else {
+    replay.pause();
+  }
+}
+
+// Choose a difficulty preset (before the bet is placed)
+function selectDifficulty(id) {
+  if (BETTING_ENABLED && bettingPanel.state.isLocked) return;
+  engine.setDifficulty(resolveDifficulty(id));
+}
+
+// Lock the difficulty while a bet is pending or a round is being played
+function updateDifficultyLock() {
+  const locked =
+    !engine.canStart || (BETTING_ENABLED && bettingPanel.state.isLocked);
+  difficultySelector.setDisabled(locked);
 }
 
 // Start a new game
 async function startGame() {
+  if (!engine.canStart || replay.active) return;
+  if (BETTING_ENABLED && !bettingPanel.state.isConnected) return;
+
+  // A confirmed bet must open the round before it can be played
+  if (BETTING_ENABLED && !bettingPanel.state.hasOpenRound) {
+    updateInstructions("game.placeBetFirst");
+    return;
+  }
+
   // Hide play button during game
   const playButton = ui.getChildByLabel("playButton");
   playButton.visible = false;
 
   // Reset cups to original positions
-  for (let i = 0; i < CUP_COUNT; i++) {
-    const startX =
-      GAME_WIDTH / 2 - ((CUP_COUNT - 1) * CUP_SPACING) / 2 + i * CUP_SPACING;
-    cups[i].x = startX;
-    cups[i].y = CUP_Y;
-    cups[i].cupIndex = i;
-    cups[i].isLifted = false;
-  }
-  // Reset cups array order
-  cups.sort((a, b) => a.x - b.x);
-  for (let i = 0; i < cups.length; i++) {
-    cups[i].cupIndex = i;
-  }
+  resetCups();
 
-  // Only randomize ball position on first game
-  // Otherwise, keep it where it was last revealed
-  if (gamesPlayed === 0) {
-    ballPosition = Math.floor(Math.random() * CUP_COUNT);
+  // Plan the round (ball position and moves come from the committed seeds)
+  // before the stake is put in play: hashing can fail (e.g. no Web Crypto
+  // outside a secure context), and the bet must then stay open
+  let ballPosition;
+  try {
+    ({ ballPosition } = await engine.startRound());
+  } catch (error) {
+    console.error("Round could not be planned:", error);
+    playButton.visible = true;
+    updateInstructions("game.planFailed");
+    return;
   }
+  if (BETTING_ENABLED) bettingPanel.startRound();
+
   // Update ball x position to match the cup at ballPosition
   // (cups may have been reset to original positions)
   ball.x = cups[ballPosition].x;
   ball.tint = 0xffffff;
 
-  updateInstructions("Watch carefully where the ball is...");
-
   // Lift cup to show the ball
   await liftCup(ballPosition, true);
-  await new Promise(r => setTimeout(r, 1500));
+  await timeline.wait(1500);
 
   // Lower cup over the ball
-  updateInstructions("Now watch the cups shuffle...");
+  updateInstructions("game.watchShuffle");
   await lowerCup(ballPosition, true);
 
-  await new Promise(r => setTimeout(r, 500));
+  await timeline.wait(500);
+
+  // Stop here if the round was abandoned during the reveal
+  if (engine.phase !== PHASES.REVEAL) return;
 
   // Hide ball right before shuffle starts
   ball.visible = false;
 
-  // Shuffle
+  // Shuffle (selection is enabled once the engine awaits a pick)
   await shuffleCups();
+}
 
-  // Enable selection
-  canSelect = true;
-  updateInstructions("Click on a cup to reveal the ball!");
+// Wait for the server's answer to the bet just placed
+function waitForBet() {
+  return new Promise(resolve => {
+    const done = confirmed => {
+      unsubscribe.forEach(off => off());
+      resolve(confirmed);
+    };
+    const unsubscribe = [
+      gameClient.on("betConfirmed", () => done(true)),
+      gameClient.on("betRejected", () => done(false))
+    ];
+  });
 }
 
-// Resize handler for responsive scaling
-function resize() {
-  const windowWidth = window.innerWidth;
-  const windowHeight = window.innerHeight;
+// Play autoplay rounds until a stop condition ends the series:
+// bet, start, pick and record each round through the normal round flow
+async function runAutoplay() {
+  const state = bettingPanel.state;
+
+  while (autoplay.active) {
+    if (BETTING_ENABLED) {
+      state.setBetAmountMinor(autoplay.config.stakeMinor);
+      if (state.currentBetMinor !== autoplay.config.stakeMinor) {
+        autoplay.stop(state.betNotice || "autoplay.stakeNotAllowed");
+        break;
+      }
+      if (!bettingPanel.placeBet()) {
+        autoplay.stop(state.betLimitError || "autoplay.betFailed");
+        break;
+      }
+      if (!(await waitForBet())) {
+        autoplay.stop("autoplay.betRejected");
+        break;
+      }
+    }
+
+    await startGame();
+
+    // Stopped mid-round: the player makes the pick
+    if (!autoplay.active) break;
+    if (!engine.canSelect) {
+      autoplay.stop("autoplay.interrupted");
+      break;
+    }
+
+    // Only this round's settlement counts towards the series
+    const roundId = BETTING_ENABLED ? state.activeRound.roundId : null;
+    await selectCup(autoplay.choosePick(CUP_COUNT));
+
+    // The pick did not resolve the round (e.g. the connection dropped):
+    // the player finishes it
+    const result = BETTING_ENABLED
+      ? state.lastResult
+      : { roundId, betMinor: 0, payoutMinor: 0 };
+    if (
+      engine.phase !== PHASES.RESOLVED ||
+      !result ||
+      result.roundId !== roundId
+    ) {
+      autoplay.stop("autoplay.interrupted");
+      break;
+    }
+    autoplay.recordRound({
+      betMinor: result.betMinor,
+      payoutMinor: result.payoutMinor,
+      balanceMinor: state.balanceMinor
+    });
+
+    if (autoplay.active) await timeline.wait(AUTOPLAY_PAUSE);
+  }
+}
+
+// Any click while autoplay runs stops it
+function interruptAutoplay() {
+  autoplay.stop("autoplay.stoppedByPlayer");
+}
+
+// Start an autoplay series with the settings from the dialog
+function startAutoplay(config) {
+  if (!autoplay.start(config, bettingPanel.state.balanceMinor)) return;
+  window.addEventListener("pointerdown", interruptAutoplay);
+  runAutoplay();
+}
+
+// Autoplay button: stop a running series, otherwise open the settings
+function toggleAutoplay() {
+  if (autoplay.active) {
+    autoplay.stop("autoplay.stoppedByPlayer");
+  } else if (!engine.canStart || bettingPanel.state.isLocked || replay.active) {
+    updateInstructions("game.finishBeforeAutoplay");
+  } else {
+    autoplayDialog.open();
+  }
+}
+
+// Turn Turbo on or off (scales every tween and wait on the timeline)
+function setTurbo(enabled) {
+  turboEnabled = enabled;
+  timeline.setTimeScale(enabled ? TURBO_SPEED : 1);
+  ui.getChildByLabel("turboButton").setActive(enabled);
+}
+
+// Jump the reveal or shuffle to its end state (the plan, and so the
+// outcome, is already fixed; only the animation is cut short)
+function skipPhase() {
+  if (engine.phase === PHASES.REVEAL || engine.isShuffling) {
+    timeline.beginSkip();
+  }
+}
 
-  // Calculate scale to fit screen while maintaining aspect ratio
-  const scale = Math.min(windowWidth / GAME_WIDTH, windowHeight / GAME_HEIGHT);
+// Abandon the round in play (e.g. the session ended): stop every tween
+// (pending awaits resolve) and return the engine to idle
+function abandonRound() {
+  exitReplay();
+  timeline.cancelAll();
+  engine.reset();
+
+  const playButton = ui.getChildByLabel("playButton");
+  playButton.visible = true;
+}
+
+// Resize handler: fit the canvas to the window, in the layout for its orientation
+function resize() {
+  // Fit inside the safe area (notches, rounded corners, home indicator),
+  // which index.html keeps clear with the body padding
+  const style = window.getComputedStyle(document.body);
+  const width =
+    window.innerWidth -
+    parseFloat(style.paddingLeft) -
+    parseFloat(style.paddingRight);
+  const height =
+    window.innerHeight -
+    parseFloat(style.paddingTop) -
+    parseFloat(style.paddingBottom);
+
+  // Switch arrangements when the orientation changes
+  const fitted = fitLayout(width, height);
+  if (fitted.layout !== layout) {
+    layout = fitted.layout;
+    applyLayout();
+  }
 
   // Apply scaled dimensions
-  const newWidth = Math.floor(GAME_WIDTH * scale);
-  const newHeight = Math.floor(GAME_HEIGHT * scale);
+  const newWidth = Math.floor(layout.width * fitted.scale);
+  const newHeight = Math.floor(layout.height * fitted.scale);
 
-  app.renderer.resize(GAME_WIDTH, GAME_HEIGHT);
+  app.renderer.resize(layout.width, layout.height);
   app.canvas.style.width = `${newWidth}px`;
   app.canvas.style.height = `${newHeight}px`;
 }
 
+/**
+ * Place the table, cups, texts, buttons, overlays and betting panel for the
+ * current screen layout
+ */
+function applyLayout() {
+  const { width, tableHeight } = layout;
+
+  tableBackground.resize(width, tableHeight);
+
+  // The cups keep their table coordinates (and running tweens their
+  // targets): the play area is scaled so they take the spacing
+  // computeCupLayout gives for this width
+  const fitted = computeCupLayout(CUP_COUNT, {
+    gameWidth: width,
+    spacing: CUP_SPACING,
+    margin: TABLE_MARGIN
+  });
+  const cupScale = fitted.spacing / CUP_LAYOUT.spacing;
+  gameContainer.scale.set(cupScale);
+  gameContainer.x = width / 2 - (GAME_WIDTH / 2) * cupScale;
+  gameContainer.y = layout.cupBaseline - CUP_Y * cupScale;
+
+  // Skip gesture: the whole table (in play area coordinates)
+  gameContainer.hitArea = new Rectangle(
+    -gameContainer.x / cupScale,
+    -gameContainer.y / cupScale,
+    width / cupScale,
+    tableHeight / cupScale
+  );
+
+  const title = ui.getChildByLabel("title");
+  title.x = width / 2;
+  title.y = layout.title;
+
+  const scoreText = ui.getChildByLabel("scoreText");
+  scoreText.x = width / 2;
+  scoreText.y = layout.score;
+
+  const instructions = ui.getChildByLabel("instructions");
+  instructions.x = width / 2;
+  instructions.y = layout.instructions;
+  instructions.style.wordWrapWidth = width - 2 * CORNER_MARGIN;
+
+  ui.getChildByLabel("turboButton").x = width - CORNER_MARGIN;
+
+  const playButton = ui.getChildByLabel("playButton");
+  playButton.x = width / 2;
+  playButton.y = layout.playButton;
+
+  difficultySelector.x = width / 2;
+  difficultySelector.y = layout.difficulty;
+
+  replayOverlay.resize(width, tableHeight, layout.replayControls);
+  connectionOverlay.resize(width, layout.height);
+
+  bettingPanel.setLayout(width, layout.panelStacked);
+  bettingPanel.y = layout.panelY;
+
+  // Refit the title to the layout's width
+  renderUIText();
+}
+
 /* ========================================
  * INITIALIZATION FUNCTIONS
  * ======================================== */
@@ -584,35 +1482,118 @@ function hideLoadingScreen() {
 
 /**
  * Update loading screen text
- * @param {string} text - Text to display
+ * @param {string} key - Message ID of the text to display
  */
-function updateLoadingText(text) {
+function updateLoadingText(key) {
   const loadingText = document.querySelector(".loader-text");
   if (loadingText) {
-    loadingText.textContent = text;
+    loadingText.textContent = t(key);
   }
 }
 
 /**
- * Load all game textures
- * @returns {Object} Object containing loaded textures
+ * Pick the skin: the `skin` launch parameter, else the configured one
+ * (a skin that fails to load keeps the built-in one)
  */
-async function loadTextures() {
-  let backgroundTexture;
-  let cupTexture;
-  let ballTexture;
+async function applySkin() {
+  const source =
+    new URLSearchParams(window.location.search).get("skin") || GAME_CONFIG.skin;
+  if (!source) return;
 
   try {
-    updateLoadingText("Loading textures...");
-    backgroundTexture = await Assets.load("assets/Background/background.png");
-    cupTexture = await Assets.load("assets/Cup/wooden-cup.png");
-    ballTexture = await Assets.load("assets/Ball/ball.png");
-    console.log("Textures loaded successfully!");
+    updateLoadingText("loading.skin");
+    setSkin(await loadSkin(source));
   } catch (error) {
-    console.error("Texture failed to load, falling back to graphics:", error);
+    console.warn("Skin failed to load, using the default:", error);
+  }
+}
+
+/**
+ * Show the asset loading progress
+ * @param {number} fraction - Loaded fraction (0 - 1)
+ */
+function updateLoadingProgress(fraction) {
+  const percent = Math.round(fraction * 100);
+  const progress = document.querySelector(".loader-progress");
+  if (progress) {
+    progress.setAttribute("aria-valuenow", String(percent));
+    document.querySelector(".loader-progress-bar").style.width = `${percent}%`;
+    document.querySelector(".loader-percent").textContent = `${percent}%`;
+  }
+}
+
+/**
+ * Report assets that failed to load and wait for the player's choice
+ * @param {number} count - Number of failed assets
+ * @returns {Promise<boolean>} true to retry, false to continue with the fallback graphics
+ */
+function showLoadingError(count) {
+  const error = document.querySelector(".loader-error");
+  if (!error) return Promise.resolve(false);
+
+  const spinner = document.querySelector(".loader-spinner");
+  const retryBtn = error.querySelector(".loader-retry");
+  const continueBtn = error.querySelector(".loader-continue");
+  error.querySelector(".loader-error-text").textContent = t("loading.failed", {
+    count
+  });
+  retryBtn.textContent = t("loading.retry");
+  continueBtn.textContent = t("loading.continue");
+  error.hidden = false;
+  spinner.hidden = true;
+  retryBtn.focus();
+
+  return new Promise(resolve => {
+    const onRetry = () => choose(true);
+    const onContinue = () => choose(false);
+    const choose = retry => {
+      retryBtn.removeEventListener("click", onRetry);
+      continueBtn.removeEventListener("click", onContinue);
+      error.hidden = true;
+      spinner.hidden = false;
+      resolve(retry);
+    };
+    retryBtn.addEventListener("click", onRetry);
+    continueBtn.addEventListener("click", onContinue);
+  });
+}
+
+/**
+ * Load the skin's textures in parallel (those without an image, or whose
+ * image fails to load, are drawn as graphics)
+ * @returns {Object} Object containing loaded textures
+ */
+async function loadTextures() {
+  const { id, textures } = getSkin();
+  const sources = {};
+  Object.entries(textures).forEach(([name, texture]) => {
+    if (texture.src) sources[name] = texture.src;
+  });
+
+  updateLoadingText("loading.textures");
+  let result = await loadAssetBundle(`skin-${id}`, sources, {
+    onProgress: updateLoadingProgress
+  });
+
+  // Offer to retry what failed until it loads or the player moves on
+  while (Object.keys(result.failed).length > 0) {
+    Object.entries(result.failed).forEach(([name, error]) =>
+      console.error(`Texture "${name}" failed to load:`, error)
+    );
+    const retry = await showLoadingError(Object.keys(result.failed).length);
+    if (!retry) break;
+    updateLoadingText("loading.textures");
+    result = await loadAssetBundle(`skin-${id}`, sources, {
+      onProgress: updateLoadingProgress
+    });
   }
 
-  return { backgroundTexture, cupTexture, ballTexture };
+  const { assets } = result;
+  return {
+    backgroundTexture: assets.background,
+    cupTexture: assets.cup,
+    ballTexture: assets.ball
+  };
 }
 
 /**
@@ -621,22 +1602,31 @@ async function loadTextures() {
  * @returns {Container} Table container with background
  */
 function createTableBackground(backgroundTexture) {
+  const { table } = getSkin();
   const tableContainer = new Container();
 
   // Add background texture if available
-  if (backgroundTexture) {
-    const bgSprite = new Sprite(backgroundTexture);
-    bgSprite.width = GAME_WIDTH;
-    bgSprite.height = GAME_HEIGHT;
+  const bgSprite = backgroundTexture ? new Sprite(backgroundTexture) : null;
+  if (bgSprite) {
     tableContainer.addChild(bgSprite);
   }
 
   // Add table border
   const tableGraphics = new Graphics();
-  tableGraphics.rect(0, 0, GAME_WIDTH, GAME_HEIGHT);
-  tableGraphics.stroke({ color: 0x7a7a7a, width: 8 });
   tableContainer.addChild(tableGraphics);
 
+  // Stretch the background and redraw the border for the table size
+  tableContainer.resize = (width, height) => {
+    if (bgSprite) {
+      bgSprite.width = width;
+      bgSprite.height = height;
+    }
+    tableGraphics.clear();
+    tableGraphics.rect(0, 0, width, height);
+    tableGraphics.stroke({ color: table.border, width: table.borderWidth });
+  };
+  tableContainer.resize(layout.width, layout.tableHeight);
+
   return tableContainer;
 }
 
@@ -650,11 +1640,10 @@ function initializeCups(cupTexture) {
 
   for (let i = 0; i < CUP_COUNT; i++) {
     const cup = createCup(i, cupTexture);
-    const startX =
-      GAME_WIDTH / 2 - ((CUP_COUNT - 1) * CUP_SPACING) / 2 + i * CUP_SPACING;
-    cup.x = startX;
+    cup.x = CUP_LAYOUT.positions[i];
     cup.y = CUP_Y;
     cup.pivot.set(0, CUP_HEIGHT);
+    cup.scale.set(CUP_LAYOUT.scale);
     cups.push(cup);
     container.addChild(cup);
   }
@@ -663,18 +1652,18 @@ function initializeCups(cupTexture) {
 }
 
 /**
- * Initialize the ball with random starting position
+ * Initialize the ball under the middle cup (each round derives its own position)
  * @param {Texture} ballTexture - Optional ball texture
  * @returns {Sprite|Graphics} Ball sprite or graphics object
  */
 function initializeBall(ballTexture) {
   const ballSprite = createBall(ballTexture);
-  ballSprite.y = CUP_Y - 220;
+  ballSprite.scale.set(ballSprite.scale.x * CUP_LAYOUT.scale);
+  ballSprite.y = CUP_Y - 220 * CUP_LAYOUT.scale;
   ballSprite.visible = true;
 
-  // Randomly place ball under a cup initially
-  ballPosition = Math.floor(Math.random() * CUP_COUNT);
-  ballSprite.x = cups[ballPosition].x;
+  // Place ball under the engine's resting position until the first round
+  ballSprite.x = cups[engine.ballPosition].x;
 
   return ballSprite;
 }
@@ -687,29 +1676,58 @@ function setupCupEventHandlers() {
     cup.eventMode = "static";
     cup.cursor = "pointer";
 
-    // Adjust hitArea for the larger textured cups (1.8x scale)
-    const hitWidth = CUP_WIDTH * 1.8;
-    const hitHeight = CUP_HEIGHT * 1.8;
+    // Generous hitArea around the cup, narrowed to the cup spacing so
+    // neighbouring cups never share a click target
+    // (local coordinates: the container scale shrinks it with the cup)
+    const hitWidth = Math.min(
+      CUP_WIDTH * CUP_HIT_SCALE,
+      CUP_LAYOUT.spacing / CUP_LAYOUT.scale
+    );
+    const hitHeight = CUP_HEIGHT * CUP_HIT_SCALE;
     cup.hitArea = new Rectangle(-hitWidth / 2, -hitHeight, hitWidth, hitHeight);
 
     // Click handler
     cup.on("pointerdown", () => {
       const currentIndex = cups.indexOf(cup);
+      keyboardFocus = false;
+      updateFocusRing();
       selectCup(currentIndex);
     });
+  }
+}
 
-    // Hover handler
-    cup.on("pointerover", () => {
-      if (canSelect && !isShuffling && !isRevealing) {
-        // No hover effect for now
-      }
-    });
+/**
+ * Render engine phase changes (instructions text)
+ */
+function bindEngineEvents() {
+  engine.on("difficulty", ({ difficulty }) => {
+    difficultySelector.setSelected(difficulty.id);
+    bettingPanel.setPayoutMultiplier(
+      getDifficultyMultiplier(CUP_COUNT, difficulty)
+    );
+  });
 
-    // Hover out handler
-    cup.on("pointerout", () => {
-      // No hover effect for now
-    });
-  }
+  engine.on("phase", ({ phase }) => {
+    // A skip only lasts until the phase it was made in is over
+    timeline.endSkip();
+    updateDifficultyLock();
+    updateAccessibility();
+    updateFocusRing();
+    switch (phase) {
+      case PHASES.REVEAL:
+        updateInstructions("game.reveal");
+        accessibility.announce(t("a11y.reveal"));
+        break;
+      case PHASES.SHUFFLE:
+        updateInstructions("game.shuffling");
+        accessibility.announce(t("a11y.shuffling"));
+        break;
+      case PHASES.AWAITING_PICK:
+        updateInstructions("game.pick", { count: CUP_COUNT });
+        accessibility.announce(t("a11y.pick", { count: CUP_COUNT }));
+        break;
+    }
+  });
 }
 
 /**
@@ -721,79 +1739,174 @@ function setupBettingPanel() {
     app,
     {
       onPlaceBet: betData => {
-        console.log("Placing bet:", betData);
-        // TODO: Integrate with your socket/backend here
-        // Example: socketPlaceBet(betData);
-
-        // For now, simulate bet confirmation after 1 second
-        setTimeout(() => {
-          panel.confirmBet(betData);
-          // Update balance (simulate deduction)
-          const newBalance = panel.state.balance - betData.bet;
-          panel.updateBalance(newBalance);
-        }, 1000);
+        gameClient.placeBet({
+          ...betData,
+          cupCount: CUP_COUNT,
+          difficulty: engine.difficulty.id
+        });
       },
       onRefreshBalance: () => {
-        console.log("Refreshing balance");
-        // TODO: Integrate with your backend to fetch balance
-        // Example: getBalance();
-
-        // For now, simulate balance refresh
-        panel.updateBalance(1000, panel.state.currency);
-      }
+        gameClient.requestBalance();
+      },
+      onOpenFairness: () => {
+        fairnessDialog.open();
+      },
+      onOpenHistory: () => {
+        historyDialog.open();
+      },
+      onExportHistory: exportHistory,
+      onAutoplay: toggleAutoplay,
+      onChip: () => sound.play(SOUNDS.CHIP)
     },
-    GAME_WIDTH
+    layout.width
+  );
+
+  panel.setPayoutMultiplier(
+    getDifficultyMultiplier(CUP_COUNT, engine.difficulty)
   );
 
-  // Position betting panel at the bottom (full width)
+  // Full width at the bottom of the table (y comes from the screen layout)
   panel.x = 0;
-  panel.y = GAME_HEIGHT - 120;
 
   return panel;
 }
 
+/**
+ * Connect the betting state to the game server
+ * Uses the `server` launch parameter or GAME_CONFIG.serverUrl; without a URL
+ * the in-browser mock backend answers instead.
+ * @param {BettingState} state - Betting state the client keeps in sync
+ * @returns {GameClient} Connected game client
+ */
+function setupGameClient(state) {
+  const params = new URLSearchParams(window.location.search);
+  const serverUrl = params.get("server") || GAME_CONFIG.serverUrl;
+  let launchToken = params.get("token");
+
+  // The launch token grants a session: take it out of the address bar (and
+  // so out of the browser history, bookmarks and shared links) once read
+  if (params.has("token")) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete("token");
+    window.history.replaceState(window.history.state, "", url);
+  }
+
+  let createSocket = null;
+  if (!serverUrl) {
+    const backend = createMockBackend();
+    createSocket = () => createLoopbackSocket(backend);
+    // The mock accepts any launch token, so demo play needs none in the URL
+    launchToken = launchToken || "demo";
+  }
+
+  const client = new GameClient({
+    state,
+    fairness: BETTING_ENABLED ? fairness : null,
+    url: serverUrl,
+    createSocket,
+    launchToken
+  });
+
+  client.on("betConfirmed", () => {
+    sound.play(SOUNDS.BET_CONFIRM);
+    updateInstructions("game.betConfirmed");
+    accessibility.announce(t("a11y.betConfirmed"));
+  });
+  client.on("betRejected", ({ reason }) => {
+    updateInstructions("game.betRejected", () => ({
+      reason: translateReason(reason)
+    }));
+    accessibility.announce(
+      t("a11y.betRejected", { reason: translateReason(reason) })
+    );
+  });
+
+  // Offline overlay: shown while (re)connecting, hidden once authenticated
+  client.on("status", ({ status, attempt }) => {
+    if (status === CONNECTION_STATUS.CONNECTED) {
+      connectionOverlay.hide();
+    } else if (status === CONNECTION_STATUS.RECONNECTING) {
+      connectionOverlay.show("connection.reconnecting", { attempt });
+    } else if (status === CONNECTION_STATUS.CONNECTING) {
+      connectionOverlay.show("connection.connecting");
+    } else if (status === CONNECTION_STATUS.CLOSED) {
+      connectionOverlay.show("connection.closed");
+    }
+  });
+  // Expired/invalid session: stop play until the game is relaunched
+  client.on("authFailed", ({ error }) => {
+    abandonRound();
+    connectionOverlay.show("connection.sessionEnded", () => ({
+      reason: translateReason(error)
+    }));
+  });
+  client.on("roundRestored", ({ difficulty }) => {
+    if (engine.canStart) {
+      // Play the restored round at the difficulty it was bet on
+      engine.setDifficulty(resolveDifficulty(difficulty));
+      updateInstructions("game.betRestored");
+    }
+  });
+  // The server reveals a bet round's seeds with its settlement
+  client.on("roundResult", ({ roundId, reveal }) => {
+    if (reveal) {
+      roundHistory.update(roundId, { fairness: getRoundSeeds(reveal) });
+    }
+  });
+
+  client.connect();
+  return client;
+}
+
 /**
  * Main initialization function
  */
 async function init() {
+  // Pick the language before the first text is shown; a choice in the
+  // settings switches it live
+  applyLanguage();
+  settings.subscribe(applyLanguage);
+
   // Create the PixiJS application
   app = new Application();
 
+  // Pick the skin before anything is drawn
+  await applySkin();
+
   // Load all textures
   const { backgroundTexture, cupTexture, ballTexture } = await loadTextures();
 
   // Initialize the app
-  updateLoadingText("Initializing game...");
+  updateLoadingText("loading.init");
   await app.init({
-    width: GAME_WIDTH,
-    height: GAME_HEIGHT,
-    background: "#2d5a27",
+    width: layout.width,
+    height: layout.height,
+    background: getSkin().table.color,
     antialias: true,
     resolution: window.devicePixelRatio || 1,
     autoDensity: true
   });
 
+  // Drive the tween timeline from the app ticker
+  app.ticker.add(ticker => timeline.update(ticker.deltaMS));
+
   // Expose app to PixiJS DevTools
   globalThis.__PIXI_APP__ = app;
 
   // Add canvas to container
   document.getElementById("game-container").appendChild(app.canvas);
 
-  // Set up responsive resizing
-  window.addEventListener("resize", resize);
-  resize();
-
   // Create table background
-  updateLoadingText("Setting up table...");
-  const tableContainer = createTableBackground(backgroundTexture);
-  app.stage.addChild(tableContainer);
+  updateLoadingText("loading.table");
+  tableBackground = createTableBackground(backgroundTexture);
+  app.stage.addChild(tableBackground);
 
   // Create game container
   gameContainer = new Container();
   app.stage.addChild(gameContainer);
 
   // Initialize cups
-  updateLoadingText("Placing cups...");
+  updateLoadingText("loading.cups");
   cupsContainer = initializeCups(cupTexture);
 
   // Initialize ball
@@ -803,25 +1916,178 @@ async function init() {
   gameContainer.addChild(ball);
   gameContainer.addChild(cupsContainer);
 
+  // High-contrast marker following the ball (drawn over it, under the cups)
+  ballMarker = createBallMarker();
+  gameContainer.addChildAt(ballMarker, gameContainer.getChildIndex(ball) + 1);
+  app.ticker.add(() => {
+    ballMarker.x = ball.x;
+    ballMarker.y = ball.y;
+    ballMarker.visible = ball.visible && settings.highContrast;
+  });
+
+  // Keyboard focus ring, drawn over the cups
+  focusRing = new Graphics();
+  focusRing.visible = false;
+  gameContainer.addChild(focusRing);
+
   // Create UI
-  updateLoadingText("Creating UI...");
+  updateLoadingText("loading.ui");
   ui = createUI();
   app.stage.addChild(ui);
+  renderUIText();
 
-  // Set up event handlers
-  setupCupEventHandlers();
+  // Difficulty presets, chosen before betting
+  difficultySelector = createDifficultySelector(selectDifficulty);
+  difficultySelector.setSelected(engine.difficulty.id);
+  ui.addChild(difficultySelector);
 
   // Set up play button handler
   const playButton = ui.getChildByLabel("playButton");
   playButton.on("pointerdown", startGame);
 
+  // Turbo toggle
+  const turboButton = ui.getChildByLabel("turboButton");
+  turboButton.on("pointerdown", () => setTurbo(!turboEnabled));
+
+  // Settings menu; a theme change redraws the focus ring
+  settingsDialog = createSettingsDialog(settings);
+  ui.getChildByLabel("settingsButton").on("pointerdown", () =>
+    settingsDialog.open()
+  );
+  settings.subscribe(updateFocusRing);
+
+  // Sound: levels follow the settings; the mute button toggles the setting
+  const muteButton = ui.getChildByLabel("muteButton");
+  muteButton.on("pointerdown", () => settings.set("muted", !settings.muted));
+  const applySoundSettings = () => {
+    const { sfxVolume, musicVolume, muted } = settings.values;
+    sound.setLevels({ sfxVolume, musicVolume, muted });
+    muteButton.setText(t(muted ? "game.muted" : "game.sound"));
+  };
+  settings.subscribe(applySoundSettings);
+  applySoundSettings();
+  sound.playMusic();
+
+  // Audio may only start from a user gesture: unlock on the first one
+  const unlockAudio = () => {
+    sound.unlock();
+    window.removeEventListener("pointerdown", unlockAudio);
+    window.removeEventListener("keydown", unlockAudio);
+  };
+  window.addEventListener("pointerdown", unlockAudio);
+  window.addEventListener("keydown", unlockAudio);
+
+  // No sound while the tab is hidden
+  document.addEventListener("visibilitychange", () =>
+    sound.setHidden(document.hidden)
+  );
+
+  // Skip gesture: a click on the table
+  gameContainer.eventMode = "static";
+  gameContainer.on("pointerdown", skipPhase);
+
   // Create and add betting panel
-  updateLoadingText("Setting up betting panel...");
+  updateLoadingText("loading.betting");
   bettingPanel = setupBettingPanel();
   app.stage.addChild(bettingPanel);
+  bettingPanel.state.subscribe(updateDifficultyLock);
+
+  // Keyboard play and the Space skip gesture
+  window.addEventListener("keydown", handleKeyDown);
+
+  // DOM stand-ins for the canvas controls and the live region
+  accessibility = createAccessibilityLayer(CUP_COUNT, {
+    onPickCup: selectCup,
+    onFocusCup: index => {
+      focusedCup = index;
+      keyboardFocus = true;
+      updateFocusRing();
+    },
+    onStart: startGame,
+    onDecreaseBet: () => bettingPanel.state.decreaseBet(),
+    onIncreaseBet: () => bettingPanel.state.increaseBet(),
+    onPlaceBet: () => bettingPanel.placeBet()
+  });
+  bettingPanel.state.subscribe(updateAccessibility);
+  updateAccessibility();
+
+  // Set up event handlers
+  setupCupEventHandlers();
+  bindEngineEvents();
+
+  // Offline overlay above everything else
+  connectionOverlay = createConnectionOverlay(layout.width, layout.height);
+  app.stage.addChild(connectionOverlay);
+
+  // Connect to the game server (or the in-browser mock)
+  gameClient = setupGameClient(bettingPanel.state);
+
+  // Round history overlay
+  historyDialog = createHistoryDialog(roundHistory, exportHistory, round => {
+    historyDialog.close();
+    replayRound(round);
+  });
+
+  // Replay watermark and controls; a paused replay freezes the timeline
+  replayOverlay = createReplayOverlay(layout.width, layout.tableHeight, {
+    onTogglePause: toggleReplayPause,
+    onStep: () => replay.step(),
+    onExit: exitReplay
+  });
+  ui.addChild(replayOverlay);
+  replay.subscribe(session => {
+    if (session.isHalted) {
+      timeline.pause();
+    } else {
+      timeline.resume();
+    }
+    replayOverlay.setPaused(session.paused);
+    updateAccessibility();
+  });
+
+  // Autoplay settings dialog; the panel shows the rounds left
+  autoplayDialog = createAutoplayDialog(
+    bettingPanel.state,
+    CUP_COUNT,
+    startAutoplay
+  );
+  autoplay.subscribe(session => {
+    bettingPanel.setAutoplay(session);
+    if (!session.active) {
+      window.removeEventListener("pointerdown", interruptAutoplay);
+      const { stopReason, stopParams } = session;
+      if (stopReason) {
+        updateInstructions("autoplay.stopped", () => ({
+          reason: t(stopReason, stopParams)
+        }));
+      }
+    }
+  });
+
+  // Language switch: the table texts and the screen reader's bet summary
+  i18n.subscribe(() => {
+    renderUIText();
+    updateAccessibility();
+  });
+
+  // Commit the first server seed and set up the verification dialog
+  fairnessDialog = createFairnessDialog(fairness);
+  if (!BETTING_ENABLED) {
+    fairness.commit().catch(error => {
+      console.error("Server seed could not be committed:", error);
+      updateInstructions("game.planFailed");
+    });
+  }
+
+  // Arrange everything for the screen; resizing or rotating the device
+  // switches between the landscape and portrait layouts
+  applyLayout();
+  window.addEventListener("resize", resize);
+  window.addEventListener("orientationchange", resize);
+  resize();
 
   // Game is ready - hide loading screen
-  updateLoadingText("Ready!");
+  updateLoadingText("loading.ready");
   await new Promise(resolve => setTimeout(resolve, 300)); // Brief pause to show "Ready!"
   hideLoadingScreen();
 }
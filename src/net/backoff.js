@@ -0,0 +1,20 @@
+/**
+ * Compute the delay before a reconnect attempt
+ * Exponential backoff capped at maxDelay, with "equal jitter": half of the
+ * delay is fixed and the other half random, so clients that dropped together
+ * do not all reconnect at the same moment.
+ * @param {number} attempt - Reconnect attempt (1 for the first retry)
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay of the first attempt in ms
+ * @param {number} options.maxDelay - Upper bound for the delay in ms
+ * @param {Function} options.random - Random source returning [0, 1)
+ * @returns {number} Delay in ms
+ */
+export function computeBackoff(
+  attempt,
+  { baseDelay = 500, maxDelay = 15000, random = Math.random } = {}
+) {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  const half = exponential / 2;
+  return Math.round(half + random() * half);
+}
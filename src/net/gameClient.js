@@ -0,0 +1,484 @@
+import {
+  MESSAGE_TYPES,
+  REASONS,
+  encodeMessage,
+  decodeMessage
+} from "./protocol.js";
+import { computeBackoff } from "./backoff.js";
+
+// Connection status values
+export const CONNECTION_STATUS = {
+  IDLE: "idle",
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+  CLOSED: "closed"
+};
+
+/**
+ * Game Client
+ * WebSocket transport for the game protocol (see protocol.js). Keeps the
+ * BettingState in sync with the server: connection status, identity,
+ * balance, bet confirmations (with the round the server planned) and
+ * rejections, and shows the server's provably fair seeds through a
+ * RemoteFairnessSession. Unexpected disconnects are
+ * retried with exponential backoff, and a round interrupted by the drop is
+ * restored after re-authentication.
+ */
+export class GameClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {BettingState} options.state - Betting state to drive
+   * @param {RemoteFairnessSession} options.fairness - Fairness view to keep in sync (optional)
+   * @param {string} options.url - WebSocket URL of the game server
+   * @param {Function} options.createSocket - Socket factory (defaults to `new WebSocket(url)`)
+   * @param {Object} options.backoff - Backoff options { baseDelay, maxDelay }
+   * @param {string} options.launchToken - One-time token from the launch URL
+   * @param {number} options.refreshMargin - Refresh the session this many ms before it expires
+   * @param {number} options.betTimeout - Give up on a bet the server has not answered in this many ms
+   */
+  constructor({
+    state,
+    fairness = null,
+    url = null,
+    createSocket = null,
+    backoff = {},
+    launchToken = null,
+    refreshMargin = 60 * 1000,
+    betTimeout = 10 * 1000
+  }) {
+    this.state = state;
+    this.fairness = fairness;
+    this.url = url;
+    this.launchToken = launchToken;
+    this.createSocket = createSocket || (socketUrl => new WebSocket(socketUrl));
+
+    this.socket = null;
+    this.status = CONNECTION_STATUS.IDLE;
+
+    // Reconnect bookkeeping
+    this.backoff = backoff;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+
+    // Session lifecycle timers
+    this.refreshMargin = refreshMargin;
+    this.refreshTimer = null;
+    this.expiryTimer = null;
+
+    // Bets sent but not yet confirmed/rejected, keyed by request ID:
+    // { betData, timer, timedOut }
+    this.pendingBets = new Map();
+    this.nextRequestId = 1;
+    this.betTimeout = betTimeout;
+
+    // Server round ID of the bet currently in play
+    this.roundId = null;
+
+    // Round outcome that could not be sent while offline
+    this.pendingReport = null;
+
+    // Event listeners keyed by event name
+    this.listeners = {};
+  }
+
+  /**
+   * Subscribe to a client event
+   * Events: "status", "connected", "reconnecting", "roundRestored", "authFailed",
+   *         "betConfirmed", "betRejected", "roundResult"
+   * @param {string} event - Event name
+   * @param {Function} callback - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(callback);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(
+        cb => cb !== callback
+      );
+    };
+  }
+
+  /**
+   * Emit an event to its subscribers
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach(callback => callback(payload));
+  }
+
+  /**
+   * Update the connection status and notify subscribers
+   * @param {string} status - One of CONNECTION_STATUS
+   */
+  setStatus(status) {
+    this.status = status;
+    this.emit("status", { status, attempt: this.reconnectAttempt });
+  }
+
+  /**
+   * Open the connection and authenticate once it is open
+   */
+  connect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.setStatus(
+      this.reconnectAttempt > 0
+        ? CONNECTION_STATUS.RECONNECTING
+        : CONNECTION_STATUS.CONNECTING
+    );
+
+    let socket;
+    try {
+      socket = this.createSocket(this.url);
+    } catch (error) {
+      console.error("Failed to open game socket:", error);
+      this.state.setConnectionError("Connection failed");
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      // Resume the session if there is one, otherwise exchange the launch token
+      const token = this.state.sessionToken || this.launchToken;
+      if (!token) {
+        this.handleAuthFailure(REASONS.NO_LAUNCH_TOKEN);
+        return;
+      }
+      this.send(MESSAGE_TYPES.AUTH, { token });
+    };
+
+    socket.onmessage = event => {
+      const message = decodeMessage(event.data);
+      if (!message) {
+        console.warn("Ignoring malformed server message:", event.data);
+        return;
+      }
+      this.handleMessage(message);
+    };
+
+    socket.onerror = () => {
+      this.state.setConnectionError("Connection error");
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.failPendingBets(REASONS.CONNECTION_LOST);
+      this.state.setConnectionError("Connection lost");
+      this.scheduleReconnect();
+    };
+  }
+
+  /**
+   * Retry the connection after a backoff delay
+   */
+  scheduleReconnect() {
+    if (this.status === CONNECTION_STATUS.CLOSED) return;
+
+    this.reconnectAttempt++;
+    const delay = computeBackoff(this.reconnectAttempt, this.backoff);
+    this.setStatus(CONNECTION_STATUS.RECONNECTING);
+    this.emit("reconnecting", { attempt: this.reconnectAttempt, delay });
+
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Close the connection (no reconnect)
+   */
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.clearSessionTimers();
+    this.setStatus(CONNECTION_STATUS.CLOSED);
+
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) socket.close();
+    this.state.setConnected(false);
+  }
+
+  /**
+   * Stop the session refresh/expiry timers
+   */
+  clearSessionTimers() {
+    clearTimeout(this.refreshTimer);
+    clearTimeout(this.expiryTimer);
+    this.refreshTimer = null;
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Store a new session token and plan its refresh before it lapses
+   * @param {string} sessionToken - Session JWT from the server
+   */
+  startSession(sessionToken) {
+    this.state.setSession(sessionToken);
+    this.clearSessionTimers();
+
+    const expiresAt = this.state.sessionExpiresAt;
+    if (expiresAt === null) return;
+
+    // Refresh ahead of expiry (at the latest halfway through a short session)
+    const remaining = expiresAt - Date.now();
+    const margin = Math.min(this.refreshMargin, remaining / 2);
+    this.refreshTimer = setTimeout(() => {
+      this.send(MESSAGE_TYPES.REFRESH_SESSION, {
+        sessionToken: this.state.sessionToken
+      });
+    }, Math.max(0, remaining - margin));
+
+    // If no refresh arrived in time (e.g. offline), the session is over
+    this.expiryTimer = setTimeout(() => {
+      if (!this.state.isAuthenticated) {
+        this.handleAuthFailure(REASONS.SESSION_EXPIRED);
+      }
+    }, Math.max(0, remaining));
+  }
+
+  /**
+   * End the session after an authentication failure (no reconnect)
+   * @param {string} error - Reason code (one of REASONS)
+   */
+  handleAuthFailure(error) {
+    this.failPendingBets(error);
+    this.disconnect();
+    this.state.clearSession(error);
+    this.emit("authFailed", { error });
+  }
+
+  /**
+   * Send a protocol message
+   * @param {string} type - Message type
+   * @param {Object} payload - Message fields
+   * @returns {boolean} Whether the message was sent
+   */
+  send(type, payload = {}) {
+    if (!this.socket || this.socket.readyState !== 1) return false;
+    this.socket.send(encodeMessage(type, payload));
+    return true;
+  }
+
+  /**
+   * Place a bet (resolved later by betConfirmed/betRejected)
+   * The server sets the multiplier and plans the round for the table and
+   * difficulty; neither is up to the client.
+   * @param {Object} betData - Bet data from the betting panel
+   * @param {number} betData.cupCount - Number of cups on the table
+   * @param {string} betData.difficulty - Difficulty preset ID
+   */
+  placeBet(betData) {
+    const requestId = `bet-${this.nextRequestId++}`;
+    const pending = { betData, timer: null, timedOut: false };
+    this.pendingBets.set(requestId, pending);
+
+    const sent = this.send(MESSAGE_TYPES.PLACE_BET, {
+      requestId,
+      bet: betData.bet,
+      currency: betData.currency,
+      cupCount: betData.cupCount,
+      difficulty: betData.difficulty
+    });
+    if (!sent) {
+      this.pendingBets.delete(requestId);
+      this.state.betError(REASONS.NOT_CONNECTED);
+      this.emit("betRejected", { requestId, reason: REASONS.NOT_CONNECTED });
+      return;
+    }
+
+    // Stop waiting for a lost answer. The bet stays known: if it is
+    // confirmed late, the server has taken the stake and its round opens.
+    pending.timer = setTimeout(() => {
+      pending.timedOut = true;
+      this.state.betError(REASONS.NO_ANSWER);
+      this.emit("betRejected", { requestId, reason: REASONS.NO_ANSWER });
+    }, this.betTimeout);
+  }
+
+  /**
+   * Ask the server for the current balance
+   */
+  requestBalance() {
+    this.send(MESSAGE_TYPES.BALANCE);
+  }
+
+  /**
+   * Ask the server to use a new provably fair client seed
+   * @param {string} clientSeed - New client seed
+   * @returns {boolean} Whether the request was sent
+   */
+  setClientSeed(clientSeed) {
+    return this.send(MESSAGE_TYPES.CLIENT_SEED, { clientSeed });
+  }
+
+  /**
+   * Send the player's pick for the round in play; the server judges it
+   * against its plan and settles the round
+   * @param {Object} outcome - { pick }
+   */
+  reportRound({ pick }) {
+    if (!this.roundId) return;
+    const report = { roundId: this.roundId, pick };
+    this.roundId = null;
+
+    // Keep the report while offline; it is sent after re-authentication
+    if (!this.send(MESSAGE_TYPES.ROUND_RESULT, report)) {
+      this.pendingReport = report;
+    }
+  }
+
+  /**
+   * Restore the round that was in flight when the connection dropped
+   * @param {Object|null} openRound - Unsettled round reported by the server
+   */
+  restoreRound(openRound) {
+    if (this.pendingReport) {
+      // Picked while offline: settle it now
+      this.send(MESSAGE_TYPES.ROUND_RESULT, this.pendingReport);
+      this.pendingReport = null;
+      return;
+    }
+    if (!openRound) return;
+
+    this.roundId = openRound.roundId;
+    if (this.fairness) this.fairness.startRound(openRound.roundId);
+    // Bet was accepted but its confirmation was lost with the connection
+    if (!this.state.activeRound) {
+      this.state.confirmBet({ ...openRound, restored: true });
+    }
+    this.emit("roundRestored", openRound);
+  }
+
+  /**
+   * Show the server's commitment for the next round
+   * @param {Object|undefined} commitment - { serverSeedHash, clientSeed, nonce }
+   */
+  updateFairness(commitment) {
+    if (this.fairness && commitment) this.fairness.setCommitment(commitment);
+  }
+
+  /**
+   * Reject every pending bet (e.g. when the connection drops)
+   * @param {string} reason - Reason code (one of REASONS)
+   */
+  failPendingBets(reason) {
+    const waiting = [...this.pendingBets].filter(
+      ([, pending]) => !pending.timedOut
+    );
+    this.pendingBets.forEach(pending => clearTimeout(pending.timer));
+    this.pendingBets.clear();
+    if (waiting.length === 0) return;
+
+    waiting.forEach(([requestId]) => {
+      this.emit("betRejected", { requestId, reason });
+    });
+    this.state.betError(reason);
+  }
+
+  /**
+   * Stop tracking a bet the server has answered
+   * @param {string} requestId - Request ID of the bet
+   * @returns {Object|null} Pending bet { betData, timer, timedOut }, or null if unknown
+   */
+  takePendingBet(requestId) {
+    const pending = this.pendingBets.get(requestId);
+    if (!pending) return null;
+    clearTimeout(pending.timer);
+    this.pendingBets.delete(requestId);
+    return pending;
+  }
+
+  /**
+   * Dispatch a server message
+   * @param {Object} message - Decoded message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case MESSAGE_TYPES.AUTH:
+        if (message.ok) {
+          this.startSession(message.sessionToken);
+          this.state.setIdentity({
+            id: message.userId,
+            providerId: message.providerId,
+            currency: message.currency
+          });
+          this.state.updateBalance(message.balance, message.currency);
+          this.state.setConnected(true);
+          this.updateFairness(message.fairness);
+
+          const restored = this.reconnectAttempt > 0;
+          this.reconnectAttempt = 0;
+          this.setStatus(CONNECTION_STATUS.CONNECTED);
+          this.restoreRound(message.openRound || null);
+          this.emit("connected", { restored });
+        } else {
+          this.handleAuthFailure(message.error || REASONS.AUTH_FAILED);
+        }
+        break;
+
+      case MESSAGE_TYPES.SESSION:
+        if (message.ok) {
+          this.startSession(message.sessionToken);
+        } else {
+          this.handleAuthFailure(message.error || REASONS.SESSION_EXPIRED);
+        }
+        break;
+
+      case MESSAGE_TYPES.BALANCE:
+        this.state.updateBalance(message.balance, message.currency);
+        break;
+
+      case MESSAGE_TYPES.FAIRNESS:
+        this.updateFairness(message);
+        break;
+
+      case MESSAGE_TYPES.BET_CONFIRMED: {
+        const pending = this.takePendingBet(message.requestId);
+        if (!pending) return;
+        const { betData } = pending;
+
+        this.roundId = message.roundId;
+        if (this.fairness) this.fairness.startRound(message.roundId);
+        this.state.confirmBet({
+          ...betData,
+          roundId: message.roundId,
+          bet: message.bet,
+          currency: message.currency,
+          difficulty: message.difficulty,
+          multiplier: message.multiplier,
+          plan: message.plan
+        });
+        this.state.updateBalance(message.balance, message.currency);
+        this.emit("betConfirmed", message);
+        break;
+      }
+
+      case MESSAGE_TYPES.BET_REJECTED: {
+        const pending = this.takePendingBet(message.requestId);
+        // A timed-out bet was already reported as rejected
+        if (!pending || pending.timedOut) return;
+        this.state.betError(message.reason);
+        this.emit("betRejected", message);
+        break;
+      }
+
+      case MESSAGE_TYPES.ROUND_RESULT:
+        // Server balance is authoritative after settlement
+        this.state.updateBalance(message.balance, message.currency);
+        if (this.fairness && message.reveal) {
+          this.fairness.setReveal(message.reveal);
+        }
+        this.updateFairness(message.fairness);
+        this.emit("roundResult", message);
+        break;
+
+      case MESSAGE_TYPES.ERROR:
+        console.error("Server error:", message.message);
+        break;
+    }
+  }
+}
@@ -0,0 +1,360 @@
+import {
+  MESSAGE_TYPES,
+  REASONS,
+  encodeMessage,
+  decodeMessage
+} from "./protocol.js";
+import { toMinorUnits, fromMinorUnits, multiplyMinor } from "../utils/money.js";
+import { encodeUnsignedJwt, getJwtExpiry } from "../utils/jwt.js";
+import { getBetLimits } from "../config/betLimits.js";
+import { MIN_CUPS, MAX_CUPS } from "../config/gameConfig.js";
+import {
+  DIFFICULTIES,
+  DIFFICULTY_ORDER,
+  getDifficultyMultiplier
+} from "../config/difficulty.js";
+import { FairnessSession } from "../provablyFair.js";
+
+/**
+ * Mock Game Backend
+ * In-memory wallet, round book and provably fair seeds speaking the game
+ * protocol. Like a real game server it decides every bet round itself: the
+ * multiplier comes from the game config and the outcome from its own plan.
+ * Used by the Node mock server (server/mockServer.js) and, when no server
+ * URL is configured, directly in the browser through a loopback socket.
+ * @param {Object} options - Backend options
+ * @param {number} options.balance - Starting balance in major units
+ * @param {string} options.currency - Wallet currency code
+ * @param {number} options.latency - Artificial reply delay in ms
+ * @param {number} options.sessionTtl - Lifetime of issued session tokens in ms
+ * @returns {Object} Backend API { connect, wallet }
+ */
+export function createMockBackend({
+  balance = 1000,
+  currency = "USD",
+  latency = 300,
+  sessionTtl = 10 * 60 * 1000
+} = {}) {
+  // Shared by all connections so the balance survives reconnects
+  const wallet = {
+    currency,
+    balanceMinor: toMinorUnits(balance, currency)
+  };
+  const rounds = new Map();
+  let nextRoundId = 1;
+
+  // Seeds every round is planned from (the server seed never leaves here
+  // before its round is settled)
+  const fairness = new FairnessSession();
+
+  // Session tokens handed out (and not yet replaced by a refresh)
+  const sessions = new Set();
+  let nextSessionId = 1;
+
+  /**
+   * Issue a session token for a player
+   * @param {string} userId - Player ID
+   * @returns {string} Unsigned JWT with an `exp` claim
+   */
+  const issueSession = userId => {
+    const token = encodeUnsignedJwt({
+      sub: userId,
+      sid: nextSessionId++,
+      exp: Math.floor((Date.now() + sessionTtl) / 1000)
+    });
+    sessions.add(token);
+    return token;
+  };
+
+  /**
+   * Check a session token
+   * @param {string} token - Session token
+   * @returns {boolean} Whether the token was issued here and is unexpired
+   */
+  const isValidSession = token => {
+    const expiry = getJwtExpiry(token);
+    return sessions.has(token) && expiry !== null && expiry > Date.now();
+  };
+
+  const balanceOf = () => fromMinorUnits(wallet.balanceMinor, wallet.currency);
+
+  /**
+   * Describe a round for the client: the stake, what a win pays and the
+   * plan to animate (where the ball starts and how the cups move)
+   * @param {string} roundId - Round ID
+   * @param {Object} round - Round book entry
+   * @returns {Object} { roundId, bet, currency, cupCount, difficulty, multiplier, plan }
+   */
+  const describeRound = (roundId, round) => ({
+    roundId,
+    bet: fromMinorUnits(round.betMinor, wallet.currency),
+    currency: wallet.currency,
+    cupCount: round.cupCount,
+    difficulty: round.difficulty,
+    multiplier: round.multiplier,
+    plan: { ballPosition: round.plan.ballPosition, moves: round.plan.moves }
+  });
+
+  // Unsettled round (if any) so a reconnecting client can resume it
+  const getOpenRound = () => {
+    for (const [roundId, round] of rounds) {
+      if (round.plan) return describeRound(roundId, round);
+    }
+    return null;
+  };
+
+  // Commitment for the next round (the hash stays null if hashing failed;
+  // the next bet retries it)
+  const getCommitment = async () => {
+    try {
+      await fairness.commit();
+    } catch (error) {
+      console.error("Server seed could not be committed:", error);
+    }
+    return {
+      serverSeedHash: fairness.serverSeedHash,
+      clientSeed: fairness.clientSeed,
+      nonce: fairness.nonce
+    };
+  };
+
+  /**
+   * Open a connection
+   * @param {Function} send - Called with each outgoing JSON message
+   * @returns {Object} Connection { receive(raw) }
+   */
+  function connect(send) {
+    let userId = null;
+
+    const reply = (type, payload) => {
+      setTimeout(() => send(encodeMessage(type, payload)), latency);
+    };
+
+    const handlers = {
+      [MESSAGE_TYPES.AUTH]: async ({ token }) => {
+        if (typeof token !== "string" || token.length === 0) {
+          reply(MESSAGE_TYPES.AUTH, {
+            ok: false,
+            error: REASONS.MISSING_TOKEN
+          });
+          return;
+        }
+
+        // Session tokens (JWTs) resume a session; anything else is a launch token
+        const isSession = getJwtExpiry(token) !== null;
+        if (isSession && !isValidSession(token)) {
+          reply(MESSAGE_TYPES.AUTH, {
+            ok: false,
+            error: REASONS.SESSION_EXPIRED
+          });
+          return;
+        }
+
+        userId = "player-1";
+        const sessionToken = isSession ? token : issueSession(userId);
+        const commitment = await getCommitment();
+        reply(MESSAGE_TYPES.AUTH, {
+          ok: true,
+          sessionToken,
+          userId,
+          providerId: "mock",
+          currency: wallet.currency,
+          balance: balanceOf(),
+          fairness: commitment,
+          openRound: getOpenRound()
+        });
+      },
+
+      [MESSAGE_TYPES.REFRESH_SESSION]: ({ sessionToken }) => {
+        if (!isValidSession(sessionToken)) {
+          reply(MESSAGE_TYPES.SESSION, {
+            ok: false,
+            error: REASONS.SESSION_EXPIRED
+          });
+          return;
+        }
+        sessions.delete(sessionToken);
+        reply(MESSAGE_TYPES.SESSION, {
+          ok: true,
+          sessionToken: issueSession(userId)
+        });
+      },
+
+      [MESSAGE_TYPES.BALANCE]: () => {
+        reply(MESSAGE_TYPES.BALANCE, {
+          balance: balanceOf(),
+          currency: wallet.currency
+        });
+      },
+
+      [MESSAGE_TYPES.CLIENT_SEED]: async ({ clientSeed }) => {
+        if (!userId) return;
+        // Ignored while a round is open; the reply shows the seed in use
+        fairness.setClientSeed(clientSeed);
+        reply(MESSAGE_TYPES.FAIRNESS, await getCommitment());
+      },
+
+      [MESSAGE_TYPES.PLACE_BET]: async ({
+        requestId,
+        bet,
+        currency,
+        cupCount,
+        difficulty
+      }) => {
+        const reject = reason =>
+          reply(MESSAGE_TYPES.BET_REJECTED, { requestId, reason });
+
+        if (!userId) return reject(REASONS.NOT_AUTHENTICATED);
+        if (rounds.size > 0) return reject(REASONS.ROUND_IN_PROGRESS);
+        if (currency !== wallet.currency)
+          return reject(REASONS.CURRENCY_MISMATCH);
+        if (
+          !Number.isInteger(cupCount) ||
+          cupCount < MIN_CUPS ||
+          cupCount > MAX_CUPS
+        ) {
+          return reject(REASONS.UNKNOWN_TABLE);
+        }
+        if (!DIFFICULTY_ORDER.includes(difficulty)) {
+          return reject(REASONS.UNKNOWN_DIFFICULTY);
+        }
+
+        const betMinor = toMinorUnits(bet, wallet.currency);
+        if (betMinor <= 0) return reject(REASONS.INVALID_AMOUNT);
+
+        const limits = getBetLimits(wallet.currency);
+        if (betMinor < limits.minMinor) return reject(REASONS.BELOW_MINIMUM);
+        if (betMinor > limits.maxMinor) return reject(REASONS.ABOVE_MAXIMUM);
+        if (betMinor % limits.stepMinor !== 0) {
+          return reject(REASONS.OFF_STEP);
+        }
+        if (betMinor > wallet.balanceMinor)
+          return reject(REASONS.INSUFFICIENT_FUNDS);
+
+        // Book the round before planning it, so no second bet gets in
+        const preset = DIFFICULTIES[difficulty];
+        const roundId = `round-${nextRoundId++}`;
+        const round = {
+          betMinor,
+          cupCount,
+          difficulty,
+          multiplier: getDifficultyMultiplier(cupCount, preset),
+          plan: null
+        };
+        wallet.balanceMinor -= betMinor;
+        rounds.set(roundId, round);
+
+        try {
+          round.plan = await fairness.createRoundPlan(
+            cupCount,
+            preset.swapCount,
+            {
+              ballFollowChance: preset.ballFollowChance,
+              moveWeights: preset.moveWeights
+            }
+          );
+        } catch (error) {
+          console.error("Round could not be planned:", error);
+          rounds.delete(roundId);
+          wallet.balanceMinor += betMinor;
+          return reject(REASONS.PLAN_FAILED);
+        }
+
+        reply(MESSAGE_TYPES.BET_CONFIRMED, {
+          requestId,
+          ...describeRound(roundId, round),
+          balance: balanceOf()
+        });
+      },
+
+      [MESSAGE_TYPES.ROUND_RESULT]: async ({ roundId, pick }) => {
+        const round = rounds.get(roundId);
+        if (!round || !round.plan) {
+          reply(MESSAGE_TYPES.ERROR, { message: `Unknown round ${roundId}` });
+          return;
+        }
+        if (!Number.isInteger(pick) || pick < 0 || pick >= round.cupCount) {
+          reply(MESSAGE_TYPES.ERROR, { message: `Invalid pick ${pick}` });
+          return;
+        }
+        rounds.delete(roundId);
+
+        // The ball ends where the server's plan put it
+        const ballPosition = round.plan.finalBallPosition;
+        const won = pick === ballPosition;
+        const payoutMinor = won
+          ? multiplyMinor(round.betMinor, round.multiplier)
+          : 0;
+        wallet.balanceMinor += payoutMinor;
+
+        // Only one round is open at a time, so it is the session's current one
+        const reveal = fairness.reveal();
+        const commitment = await getCommitment();
+
+        reply(MESSAGE_TYPES.ROUND_RESULT, {
+          roundId,
+          pick,
+          ballPosition,
+          won,
+          payout: fromMinorUnits(payoutMinor, wallet.currency),
+          currency: wallet.currency,
+          balance: balanceOf(),
+          reveal,
+          fairness: commitment
+        });
+      }
+    };
+
+    return {
+      receive(raw) {
+        const message = decodeMessage(raw);
+        if (!message || !handlers[message.type]) {
+          reply(MESSAGE_TYPES.ERROR, { message: "Malformed message" });
+          return;
+        }
+        handlers[message.type](message);
+      }
+    };
+  }
+
+  return { connect, wallet };
+}
+
+/**
+ * Create a WebSocket-like object that talks to a mock backend in-process
+ * Implements the subset of the WebSocket API the game client uses.
+ * @param {Object} backend - Backend from createMockBackend
+ * @returns {Object} Socket with send/close and onopen/onmessage/onclose handlers
+ */
+export function createLoopbackSocket(backend) {
+  const socket = {
+    readyState: 0,
+    onopen: null,
+    onmessage: null,
+    onclose: null,
+    onerror: null,
+    send(data) {
+      if (socket.readyState === 1) connection.receive(data);
+    },
+    close() {
+      if (socket.readyState === 3) return;
+      socket.readyState = 3;
+      if (socket.onclose) socket.onclose({ code: 1000, reason: "" });
+    }
+  };
+
+  const connection = backend.connect(data => {
+    if (socket.readyState === 1 && socket.onmessage) {
+      socket.onmessage({ data });
+    }
+  });
+
+  // Open asynchronously, like a real socket
+  setTimeout(() => {
+    if (socket.readyState !== 0) return;
+    socket.readyState = 1;
+    if (socket.onopen) socket.onopen();
+  }, 0);
+
+  return socket;
+}
@@ -0,0 +1,105 @@
+/**
+ * Game Server Protocol
+ * Every message is a JSON object with a `type` field. Shared by the browser
+ * client and the Node mock server.
+ *
+ * Client -> server
+ *   auth        { token }            launch token, or session token on reconnect
+ *   refreshSession { sessionToken }
+ *   balance     {}
+ *   clientSeed  { clientSeed }       provably fair client seed for the next rounds
+ *   placeBet    { requestId, bet, currency, cupCount, difficulty }
+ *   roundResult { roundId, pick }
+ *
+ * Server -> client
+ *   auth        { ok, sessionToken, userId, providerId, currency, balance, fairness, openRound?, error? }
+ *               openRound: { roundId, bet, currency, cupCount, difficulty, multiplier, plan }
+ *               of an unsettled bet
+ *   session     { ok, sessionToken, error? }   reply to refreshSession
+ *   balance     { balance, currency }
+ *   fairness    { serverSeedHash, clientSeed, nonce }   reply to clientSeed
+ *   betConfirmed { requestId, roundId, bet, currency, cupCount, difficulty, multiplier, plan, balance }
+ *   betRejected { requestId, reason }
+ *   roundResult { roundId, pick, ballPosition, won, payout, currency, balance, reveal, fairness }
+ *   error       { message }
+ *
+ * The server decides every bet round: it looks the multiplier up in its own
+ * config for the table (cupCount) and difficulty preset, plans the round
+ * from its provably fair seeds and judges the pick against that plan. The
+ * client only animates the plan ({ ballPosition, moves }) and sends the pick.
+ * `fairness` is the commitment for the next round; `reveal` holds the seeds
+ * and parameters of the settled round (see provablyFair.js) for verification.
+ *
+ * Failures carry a reason code (one of REASONS) rather than display text in
+ * `error` (auth, session) and `reason` (betRejected); the client translates
+ * the code for the player.
+ *
+ * Amounts travel in major units (e.g. 10.5 USD); both ends convert them to
+ * integer minor units before doing any arithmetic.
+ */
+
+export const MESSAGE_TYPES = {
+  AUTH: "auth",
+  REFRESH_SESSION: "refreshSession",
+  SESSION: "session",
+  BALANCE: "balance",
+  CLIENT_SEED: "clientSeed",
+  FAIRNESS: "fairness",
+  PLACE_BET: "placeBet",
+  BET_CONFIRMED: "betConfirmed",
+  BET_REJECTED: "betRejected",
+  ROUND_RESULT: "roundResult",
+  ERROR: "error"
+};
+
+// Why a bet was rejected or a session ended. The client adds its own for
+// failures it detects itself (no connection, no answer, no launch token).
+export const REASONS = {
+  MISSING_TOKEN: "missingToken",
+  NO_LAUNCH_TOKEN: "noLaunchToken",
+  AUTH_FAILED: "authFailed",
+  SESSION_EXPIRED: "sessionExpired",
+  NOT_AUTHENTICATED: "notAuthenticated",
+  NOT_CONNECTED: "notConnected",
+  CONNECTION_LOST: "connectionLost",
+  NO_ANSWER: "noAnswer",
+  ROUND_IN_PROGRESS: "roundInProgress",
+  CURRENCY_MISMATCH: "currencyMismatch",
+  UNKNOWN_TABLE: "unknownTable",
+  UNKNOWN_DIFFICULTY: "unknownDifficulty",
+  INVALID_AMOUNT: "invalidAmount",
+  BELOW_MINIMUM: "belowMinimum",
+  ABOVE_MAXIMUM: "aboveMaximum",
+  OFF_STEP: "offStep",
+  INSUFFICIENT_FUNDS: "insufficientFunds",
+  PLAN_FAILED: "planFailed"
+};
+
+const KNOWN_TYPES = new Set(Object.values(MESSAGE_TYPES));
+
+/**
+ * Serialize a protocol message
+ * @param {string} type - Message type (one of MESSAGE_TYPES)
+ * @param {Object} payload - Message fields
+ * @returns {string} JSON text
+ */
+export function encodeMessage(type, payload = {}) {
+  return JSON.stringify({ ...payload, type });
+}
+
+/**
+ * Parse a protocol message
+ * @param {string} data - Raw JSON text
+ * @returns {Object|null} Message with a known `type`, or null if malformed
+ */
+export function decodeMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    return null;
+  }
+  if (!message || typeof message !== "object") return null;
+  if (!KNOWN_TYPES.has(message.type)) return null;
+  return message;
+}
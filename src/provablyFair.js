@@ -0,0 +1,419 @@
+/**
+ * Provably Fair Round Generation
+ * Derives the starting ball position and every shuffle move from a committed
+ * server seed, a player-editable client seed and a nonce (HMAC-SHA256 via Web Crypto).
+ * The server seed hash is shown before the round; the seed itself is revealed
+ * afterwards so the player can recompute the whole round.
+ */
+
+import {
+  createShufflePlan,
+  traceBall,
+  DRAWS_PER_MOVE
+} from "./shuffleMoves.js";
+
+const encoder = new TextEncoder();
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to convert
+ * @returns {string} Hex string
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Generate a random hex string
+ * @param {number} byteLength - Number of random bytes
+ * @returns {string} Hex string (2 characters per byte)
+ */
+export function randomHex(byteLength) {
+  const bytes = new Uint8Array(byteLength);
+  crypto.getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(text));
+  return toHex(digest);
+}
+
+/**
+ * Compute HMAC-SHA256 of a message
+ * @param {string} key - HMAC key (server seed)
+ * @param {string} message - Message to sign
+ * @returns {Promise<Uint8Array>} 32-byte signature
+ */
+async function hmacSha256(key, message) {
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(key),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    cryptoKey,
+    encoder.encode(message)
+  );
+  return new Uint8Array(signature);
+}
+
+/**
+ * Turn four bytes into a float in [0, 1)
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Index of the first byte
+ * @returns {number} Float in [0, 1)
+ */
+function bytesToFloat(bytes, offset) {
+  let value = 0;
+  for (let i = 0; i < 4; i++) {
+    value += bytes[offset + i] / 256 ** (i + 1);
+  }
+  return value;
+}
+
+/**
+ * Generate a deterministic sequence of floats from the round seeds
+ * Each HMAC of "clientSeed:nonce:cursor" yields 8 floats; the cursor
+ * increments until enough floats are produced.
+ * @param {string} serverSeed - Server seed (HMAC key)
+ * @param {string} clientSeed - Client seed
+ * @param {number} nonce - Round nonce
+ * @param {number} count - Number of floats needed
+ * @returns {Promise<number[]>} Floats in [0, 1)
+ */
+export async function generateFloats(serverSeed, clientSeed, nonce, count) {
+  const floats = [];
+  let cursor = 0;
+
+  while (floats.length < count) {
+    const bytes = await hmacSha256(
+      serverSeed,
+      `${clientSeed}:${nonce}:${cursor}`
+    );
+    for (let i = 0; i + 4 <= bytes.length && floats.length < count; i += 4) {
+      floats.push(bytesToFloat(bytes, i));
+    }
+    cursor++;
+  }
+
+  return floats;
+}
+
+/**
+ * Derive the full round plan from the seeds
+ * Float 0 picks the starting ball cup; every move consumes DRAWS_PER_MOVE
+ * floats (move type, ball-follow roll and the cups, see shuffleMoves.js).
+ * @param {Object} params - Round parameters
+ * @param {string} params.serverSeed - Server seed
+ * @param {string} params.clientSeed - Client seed
+ * @param {number} params.nonce - Round nonce
+ * @param {number} params.cupCount - Number of cups on the table
+ * @param {number} params.swapCount - Number of moves in the shuffle
+ * @param {number|null} params.ballFollowChance - Difficulty's chance of consecutive ball-cup moves
+ * @param {Object} params.moveWeights - Difficulty's relative weight per move type
+ * @returns {Promise<Object>} { ballPosition, moves, finalBallPosition }
+ */
+export async function generateRoundPlan({
+  serverSeed,
+  clientSeed,
+  nonce,
+  cupCount,
+  swapCount,
+  ballFollowChance = null,
+  moveWeights
+}) {
+  const floats = await generateFloats(
+    serverSeed,
+    clientSeed,
+    nonce,
+    1 + swapCount * DRAWS_PER_MOVE
+  );
+
+  let cursor = 0;
+  const { ballPosition, moves } = createShufflePlan(
+    cupCount,
+    swapCount,
+    () => floats[cursor++],
+    { ballFollowChance, moveWeights }
+  );
+
+  return {
+    ballPosition,
+    moves,
+    finalBallPosition: traceBall(ballPosition, moves)
+  };
+}
+
+/**
+ * Recompute a revealed round and check the server seed against its commitment
+ * @param {Object} round - Revealed round data
+ * @param {string} round.serverSeed - Revealed server seed
+ * @param {string} round.serverSeedHash - Hash committed before the round
+ * @param {string} round.clientSeed - Client seed used
+ * @param {number} round.nonce - Nonce used
+ * @param {number} round.cupCount - Number of cups
+ * @param {number} round.swapCount - Number of moves
+ * @param {number|null} round.ballFollowChance - Chance of consecutive ball-cup moves
+ * @param {Object} round.moveWeights - Relative weight per move type
+ * @returns {Promise<Object>} Recomputed plan plus { computedHash, hashMatches }
+ */
+export async function verifyRound(round) {
+  const computedHash = await sha256Hex(round.serverSeed);
+  const plan = await generateRoundPlan(round);
+
+  return {
+    ...plan,
+    computedHash,
+    hashMatches: computedHash === round.serverSeedHash
+  };
+}
+
+/**
+ * Fairness Session
+ * Holds the committed server seed, the client seed and the nonce between rounds.
+ * Uses the same observer pattern as BettingState for UI updates.
+ */
+export class FairnessSession {
+  constructor() {
+    // Server seed for the next round (kept secret until revealed)
+    this.serverSeed = null;
+    this.serverSeedHash = null;
+
+    // Player-editable client seed
+    this.clientSeed = randomHex(8);
+
+    // Hash computation in flight for the next server seed
+    this.pendingCommit = null;
+
+    // Incremented after every round
+    this.nonce = 0;
+
+    // Round currently being played (plan + seeds), null between rounds
+    this.currentRound = null;
+
+    // Data of the last revealed round (for verification)
+    this.lastReveal = null;
+
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to session changes
+   * @param {Function} callback - Function to call when the session changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify all subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach(callback => callback(this));
+  }
+
+  /**
+   * Ensure a server seed is committed for the next round
+   * @returns {Promise<string>} Committed server seed hash
+   */
+  async commit() {
+    if (!this.serverSeed) {
+      // Share one pending commit between concurrent callers
+      if (!this.pendingCommit) {
+        const seed = randomHex(32);
+        this.pendingCommit = sha256Hex(seed).then(
+          hash => {
+            this.serverSeed = seed;
+            this.serverSeedHash = hash;
+            this.pendingCommit = null;
+            this.notify();
+          },
+          error => {
+            // Let the next caller try again
+            this.pendingCommit = null;
+            throw error;
+          }
+        );
+      }
+      await this.pendingCommit;
+    }
+    return this.serverSeedHash;
+  }
+
+  /**
+   * Change the client seed (only allowed between rounds)
+   * @param {string} seed - New client seed
+   * @returns {boolean} Whether the seed was accepted
+   */
+  setClientSeed(seed) {
+    const trimmed = typeof seed === "string" ? seed.trim() : "";
+    if (this.currentRound || trimmed.length === 0) return false;
+    this.clientSeed = trimmed;
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Derive the plan for the next round from the committed seeds
+   * @param {number} cupCount - Number of cups
+   * @param {number} swapCount - Number of moves
+   * @param {Object} options - Plan options { ballFollowChance, moveWeights }
+   * @returns {Promise<Object>} { ballPosition, moves, finalBallPosition }
+   */
+  async createRoundPlan(
+    cupCount,
+    swapCount,
+    { ballFollowChance = null, moveWeights } = {}
+  ) {
+    await this.commit();
+
+    const round = {
+      serverSeedHash: this.serverSeedHash,
+      clientSeed: this.clientSeed,
+      nonce: this.nonce,
+      cupCount,
+      swapCount,
+      ballFollowChance,
+      moveWeights
+    };
+    const plan = await generateRoundPlan({
+      ...round,
+      serverSeed: this.serverSeed
+    });
+
+    this.currentRound = { ...round, ...plan };
+    this.notify();
+    return plan;
+  }
+
+  /**
+   * Reveal the server seed of the finished round and commit a fresh one
+   * @returns {Object|null} Revealed round data, or null if no round was played
+   */
+  reveal() {
+    if (!this.currentRound) return null;
+
+    this.lastReveal = { ...this.currentRound, serverSeed: this.serverSeed };
+    this.currentRound = null;
+    this.serverSeed = null;
+    this.serverSeedHash = null;
+    this.nonce++;
+    this.notify();
+
+    // Commit the next seed right away so its hash is visible before betting
+    // (if hashing fails, the next round's plan retries and reports it)
+    this.commit().catch(() => {});
+
+    return this.lastReveal;
+  }
+}
+
+/**
+ * Remote Fairness Session
+ * Browser-side view of the fairness session a game server keeps: the seeds
+ * live on the server, which sends the commitment for the next round and
+ * reveals the seeds of each round once it has settled it. Has the fields
+ * the fairness dialog reads from a FairnessSession, so it can show either.
+ */
+export class RemoteFairnessSession {
+  /**
+   * @param {Function} requestClientSeed - (seed) => whether the change was sent to the server
+   */
+  constructor(requestClientSeed) {
+    this.requestClientSeed = requestClientSeed;
+
+    // Commitment for the next round, as last sent by the server
+    this.serverSeedHash = null;
+    this.clientSeed = "";
+    this.nonce = 0;
+
+    // Server round being played (seeds locked), null between rounds
+    this.currentRound = null;
+
+    // Data of the last revealed round (for verification)
+    this.lastReveal = null;
+
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to session changes
+   * @param {Function} callback - Function to call when the session changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify all subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach(callback => callback(this));
+  }
+
+  /**
+   * Show the server's commitment for the next round
+   * @param {Object} commitment - { serverSeedHash, clientSeed, nonce }
+   */
+  setCommitment({ serverSeedHash, clientSeed, nonce }) {
+    this.serverSeedHash = serverSeedHash;
+    this.clientSeed = clientSeed;
+    this.nonce = nonce;
+    this.notify();
+  }
+
+  /**
+   * Lock the seeds while a server round is open
+   * @param {string} roundId - Server round ID
+   */
+  startRound(roundId) {
+    this.currentRound = {
+      roundId,
+      serverSeedHash: this.serverSeedHash,
+      clientSeed: this.clientSeed,
+      nonce: this.nonce
+    };
+    this.notify();
+  }
+
+  /**
+   * Store the seeds the server revealed for the settled round
+   * @param {Object} reveal - Revealed round data (see FairnessSession.reveal)
+   */
+  setReveal(reveal) {
+    this.lastReveal = reveal;
+    this.currentRound = null;
+    this.notify();
+  }
+
+  /**
+   * Ask the server to use a new client seed (only between rounds)
+   * The session shows the seed once the server confirms it.
+   * @param {string} seed - New client seed
+   * @returns {boolean} Whether the request was sent
+   */
+  setClientSeed(seed) {
+    const trimmed = typeof seed === "string" ? seed.trim() : "";
+    if (this.currentRound || trimmed.length === 0) return false;
+    return this.requestClientSeed(trimmed);
+  }
+}
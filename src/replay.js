@@ -0,0 +1,176 @@
+import { traceBall } from "./shuffleMoves.js";
+import { t } from "./i18n/index.js";
+
+/**
+ * Round Replay
+ * Plays a stored round back move by move for disputes and review. Holds no
+ * rendering code: main.js re-animates the round with the live visuals and
+ * asks the session before every move whether to go on, so play/pause and
+ * step-by-move are decided here.
+ * Uses the same observer pattern as BettingState for UI updates.
+ */
+
+/**
+ * Check that a stored round can be replayed on a table
+ * @param {Object} round - Round history record
+ * @param {number} cupCount - Number of cups on the table
+ * @returns {string|null} Why the round cannot be replayed, or null if it can
+ */
+export function getReplayError(round, cupCount) {
+  if (
+    !round ||
+    !Array.isArray(round.moves) ||
+    !Number.isInteger(round.initialBallPosition)
+  ) {
+    return t("replay.noMoves");
+  }
+  if (round.cupCount !== undefined && round.cupCount !== cupCount) {
+    return t("replay.cupCount", { count: round.cupCount });
+  }
+  if (
+    traceBall(round.initialBallPosition, round.moves) !== round.ballPosition
+  ) {
+    return t("replay.mismatch");
+  }
+  return null;
+}
+
+export class ReplaySession {
+  constructor() {
+    // Whether a replay is showing
+    this.active = false;
+
+    // Round history record being replayed
+    this.round = null;
+
+    // Paused: moves wait for play or step
+    this.paused = false;
+
+    // A step is running until the next move is reached
+    this.stepping = false;
+
+    // Continues the move waiting in waitForMove (set while one waits)
+    this.proceed = null;
+
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to session changes
+   * @param {Function} callback - Function to call when the session changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify all subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach(callback => callback(this));
+  }
+
+  /**
+   * Whether the animation should be frozen right now
+   * (paused and not in the middle of a step)
+   */
+  get isHalted() {
+    return this.active && this.paused && !this.stepping;
+  }
+
+  /**
+   * Start replaying a round (playing)
+   * @param {Object} round - Round history record
+   * @returns {boolean} Whether the replay started
+   */
+  start(round) {
+    if (this.active) return false;
+    this.active = true;
+    this.round = round;
+    this.paused = false;
+    this.stepping = false;
+    this.notify();
+    return true;
+  }
+
+  /**
+   * End the replay (a move waiting to play is released and told to stop)
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.paused = false;
+    this.stepping = false;
+    this.wake();
+    this.notify();
+  }
+
+  /**
+   * Pause at the current point
+   */
+  pause() {
+    if (!this.active || this.paused) return;
+    this.paused = true;
+    this.stepping = false;
+    this.notify();
+  }
+
+  /**
+   * Play on from the current point
+   */
+  play() {
+    if (!this.active) return;
+    this.paused = false;
+    this.stepping = false;
+    this.wake();
+    this.notify();
+  }
+
+  /**
+   * Play up to the next move boundary, then pause
+   * (between moves: play the next move; mid-move: finish it)
+   */
+  step() {
+    if (!this.active) return;
+    this.paused = true;
+    this.stepping = true;
+    this.wake();
+    this.notify();
+  }
+
+  /**
+   * Release the move waiting in waitForMove, if any
+   */
+  wake() {
+    const proceed = this.proceed;
+    this.proceed = null;
+    if (proceed) proceed();
+  }
+
+  /**
+   * Wait until the next move may play
+   * A step in progress ends here.
+   * @returns {Promise<boolean>} Whether to play it (false once stopped)
+   */
+  waitForMove() {
+    if (this.stepping) {
+      this.stepping = false;
+      this.notify();
+    }
+
+    return new Promise(resolve => {
+      const check = () => {
+        if (!this.active || !this.paused || this.stepping) {
+          resolve(this.active);
+        } else {
+          this.proceed = check;
+        }
+      };
+      check();
+    });
+  }
+}
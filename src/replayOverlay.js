@@ -0,0 +1,156 @@
+import { Container, Graphics, Text } from "pixi.js";
+import { i18n, t, bindText } from "./i18n/index.js";
+import { getSkin } from "./skin.js";
+
+/**
+ * Create a replay control button
+ * @param {string} text - Button label
+ * @param {number} width - Button width
+ * @returns {Container} Button with a setText method (shrinks labels that
+ *   do not fit)
+ */
+function createControlButton(text, width) {
+  const button = new Container();
+
+  const bg = new Graphics();
+  bg.roundRect(-width / 2, -15, width, 30, 6);
+  bg.fill({ color: 0x000000, alpha: 0.7 });
+  bg.stroke({ color: 0xffd700, width: 1 });
+
+  const label = new Text({
+    text,
+    style: {
+      fontFamily: getSkin().fonts.ui,
+      fontSize: 14,
+      fontWeight: "bold",
+      fill: 0xffffff
+    }
+  });
+  label.anchor.set(0.5);
+
+  button.addChild(bg);
+  button.addChild(label);
+  button.setText = value => {
+    label.text = value;
+    label.scale.set(1);
+    label.scale.set(Math.min(1, (width - 10) / label.width));
+  };
+
+  button.eventMode = "static";
+  button.cursor = "pointer";
+
+  return button;
+}
+
+/**
+ * Create the replay overlay: a "REPLAY" watermark across the table and the
+ * play/pause, step and exit controls
+ * The watermark ignores the pointer; only the control buttons are interactive.
+ * @param {number} width - Game width
+ * @param {number} height - Game height
+ * @param {Object} callbacks - { onTogglePause, onStep, onExit }
+ * @returns {Container} Overlay container with show/hide/setPaused/resize methods
+ */
+export function createReplayOverlay(width, height, callbacks) {
+  const overlay = new Container();
+
+  const watermark = new Text({
+    text: "",
+    style: {
+      fontFamily: getSkin().fonts.ui,
+      fontSize: 140,
+      fontWeight: "bold",
+      fill: 0xffffff,
+      stroke: { color: 0x000000, width: 6 }
+    }
+  });
+  watermark.anchor.set(0.5);
+  watermark.rotation = -0.2;
+  watermark.alpha = 0.18;
+  watermark.eventMode = "none";
+  overlay.addChild(watermark);
+
+  // Table size (changed by resize)
+  let tableWidth = width;
+
+  // Shrink longer translations to fit across the table
+  const fitWatermark = () => {
+    watermark.scale.set(1);
+    watermark.scale.set(Math.min(1, (tableWidth * 0.9) / watermark.width));
+  };
+  bindText(text => {
+    watermark.text = text;
+    fitWatermark();
+  }, "replay.watermark");
+
+  // Controls in one row below the score
+  const controls = new Container();
+  overlay.addChild(controls);
+
+  const pauseBtn = createControlButton("", 100);
+  pauseBtn.x = -115;
+  pauseBtn.on("pointerdown", () => callbacks.onTogglePause());
+  controls.addChild(pauseBtn);
+
+  // Play/pause label for the current state and language
+  let paused = false;
+  const renderPauseButton = () => {
+    pauseBtn.setText(t(paused ? "replay.play" : "replay.pause"));
+  };
+  renderPauseButton();
+  i18n.subscribe(renderPauseButton);
+
+  const stepBtn = createControlButton("", 100);
+  bindText(stepBtn.setText, "replay.step");
+  stepBtn.on("pointerdown", () => callbacks.onStep());
+  controls.addChild(stepBtn);
+
+  const exitBtn = createControlButton("", 100);
+  bindText(exitBtn.setText, "replay.exit");
+  exitBtn.x = 115;
+  exitBtn.on("pointerdown", () => callbacks.onExit());
+  controls.addChild(exitBtn);
+
+  /**
+   * Fit the overlay to the table
+   * @param {number} newWidth - Table width
+   * @param {number} newHeight - Table height
+   * @param {number} controlsY - y of the control row
+   */
+  overlay.resize = (newWidth, newHeight, controlsY = 150) => {
+    tableWidth = newWidth;
+    watermark.x = newWidth / 2;
+    watermark.y = newHeight / 2 - 40;
+    fitWatermark();
+    controls.x = newWidth / 2;
+    controls.y = controlsY;
+  };
+  overlay.resize(width, height);
+
+  overlay.visible = false;
+
+  /**
+   * Show the overlay
+   */
+  overlay.show = () => {
+    overlay.visible = true;
+  };
+
+  /**
+   * Hide the overlay
+   */
+  overlay.hide = () => {
+    overlay.visible = false;
+  };
+
+  /**
+   * Show the play/pause state on the toggle button
+   * @param {boolean} value - Whether the replay is paused
+   */
+  overlay.setPaused = value => {
+    paused = value;
+    renderPauseButton();
+  };
+
+  return overlay;
+}
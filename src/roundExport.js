@@ -0,0 +1,167 @@
+import { toDecimalString } from "./utils/money.js";
+
+/**
+ * Round Export
+ * Turns stored round history records into audit exports. The schema is
+ * stable: fields are only ever added (at the end), never renamed or
+ * reordered, and EXPORT_VERSION is bumped when that happens.
+ *
+ * Record fields (cup positions are 0-based, left to right):
+ *   roundId             - server round ID (local ID for unbetted rounds)
+ *   timestamp           - finish time, ISO 8601 UTC
+ *   currency            - currency code
+ *   stake / payout      - exact decimal strings in the currency's precision
+ *   won                 - whether the pick found the ball
+ *   pick                - cup the player picked
+ *   initialBallPosition - cup holding the ball before the shuffle
+ *   finalBallPosition   - cup holding the ball after the shuffle
+ *   moves               - shuffle moves in order, [{ type, cups }]
+ *                         (CSV: "swap:0-1 rotate:0-1-2 ...")
+ *   balanceBefore       - balance before the stake was debited
+ *   balanceAfterBet     - balance after the stake was debited
+ *   balanceAfter        - balance after the payout was credited
+ *   difficulty          - difficulty preset ID
+ *   serverSeed, serverSeedHash, clientSeed, nonce - provably fair data
+ *   cupCount            - number of cups on the table (version 2)
+ *   swapDuration        - duration of each move in ms (version 2)
+ *   timeScale           - animation speed factor, e.g. 3 with Turbo (version 2)
+ */
+
+export const EXPORT_SCHEMA = "thimblerig.rounds";
+export const EXPORT_VERSION = 2;
+
+export const EXPORT_FIELDS = [
+  "roundId",
+  "timestamp",
+  "currency",
+  "stake",
+  "payout",
+  "won",
+  "pick",
+  "initialBallPosition",
+  "finalBallPosition",
+  "moves",
+  "balanceBefore",
+  "balanceAfterBet",
+  "balanceAfter",
+  "difficulty",
+  "serverSeed",
+  "serverSeedHash",
+  "clientSeed",
+  "nonce",
+  "cupCount",
+  "swapDuration",
+  "timeScale"
+];
+
+/**
+ * Normalize a missing field to null
+ * @param {*} value - Field value
+ * @returns {*} The value, or null when undefined
+ */
+function orNull(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * Convert an optional minor-unit amount to a decimal string
+ * @param {number|null|undefined} minor - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {string|null} Decimal string, or null when unknown
+ */
+function amount(minor, currency) {
+  return Number.isSafeInteger(minor) ? toDecimalString(minor, currency) : null;
+}
+
+/**
+ * Map a stored history record to the export schema
+ * Records stored before a field existed export it as null.
+ * @param {Object} round - Round history record
+ * @returns {Object} Export record with exactly EXPORT_FIELDS
+ */
+export function toExportRecord(round) {
+  const fairness = round.fairness || {};
+  const { currency } = round;
+
+  return {
+    roundId: orNull(round.roundId),
+    timestamp: new Date(round.timestamp).toISOString(),
+    currency,
+    stake: amount(round.stakeMinor, currency),
+    payout: amount(round.payoutMinor, currency),
+    won: round.won,
+    pick: round.pick,
+    initialBallPosition: orNull(round.initialBallPosition),
+    finalBallPosition: round.ballPosition,
+    moves: orNull(round.moves),
+    balanceBefore: amount(round.balanceBeforeMinor, currency),
+    balanceAfterBet: amount(round.balanceAfterBetMinor, currency),
+    balanceAfter: amount(round.balanceAfterMinor, currency),
+    difficulty: orNull(round.difficulty),
+    serverSeed: orNull(fairness.serverSeed),
+    serverSeedHash: orNull(fairness.serverSeedHash),
+    clientSeed: orNull(fairness.clientSeed),
+    nonce: orNull(fairness.nonce),
+    cupCount: orNull(round.cupCount),
+    swapDuration: orNull(round.swapDuration),
+    timeScale: orNull(round.timeScale)
+  };
+}
+
+/**
+ * Export rounds as JSON
+ * @param {Array<Object>} rounds - Round history records
+ * @returns {string} JSON document { schema, version, exportedAt, rounds }
+ */
+export function exportRoundsJson(rounds) {
+  return JSON.stringify(
+    {
+      schema: EXPORT_SCHEMA,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      rounds: rounds.map(toExportRecord)
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Quote a CSV cell when needed (RFC 4180)
+ * Text that a spreadsheet would run as a formula (e.g. a client seed
+ * starting with "=") is prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write moves compactly for CSV ("swap:0-1 rotate:0-1-2")
+ * @param {Array<Object>|null} moves - Shuffle moves
+ * @returns {string|null} Move list
+ */
+function movesCell(moves) {
+  if (!moves) return null;
+  return moves.map(({ type, cups }) => `${type}:${cups.join("-")}`).join(" ");
+}
+
+/**
+ * Export rounds as CSV (header row of EXPORT_FIELDS, CRLF line endings)
+ * @param {Array<Object>} rounds - Round history records
+ * @returns {string} CSV document
+ */
+export function exportRoundsCsv(rounds) {
+  const rows = rounds.map(round => {
+    const record = toExportRecord(round);
+    record.moves = movesCell(record.moves);
+    return EXPORT_FIELDS.map(field => csvCell(record[field])).join(",");
+  });
+  return [EXPORT_FIELDS.join(","), ...rows].join("\r\n") + "\r\n";
+}
@@ -0,0 +1,143 @@
+/**
+ * Round History
+ * Every finished round, newest first, persisted in localStorage and capped
+ * so storage stays small. Amounts are kept in integer minor units, like
+ * BettingState. Uses the same observer pattern as BettingState for UI updates.
+ */
+
+const STORAGE_KEY = "thimblerig.roundHistory";
+
+// Rounds kept (older ones are dropped)
+export const HISTORY_CAP = 200;
+
+/**
+ * Get the browser's localStorage if it is usable (not in Node, private mode...)
+ * @returns {Storage|null} Storage or null
+ */
+function getDefaultStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export class RoundHistory {
+  /**
+   * @param {Object} options - History options
+   * @param {Storage|null} options.storage - Web Storage to persist to (null keeps it in memory)
+   * @param {string} options.key - Storage key
+   * @param {number} options.cap - Maximum number of rounds kept
+   */
+  constructor({
+    storage = getDefaultStorage(),
+    key = STORAGE_KEY,
+    cap = HISTORY_CAP
+  } = {}) {
+    this.storage = storage;
+    this.key = key;
+    this.cap = cap;
+
+    // Stored rounds, newest first
+    this.rounds = this.load();
+
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to history changes
+   * @param {Function} callback - Function to call when the history changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify all subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach(callback => callback(this));
+  }
+
+  /**
+   * Read the stored rounds (an unreadable entry starts an empty history)
+   * @returns {Array<Object>} Rounds, newest first
+   */
+  load() {
+    if (!this.storage) return [];
+    try {
+      const rounds = JSON.parse(this.storage.getItem(this.key));
+      return Array.isArray(rounds) ? rounds.slice(0, this.cap) : [];
+    } catch (error) {
+      console.warn("Ignoring unreadable round history:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Write the rounds to storage (kept in memory if storage is full or blocked)
+   */
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.rounds));
+    } catch (error) {
+      console.warn("Could not save round history:", error);
+    }
+  }
+
+  /**
+   * Store a finished round
+   * @param {Object} round - Round record
+   * @param {string|null} round.roundId - Server round ID (null without betting)
+   * @param {number} round.timestamp - Finish time (ms since epoch)
+   * @param {number} round.stakeMinor - Stake in minor units
+   * @param {string} round.currency - Currency code
+   * @param {number} round.pick - Chosen cup index
+   * @param {number} round.ballPosition - Cup index holding the ball
+   * @param {boolean} round.won - Whether the ball was found
+   * @param {number} round.payoutMinor - Payout in minor units
+   * @param {number} round.balanceAfterMinor - Balance after settlement
+   * @param {Object|null} round.fairness - { serverSeed, serverSeedHash, clientSeed, nonce }
+   * @returns {Object} Stored record
+   */
+  add(round) {
+    this.rounds = [round, ...this.rounds].slice(0, this.cap);
+    this.save();
+    this.notify();
+    return round;
+  }
+
+  /**
+   * Add data that arrived after a round was stored (e.g. the seeds the
+   * server reveals once it has settled the round)
+   * @param {string} roundId - Round ID
+   * @param {Object} changes - Fields to set
+   * @returns {Object|null} Updated record, or null if the round is not stored
+   */
+  update(roundId, changes) {
+    const stored = this.rounds.find(round => round.roundId === roundId);
+    if (!stored) return null;
+
+    const updated = { ...stored, ...changes };
+    this.rounds = this.rounds.map(round =>
+      round === stored ? updated : round
+    );
+    this.save();
+    this.notify();
+    return updated;
+  }
+
+  /**
+   * Delete every stored round
+   */
+  clear() {
+    this.rounds = [];
+    this.save();
+    this.notify();
+  }
+}
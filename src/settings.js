@@ -0,0 +1,162 @@
+/**
+ * Player Settings
+ * Language, display and sound preferences chosen in the settings menu (mute also from
+ * its button on the table), persisted in localStorage so they survive
+ * reloads. Uses the same observer pattern as BettingState for UI updates.
+ */
+
+const STORAGE_KEY = "thimblerig.settings";
+
+// Media query the reduced-motion default follows until the player chooses
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * Get the browser's localStorage if it is usable (not in Node, private mode...)
+ * @returns {Storage|null} Storage or null
+ */
+function getDefaultStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the system reduced-motion preference
+ * @returns {boolean} Whether the system asks for reduced motion
+ */
+function prefersReducedMotion() {
+  return (
+    typeof globalThis.matchMedia === "function" &&
+    globalThis.matchMedia(REDUCED_MOTION_QUERY).matches
+  );
+}
+
+/**
+ * Get the default settings
+ * @returns {Object} Settings { language, reducedMotion, highContrast, sfxVolume, musicVolume, muted }
+ */
+export function getDefaultSettings() {
+  return {
+    // Chosen language code ("" follows the launch parameter or the browser)
+    language: "",
+    // Slower swaps without arcs, cups fade instead of lifting
+    reducedMotion: prefersReducedMotion(),
+    // Outlined, patterned ball and selection highlights
+    highContrast: false,
+    // Sound levels (0 - 1) and mute
+    sfxVolume: 0.8,
+    musicVolume: 0.5,
+    muted: false
+  };
+}
+
+export class GameSettings {
+  /**
+   * @param {Object} options - Settings options
+   * @param {Storage|null} options.storage - Web Storage to persist to (null keeps them in memory)
+   * @param {string} options.key - Storage key
+   */
+  constructor({ storage = getDefaultStorage(), key = STORAGE_KEY } = {}) {
+    this.storage = storage;
+    this.key = key;
+
+    // Current values (defaults overlaid with the stored choices)
+    this.values = { ...getDefaultSettings(), ...this.load() };
+
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to settings changes
+   * @param {Function} callback - Function to call when a setting changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Notify all subscribers of a change
+   */
+  notify() {
+    this.listeners.forEach(callback => callback(this));
+  }
+
+  /**
+   * Computed: chosen language ("" when automatic)
+   */
+  get language() {
+    return this.values.language;
+  }
+
+  /**
+   * Computed: reduced-motion mode
+   */
+  get reducedMotion() {
+    return this.values.reducedMotion;
+  }
+
+  /**
+   * Computed: high-contrast theme
+   */
+  get highContrast() {
+    return this.values.highContrast;
+  }
+
+  /**
+   * Computed: all sound muted
+   */
+  get muted() {
+    return this.values.muted;
+  }
+
+  /**
+   * Read the stored choices (only known keys with the default's type)
+   * @returns {Object} Stored settings
+   */
+  load() {
+    if (!this.storage) return {};
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.key)) || {};
+      const defaults = getDefaultSettings();
+      return Object.fromEntries(
+        Object.entries(stored).filter(
+          ([name, value]) =>
+            name in defaults && typeof value === typeof defaults[name]
+        )
+      );
+    } catch (error) {
+      console.warn("Ignoring unreadable settings:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the settings to storage (kept in memory if storage is full or blocked)
+   */
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.values));
+    } catch (error) {
+      console.warn("Could not save settings:", error);
+    }
+  }
+
+  /**
+   * Change a setting
+   * @param {string} name - Setting name (see getDefaultSettings)
+   * @param {*} value - New value
+   */
+  set(name, value) {
+    if (!(name in this.values) || this.values[name] === value) return;
+    this.values = { ...this.values, [name]: value };
+    this.save();
+    this.notify();
+  }
+}
@@ -0,0 +1,129 @@
+import { el } from "./utils/dom.js";
+import { i18n, bindText } from "./i18n/index.js";
+
+// Toggles shown in the dialog: setting name, label and explanation message IDs
+const TOGGLES = [
+  ["reducedMotion", "settings.reducedMotion", "settings.reducedMotionNote"],
+  ["highContrast", "settings.highContrast", "settings.highContrastNote"]
+];
+
+// Volume sliders: setting name and label message ID
+const SLIDERS = [
+  ["sfxVolume", "settings.sfxVolume"],
+  ["musicVolume", "settings.musicVolume"]
+];
+
+/**
+ * Create the settings dialog (DOM overlay above the canvas)
+ * Changes apply at once and are stored by GameSettings; a language change
+ * re-renders every translated text.
+ * @param {GameSettings} settings - Player settings to edit
+ * @returns {Object} Dialog API { open, close, element }
+ */
+export function createSettingsDialog(settings) {
+  const overlay = el("div", "dialog-overlay");
+  overlay.hidden = true;
+
+  const dialog = el("div", "dialog-box");
+  dialog.setAttribute("role", "dialog");
+  bindText(text => dialog.setAttribute("aria-label", text), "settings.title");
+  overlay.appendChild(dialog);
+
+  dialog.appendChild(bindText(el("h2", "dialog-title"), "settings.title"));
+
+  // Language: automatic, then each language named in itself
+  const languageSelect = el("select", "dialog-input");
+  languageSelect.appendChild(
+    bindText(new Option("", ""), "settings.automatic")
+  );
+  i18n.languages.forEach(code =>
+    languageSelect.appendChild(new Option(i18n.getLanguageName(code), code))
+  );
+  languageSelect.addEventListener("change", () =>
+    settings.set("language", languageSelect.value)
+  );
+
+  const languageRow = el("label", "dialog-row");
+  languageRow.appendChild(
+    bindText(el("span", "dialog-label"), "settings.language")
+  );
+  languageRow.appendChild(languageSelect);
+  dialog.appendChild(languageRow);
+
+  const checkboxes = {};
+  TOGGLES.forEach(([name, label, note]) => {
+    const checkbox = el("input");
+    checkbox.type = "checkbox";
+    checkbox.addEventListener("change", () =>
+      settings.set(name, checkbox.checked)
+    );
+    checkboxes[name] = checkbox;
+
+    const row = el("label", "dialog-row");
+    row.appendChild(bindText(el("span", "dialog-label"), label));
+    row.appendChild(checkbox);
+    dialog.appendChild(row);
+    dialog.appendChild(bindText(el("p", "dialog-note"), note));
+  });
+
+  const sliders = {};
+  SLIDERS.forEach(([name, label]) => {
+    const slider = el("input", "dialog-input");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "100";
+    slider.addEventListener("input", () =>
+      settings.set(name, Number(slider.value) / 100)
+    );
+    sliders[name] = slider;
+
+    const row = el("label", "dialog-row");
+    row.appendChild(bindText(el("span", "dialog-label"), label));
+    row.appendChild(slider);
+    dialog.appendChild(row);
+  });
+
+  const actions = el("div", "dialog-actions");
+  const closeBtn = bindText(el("button", "dialog-button"), "dialog.close");
+  actions.appendChild(closeBtn);
+  dialog.appendChild(actions);
+
+  document.body.appendChild(overlay);
+
+  /**
+   * Show the current values
+   */
+  const render = () => {
+    languageSelect.value = settings.language;
+    Object.entries(checkboxes).forEach(([name, checkbox]) => {
+      checkbox.checked = settings.values[name];
+    });
+    Object.entries(sliders).forEach(([name, slider]) => {
+      slider.value = String(Math.round(settings.values[name] * 100));
+    });
+  };
+
+  closeBtn.addEventListener("click", () => close());
+  overlay.addEventListener("pointerdown", e => {
+    if (e.target === overlay) close();
+  });
+
+  settings.subscribe(render);
+
+  /**
+   * Show the dialog
+   */
+  function open() {
+    render();
+    overlay.hidden = false;
+  }
+
+  /**
+   * Hide the dialog
+   */
+  function close() {
+    overlay.hidden = true;
+  }
+
+  return { open, close, element: overlay };
+}
@@ -0,0 +1,236 @@
+import { t } from "./i18n/index.js";
+
+/**
+ * Shuffle Move Library
+ * The moves a shuffle is made of - pure data, no PixiJS, runs in Node.
+ * A move is { type, cups }: `cups` lists the table positions taking part,
+ * and every move type maps each of those positions to the position its cup
+ * ends up at. The rendering layer animates a move from the same mapping.
+ */
+
+export const MOVE_TYPES = {
+  SWAP: "swap",
+  FEINT: "feint",
+  ROTATE: "rotate",
+  DOUBLE_SWAP: "doubleSwap",
+  SLIDE: "slide"
+};
+
+/**
+ * Move definitions
+ *   cupsNeeded   - number of positions taking part
+ *   minCups      - smallest table the move can be played on
+ *   destinations - (cups) => end position of the cup at each cups[i]
+ */
+export const MOVES = {
+  // Two cups trade places along an arc
+  [MOVE_TYPES.SWAP]: {
+    cupsNeeded: 2,
+    minCups: 2,
+    destinations: ([a, b]) => [b, a]
+  },
+  // Two cups start to trade places, then return (nothing moves)
+  [MOVE_TYPES.FEINT]: {
+    cupsNeeded: 2,
+    minCups: 2,
+    destinations: ([a, b]) => [a, b]
+  },
+  // Three cups rotate: a -> b -> c -> a
+  [MOVE_TYPES.ROTATE]: {
+    cupsNeeded: 3,
+    minCups: 3,
+    destinations: ([a, b, c]) => [b, c, a]
+  },
+  // Two disjoint pairs swap at the same time
+  [MOVE_TYPES.DOUBLE_SWAP]: {
+    cupsNeeded: 4,
+    minCups: 4,
+    destinations: ([a, b, c, d]) => [b, a, d, c]
+  },
+  // Two non-adjacent cups trade places, one sliding behind the cups between
+  [MOVE_TYPES.SLIDE]: {
+    cupsNeeded: 2,
+    minCups: 3,
+    destinations: ([a, b]) => [b, a]
+  }
+};
+
+// Random draws each planned move consumes (type, follow roll, up to 4 cups),
+// fixed so provably fair plans know how many floats to derive
+export const DRAWS_PER_MOVE = 6;
+
+/**
+ * Get the end position of every cup taking part in a move
+ * @param {Object} move - Move { type, cups }
+ * @returns {Array<number>} End positions, aligned with move.cups
+ */
+export function getMoveDestinations(move) {
+  return MOVES[move.type].destinations(move.cups);
+}
+
+/**
+ * Follow the ball through one move
+ * @param {number} position - Cup position holding the ball before the move
+ * @param {Object} move - Move { type, cups }
+ * @returns {number} Cup position holding the ball after the move
+ */
+export function applyMove(position, move) {
+  const index = move.cups.indexOf(position);
+  return index === -1 ? position : getMoveDestinations(move)[index];
+}
+
+/**
+ * Follow the ball through a list of moves
+ * @param {number} start - Starting cup position of the ball
+ * @param {Array<Object>} moves - Moves in play order
+ * @returns {number} Cup position holding the ball after all moves
+ */
+export function traceBall(start, moves) {
+  return moves.reduce(applyMove, start);
+}
+
+/**
+ * Describe a move for the verification dialog (1-based cup numbers)
+ * in the current language
+ * @param {Object} move - Move { type, cups }
+ * @returns {string} e.g. "Rotate: cup 1 → cup 2 → cup 3 → cup 1"
+ */
+export function describeMove({ type, cups }) {
+  const [a, b, c, d] = cups.map(cup => t("move.cup", { cup: cup + 1 }));
+  const known = Object.values(MOVE_TYPES).includes(type);
+  return t(`move.${known ? type : MOVE_TYPES.SWAP}`, { a, b, c, d });
+}
+
+/**
+ * Draw distinct cups from a pool
+ * @param {Array<number>} pool - Candidate positions
+ * @param {number} count - Number of cups to draw
+ * @param {Array<number>} draws - Floats in [0, 1), one per cup
+ * @returns {Array<number>} Drawn positions (in draw order)
+ */
+function drawCups(pool, count, draws) {
+  const remaining = [...pool];
+  const cups = [];
+  for (let i = 0; i < count; i++) {
+    const index = Math.floor(draws[i] * remaining.length);
+    cups.push(remaining.splice(index, 1)[0]);
+  }
+  return cups;
+}
+
+/**
+ * Pick a move type by weight
+ * @param {Array<[string, number]>} weights - [type, weight] pairs
+ * @param {number} draw - Float in [0, 1)
+ * @returns {string} Move type
+ */
+function pickMoveType(weights, draw) {
+  const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  let threshold = draw * total;
+  for (const [type, weight] of weights) {
+    if (threshold < weight) return type;
+    threshold -= weight;
+  }
+  return weights[weights.length - 1][0];
+}
+
+/**
+ * Choose the cups for a move
+ * @param {string} type - Move type
+ * @param {number} cupCount - Number of cups
+ * @param {number} ball - Ball position before the move
+ * @param {boolean|null} involveBall - Force the ball cup in (true) or out (false)
+ * @param {Array<number>} draws - Floats for the cup draws
+ * @returns {Array<number>|null} Cup positions, or null if the move does not fit
+ */
+function chooseCups(type, cupCount, ball, involveBall, draws) {
+  const { cupsNeeded } = MOVES[type];
+  const all = Array.from({ length: cupCount }, (_, i) => i);
+  const others = all.filter(cup => cup !== ball);
+
+  let first;
+  let pool;
+  if (involveBall === true) {
+    first = ball;
+    pool = others;
+  } else if (involveBall === false && others.length >= cupsNeeded) {
+    [first] = drawCups(others, 1, draws);
+    pool = others.filter(cup => cup !== first);
+  } else {
+    [first] = drawCups(all, 1, draws);
+    pool = all.filter(cup => cup !== first);
+  }
+
+  // A slide needs at least one cup between the two it moves
+  if (type === MOVE_TYPES.SLIDE) {
+    pool = pool.filter(cup => Math.abs(cup - first) >= 2);
+    if (pool.length === 0) return null;
+  }
+
+  return [first, ...drawCups(pool, cupsNeeded - 1, draws.slice(1))];
+}
+
+/**
+ * Generate a shuffle plan from a random source
+ * Every move consumes DRAWS_PER_MOVE floats. After a move that carried the
+ * ball, the next move carries it again with `ballFollowChance` and leaves it
+ * alone otherwise (null: no preference).
+ * @param {number} cupCount - Number of cups
+ * @param {number} moveCount - Number of moves
+ * @param {Function} random - Function returning floats in [0, 1) (defaults to Math.random)
+ * @param {Object} options - Plan options
+ * @param {number|null} options.ballFollowChance - Chance of consecutive ball-cup moves (0 - 1)
+ * @param {Object} options.moveWeights - Relative weight per move type (defaults to swaps only)
+ * @returns {Object} { ballPosition, moves }
+ */
+export function createShufflePlan(
+  cupCount,
+  moveCount,
+  random = Math.random,
+  { ballFollowChance = null, moveWeights = { [MOVE_TYPES.SWAP]: 1 } } = {}
+) {
+  const ballPosition = Math.floor(random() * cupCount);
+
+  // Moves that fit on this table
+  const weights = Object.entries(moveWeights).filter(
+    ([type, weight]) => weight > 0 && MOVES[type].minCups <= cupCount
+  );
+  if (weights.length === 0) weights.push([MOVE_TYPES.SWAP, 1]);
+
+  const moves = [];
+  let position = ballPosition;
+  let movedBall = false;
+
+  for (let i = 0; i < moveCount; i++) {
+    const draws = Array.from({ length: DRAWS_PER_MOVE }, () => random());
+
+    let involveBall = null;
+    if (movedBall && ballFollowChance !== null) {
+      involveBall = draws[1] < ballFollowChance;
+    }
+
+    let type = pickMoveType(weights, draws[0]);
+    // A feint never carries the ball, so it cannot follow it
+    if (type === MOVE_TYPES.FEINT && involveBall) type = MOVE_TYPES.SWAP;
+
+    let cups = chooseCups(
+      type,
+      cupCount,
+      position,
+      involveBall,
+      draws.slice(2)
+    );
+    if (!cups) {
+      type = MOVE_TYPES.SWAP;
+      cups = chooseCups(type, cupCount, position, involveBall, draws.slice(2));
+    }
+
+    const move = { type, cups };
+    const next = applyMove(position, move);
+    movedBall = next !== position;
+    position = next;
+    moves.push(move);
+  }
+
+  return { ballPosition, moves };
+}
@@ -0,0 +1,96 @@
+import { DEFAULT_SKIN } from "./config/skin.js";
+
+/**
+ * Skins
+ * The active skin is picked once at launch (before anything is drawn) from a
+ * manifest, so operators can ship branded textures, colours and fonts as a
+ * JSON file and images without touching the code. Components read it with
+ * getSkin() when they are created.
+ */
+
+// Manifest path for a skin given by name (`?skin=midnight`)
+const SKIN_PATH = name => `skins/${name}/skin.json`;
+
+let activeSkin = DEFAULT_SKIN;
+
+/**
+ * Get the active skin
+ * @returns {Object} Skin (see config/skin.js)
+ */
+export function getSkin() {
+  return activeSkin;
+}
+
+/**
+ * Make a skin the active one
+ * @param {Object} skin - Complete skin (see createSkin)
+ */
+export function setSkin(skin) {
+  activeSkin = skin;
+}
+
+/**
+ * Check for a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is a plain object
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Overlay a manifest on a base skin, object by object
+ * Arrays and other values replace the base value; null removes a texture.
+ * @param {Object} base - Base skin
+ * @param {Object} overrides - Manifest values
+ * @returns {Object} Merged skin
+ */
+export function mergeSkin(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeSkin(base[key], value)
+        : value;
+  });
+  return merged;
+}
+
+/**
+ * Build a complete skin from a manifest
+ * Texture paths in the manifest are relative to the manifest itself.
+ * @param {Object} manifest - Parsed skin manifest
+ * @param {string} manifestUrl - Absolute URL the manifest was loaded from
+ * @returns {Object} Skin
+ */
+export function createSkin(manifest, manifestUrl) {
+  if (!isPlainObject(manifest)) {
+    throw new TypeError("Skin manifest must be a JSON object");
+  }
+  const skin = mergeSkin(DEFAULT_SKIN, manifest);
+
+  const textures = isPlainObject(manifest.textures) ? manifest.textures : {};
+  Object.entries(textures).forEach(([name, texture]) => {
+    if (isPlainObject(texture) && typeof texture.src === "string") {
+      skin.textures[name] = {
+        ...skin.textures[name],
+        src: new URL(texture.src, manifestUrl).href
+      };
+    }
+  });
+  return skin;
+}
+
+/**
+ * Load a skin manifest
+ * @param {string} source - Skin name (a folder in skins/) or manifest URL
+ * @returns {Promise<Object>} Skin
+ */
+export async function loadSkin(source) {
+  const path = /^[\w-]+$/.test(source) ? SKIN_PATH(source) : source;
+  const url = new URL(path, document.baseURI).href;
+
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return createSkin(await response.json(), url);
+}
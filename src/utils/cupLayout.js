@@ -0,0 +1,25 @@
+/**
+ * Compute where the cups sit on the table for a given variant
+ * Cups keep their natural spacing while they fit; with more cups the spacing
+ * shrinks to the available width and the cups are scaled down to match.
+ * @param {number} cupCount - Number of cups
+ * @param {Object} options - Layout options
+ * @param {number} options.gameWidth - Width of the table
+ * @param {number} options.spacing - Natural distance between cup centers
+ * @param {number} options.margin - Free space kept at each side of the table
+ * @returns {Object} { positions, spacing, scale }
+ */
+export function computeCupLayout(cupCount, { gameWidth, spacing, margin }) {
+  const available = gameWidth - margin * 2;
+  const slotWidth = available / cupCount;
+  const cupSpacing = Math.min(spacing, slotWidth);
+  const scale = Math.min(1, cupSpacing / spacing);
+
+  const startX = gameWidth / 2 - ((cupCount - 1) * cupSpacing) / 2;
+  const positions = [];
+  for (let i = 0; i < cupCount; i++) {
+    positions.push(startX + i * cupSpacing);
+  }
+
+  return { positions, spacing: cupSpacing, scale };
+}
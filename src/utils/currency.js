@@ -1,4 +1,8 @@
-import { getCurrencyName } from "../config/currencies";
+import {
+  getCurrency,
+  getCurrencyDecimals,
+  getCurrencyName
+} from "../config/currencies.js";
 
 export function normalizeCurrencyCode(value) {
   if (value === undefined || value === null) {
@@ -18,9 +22,46 @@ export function normalizeCurrencyCode(value) {
           return getCurrencyName(numeric);
         }
       }
-      return trimmed;
+      const currency = getCurrency(trimmed);
+      return currency ? currency.code : trimmed.toUpperCase();
     }
   }
 
   return null;
 }
+
+// Intl.NumberFormat instances are costly to create, so reuse them
+const formatters = new Map();
+
+/**
+ * Format an amount with the precision of its currency
+ * @param {number} amount - Amount in major units
+ * @param {string} currencyCode - Currency code
+ * @param {Object} options - Extra Intl.NumberFormat options (e.g. { useGrouping: false })
+ * @returns {string} Locale-formatted amount
+ */
+export function formatAmount(amount, currencyCode, options = {}) {
+  const decimals = getCurrencyDecimals(currencyCode);
+  const formatOptions = {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+    ...options
+  };
+
+  const key = JSON.stringify(formatOptions);
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(undefined, formatOptions));
+  }
+  return formatters.get(key).format(amount);
+}
+
+/**
+ * Format an amount followed by its currency code (e.g. "1,234.50 USD")
+ * @param {number} amount - Amount in major units
+ * @param {string} currencyCode - Currency code
+ * @param {Object} options - Extra Intl.NumberFormat options
+ * @returns {string} Formatted amount with currency code
+ */
+export function formatMoney(amount, currencyCode, options = {}) {
+  return `${formatAmount(amount, currencyCode, options)} ${currencyCode}`;
+}
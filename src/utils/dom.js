@@ -0,0 +1,55 @@
+import { bindText } from "../i18n/index.js";
+
+/**
+ * DOM helpers for the dialogs shown above the canvas
+ * (styled by the .dialog-* rules in index.html)
+ */
+
+/**
+ * Create a DOM element with optional class and text
+ * @param {string} tag - Tag name
+ * @param {string} className - CSS class
+ * @param {string} text - Text content
+ * @returns {HTMLElement} Created element
+ */
+export function el(tag, className = "", text = "") {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+}
+
+// How long a download's blob URL is kept before it is released (ms)
+const DOWNLOAD_REVOKE_DELAY = 60 * 1000;
+
+/**
+ * Offer text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type (e.g. "text/csv")
+ */
+export function downloadText(filename, content, mimeType = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = el("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns; revoking the
+  // URL right away can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_DELAY);
+}
+
+/**
+ * Create a label/value row for the dialog
+ * @param {string} labelKey - Message ID of the row label
+ * @returns {Object} { row, value } elements
+ */
+export function createRow(labelKey) {
+  const row = el("div", "dialog-row");
+  row.appendChild(bindText(el("span", "dialog-label"), labelKey));
+  const value = el("code", "dialog-value");
+  row.appendChild(value);
+  return { row, value };
+}
@@ -0,0 +1,57 @@
+/**
+ * Decode the payload of a JWT without verifying it
+ * (the server verifies tokens; the client only reads the claims it needs)
+ * @param {string} token - JWT ("header.payload.signature")
+ * @returns {Object|null} Payload claims, or null if the token is malformed
+ */
+export function decodeJwtPayload(token) {
+  if (typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+
+  try {
+    // base64url -> base64
+    const base64 = parts[1].replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, "=");
+    const json = decodeURIComponent(
+      Array.from(atob(padded))
+        .map(char => `%${char.charCodeAt(0).toString(16).padStart(2, "0")}`)
+        .join("")
+    );
+    const payload = JSON.parse(json);
+    return payload && typeof payload === "object" ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the expiry time of a JWT
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry as a millisecond timestamp, or null if the token has no `exp`
+ */
+export function getJwtExpiry(token) {
+  const payload = decodeJwtPayload(token);
+  if (!payload || typeof payload.exp !== "number") return null;
+  return payload.exp * 1000;
+}
+
+/**
+ * Encode claims as an unsigned JWT (mock backend only - not for production use)
+ * @param {Object} claims - Payload claims
+ * @returns {string} JWT with an empty signature
+ */
+export function encodeUnsignedJwt(claims) {
+  const encode = value =>
+    btoa(
+      encodeURIComponent(JSON.stringify(value)).replace(
+        /%([0-9A-F]{2})/g,
+        (_, hex) => String.fromCharCode(Number.parseInt(hex, 16))
+      )
+    )
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+
+  return `${encode({ alg: "none", typ: "JWT" })}.${encode(claims)}.`;
+}
@@ -0,0 +1,115 @@
+import { getCurrencyDecimals } from "../config/currencies.js";
+
+/**
+ * Money helpers
+ * Amounts are held as integer minor units (cents, satoshis, ...) and only
+ * converted to major units for display and for the wire format.
+ * Minor units stay within Number.MAX_SAFE_INTEGER (about 90 million BTC at
+ * 8 decimals), so plain integers are used instead of BigInt.
+ */
+
+/**
+ * Get the number of minor units in one major unit
+ * @param {string} currencyCode - Currency code
+ * @returns {number} 10 ^ decimals
+ */
+export function getMinorFactor(currencyCode) {
+  return 10 ** getCurrencyDecimals(currencyCode);
+}
+
+/**
+ * Assert that a value is a usable minor-unit amount
+ * @param {number} minor - Amount in minor units
+ * @returns {number} The same amount
+ */
+function assertMinor(minor) {
+  if (!Number.isSafeInteger(minor)) {
+    throw new RangeError(`Invalid minor-unit amount: ${minor}`);
+  }
+  return minor;
+}
+
+/**
+ * Convert a major-unit amount to minor units (rounded to the smallest unit)
+ * @param {number} amount - Amount in major units
+ * @param {string} currencyCode - Currency code
+ * @returns {number} Integer amount in minor units
+ */
+export function toMinorUnits(amount, currencyCode) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return 0;
+  return assertMinor(Math.round(value * getMinorFactor(currencyCode)));
+}
+
+/**
+ * Convert minor units to a major-unit number (display and wire edges only)
+ * @param {number} minor - Amount in minor units
+ * @param {string} currencyCode - Currency code
+ * @returns {number} Amount in major units
+ */
+export function fromMinorUnits(minor, currencyCode) {
+  return minor / getMinorFactor(currencyCode);
+}
+
+/**
+ * Write minor units as an exact plain decimal ("1234.50", "-0.00012000"),
+ * without floating point, grouping or locale (for exports and the wire)
+ * @param {number} minor - Amount in minor units
+ * @param {string} currencyCode - Currency code
+ * @returns {string} Decimal string with the currency's number of decimals
+ */
+export function toDecimalString(minor, currencyCode) {
+  const decimals = getCurrencyDecimals(currencyCode);
+  const digits = String(Math.abs(assertMinor(minor))).padStart(
+    decimals + 1,
+    "0"
+  );
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals);
+  const sign = minor < 0 ? "-" : "";
+  return decimals > 0 ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+}
+
+/**
+ * Parse user-typed text ("12.5", "0.0001") into minor units without going
+ * through floating point. Extra decimals beyond the currency precision are cut off.
+ * @param {string} text - Typed amount (digits with an optional "." separator)
+ * @param {string} currencyCode - Currency code
+ * @returns {number|null} Amount in minor units, or null if the text is not a
+ *   number or too large to hold exactly
+ */
+export function parseAmount(text, currencyCode) {
+  const match = /^\s*(\d*)(?:\.(\d*))?\s*$/.exec(String(text));
+  if (!match || (match[1] === "" && !match[2])) return null;
+
+  const decimals = getCurrencyDecimals(currencyCode);
+  const whole = match[1] || "0";
+  const fraction = (match[2] || "").slice(0, decimals).padEnd(decimals, "0");
+
+  const minor = Number.parseInt(whole + fraction, 10);
+  return Number.isSafeInteger(minor) ? minor : null;
+}
+
+/**
+ * Round an amount down to a multiple of a step
+ * @param {number} minor - Amount in minor units
+ * @param {number} stepMinor - Step in minor units
+ * @returns {number} Rounded amount in minor units
+ */
+export function roundToStep(minor, stepMinor = 1) {
+  if (stepMinor <= 1) return minor;
+  return Math.floor(minor / stepMinor) * stepMinor;
+}
+
+/**
+ * Apply a payout multiplier to a stake
+ * The multiplier is taken to 2 decimals so the product stays integer; the
+ * payout is rounded down to the smallest unit.
+ * @param {number} stakeMinor - Stake in minor units
+ * @param {number} multiplier - Payout multiplier (e.g. 2.91)
+ * @returns {number} Payout in minor units
+ */
+export function multiplyMinor(stakeMinor, multiplier) {
+  const hundredths = Math.round(multiplier * 100);
+  return assertMinor(Math.floor((stakeMinor * hundredths) / 100));
+}
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeBackoff } from "../src/net/backoff.js";
+
+test("the delay doubles with every attempt", () => {
+  const options = { baseDelay: 500, random: () => 1 };
+  assert.equal(computeBackoff(1, options), 500);
+  assert.equal(computeBackoff(2, options), 1000);
+  assert.equal(computeBackoff(3, options), 2000);
+});
+
+test("the delay is capped at maxDelay", () => {
+  assert.equal(
+    computeBackoff(20, { baseDelay: 500, maxDelay: 15000, random: () => 1 }),
+    15000
+  );
+});
+
+test("jitter only varies the upper half of the delay", () => {
+  assert.equal(computeBackoff(3, { baseDelay: 500, random: () => 0 }), 1000);
+  assert.equal(computeBackoff(3, { baseDelay: 500, random: () => 0.5 }), 1500);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BettingState } from "../src/bettingState.js";
+
+const ROUND = {
+  roundId: "round-1",
+  bet: 10,
+  currency: "USD",
+  multiplier: 2.91,
+  plan: { ballPosition: 0, moves: [] }
+};
+
+test("a confirmed bet's balance before is the balance it was placed from", () => {
+  const state = new BettingState();
+  state.updateBalance(100, "USD");
+  state.confirmBet(ROUND);
+  state.updateBalance(90, "USD");
+
+  assert.equal(state.activeRound.balanceBeforeMinor, 10000);
+});
+
+test("a restored round's stake is not counted twice", () => {
+  const state = new BettingState();
+  // The balance loaded on reconnect already has the stake debited
+  state.updateBalance(90, "USD");
+  state.confirmBet({ ...ROUND, restored: true });
+
+  assert.equal(state.activeRound.balanceBeforeMinor, 10000);
+});
+
+test("settling pays the confirmed multiplier", () => {
+  const state = new BettingState();
+  state.updateBalance(90, "USD");
+  state.confirmBet({ ...ROUND, restored: true });
+  assert.ok(state.startRound());
+
+  const result = state.settleRound({ won: true, pick: 0, ballPosition: 0 });
+  assert.equal(result.payoutMinor, 2910);
+  assert.equal(result.balanceAfterBetMinor, 9000);
+  assert.equal(state.balanceMinor, 11910);
+  assert.equal(state.activeRound, null);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DIFFICULTIES,
+  DIFFICULTY_ORDER,
+  resolveDifficulty,
+  getDifficultyMultiplier
+} from "../src/config/difficulty.js";
+import {
+  GAME_CONFIG,
+  MIN_CUPS,
+  MAX_CUPS,
+  getPayoutMultiplier
+} from "../src/config/gameConfig.js";
+
+// Share of the stake a pick at random gets back on average
+function getReturnToPlayer(cupCount, difficulty) {
+  return getDifficultyMultiplier(cupCount, difficulty) / cupCount;
+}
+
+test("normal pays the table's house-edge multiplier", () => {
+  for (let cupCount = MIN_CUPS; cupCount <= MAX_CUPS; cupCount++) {
+    assert.equal(
+      getDifficultyMultiplier(cupCount, DIFFICULTIES.normal),
+      getPayoutMultiplier(cupCount)
+    );
+  }
+});
+
+test("every preset's RTP matches the house edge it keeps", () => {
+  for (let cupCount = MIN_CUPS; cupCount <= MAX_CUPS; cupCount++) {
+    for (const id of DIFFICULTY_ORDER) {
+      const difficulty = DIFFICULTIES[id];
+      const rtp = getReturnToPlayer(cupCount, difficulty);
+      const expected = 1 - GAME_CONFIG.houseEdge * difficulty.houseEdgeScale;
+
+      // Multipliers are rounded down to 2 decimals
+      assert.ok(rtp <= expected + 1e-9, `${id} with ${cupCount} cups: ${rtp}`);
+      assert.ok(rtp > expected - 0.01, `${id} with ${cupCount} cups: ${rtp}`);
+      assert.ok(rtp < 1, `${id} with ${cupCount} cups: ${rtp}`);
+    }
+  }
+});
+
+test("harder presets return more of the stake", () => {
+  for (let cupCount = MIN_CUPS; cupCount <= MAX_CUPS; cupCount++) {
+    const rtps = DIFFICULTY_ORDER.map(id =>
+      getReturnToPlayer(cupCount, DIFFICULTIES[id])
+    );
+    for (let i = 1; i < rtps.length; i++) {
+      assert.ok(rtps[i] > rtps[i - 1], `${cupCount} cups: ${rtps}`);
+    }
+  }
+});
+
+test("unknown presets fall back to the configured default", () => {
+  assert.equal(resolveDifficulty("hard"), DIFFICULTIES.hard);
+  assert.equal(resolveDifficulty("nope"), DIFFICULTIES[GAME_CONFIG.difficulty]);
+});
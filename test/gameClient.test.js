@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameClient } from "../src/net/gameClient.js";
+import { BettingState } from "../src/bettingState.js";
+import { MESSAGE_TYPES, REASONS, encodeMessage } from "../src/net/protocol.js";
+
+// Socket that authenticates and records what the client sends, but only
+// answers bets when told to
+function createSilentSocket(sent) {
+  const socket = {
+    readyState: 1,
+    send(data) {
+      const message = JSON.parse(data);
+      sent.push(message);
+      if (message.type === MESSAGE_TYPES.AUTH) {
+        socket.answer(MESSAGE_TYPES.AUTH, {
+          ok: true,
+          sessionToken: "session",
+          userId: "player-1",
+          currency: "USD",
+          balance: 100
+        });
+      }
+    },
+    answer(type, payload) {
+      socket.onmessage({ data: encodeMessage(type, payload) });
+    },
+    close() {}
+  };
+  setTimeout(() => socket.onopen(), 0);
+  return socket;
+}
+
+async function connectClient(options = {}) {
+  const sent = [];
+  let socket;
+  const client = new GameClient({
+    state: new BettingState(),
+    launchToken: "launch",
+    createSocket: () => (socket = createSilentSocket(sent)),
+    ...options
+  });
+  const connected = new Promise(resolve => client.on("connected", resolve));
+  client.connect();
+  await connected;
+  return { client, socket, sent };
+}
+
+const BET = { bet: 10, currency: "USD", cupCount: 3, difficulty: "normal" };
+
+test("bets carry only the stake, the table and the difficulty", async () => {
+  const { client, sent } = await connectClient();
+  client.placeBet({ ...BET, multiplier: 1000 });
+
+  const { requestId, type, ...payload } = sent.at(-1);
+  assert.equal(type, MESSAGE_TYPES.PLACE_BET);
+  assert.deepEqual(payload, {
+    bet: 10,
+    currency: "USD",
+    cupCount: 3,
+    difficulty: "normal"
+  });
+  client.disconnect();
+});
+
+test("an unanswered bet is rejected after the timeout", async () => {
+  const { client, socket, sent } = await connectClient({ betTimeout: 20 });
+  const rejected = new Promise(resolve => client.on("betRejected", resolve));
+  client.state.startBetting();
+  client.placeBet(BET);
+
+  const { reason } = await rejected;
+  assert.equal(reason, REASONS.NO_ANSWER);
+  assert.equal(client.state.isBetting, false);
+
+  // A late confirmation still opens the round the server took the stake for
+  const { requestId } = sent.at(-1);
+  socket.answer(MESSAGE_TYPES.BET_CONFIRMED, {
+    requestId,
+    roundId: "round-1",
+    bet: 10,
+    currency: "USD",
+    multiplier: 2.61,
+    plan: { ballPosition: 0, moves: [] },
+    balance: 90
+  });
+  assert.equal(client.state.activeRound.roundId, "round-1");
+  client.disconnect();
+});
+
+test("an answered bet does not time out", async () => {
+  const { client, socket, sent } = await connectClient({ betTimeout: 20 });
+  let rejections = 0;
+  client.on("betRejected", () => rejections++);
+  client.placeBet(BET);
+  socket.answer(MESSAGE_TYPES.BET_REJECTED, {
+    requestId: sent.at(-1).requestId,
+    reason: REASONS.BELOW_MINIMUM
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(rejections, 1);
+  client.disconnect();
+});
+
+test("the round report carries only the pick", async () => {
+  const { client, socket, sent } = await connectClient();
+  client.placeBet(BET);
+  socket.answer(MESSAGE_TYPES.BET_CONFIRMED, {
+    requestId: sent.at(-1).requestId,
+    roundId: "round-1",
+    bet: 10,
+    currency: "USD",
+    multiplier: 2.61,
+    plan: { ballPosition: 0, moves: [] },
+    balance: 90
+  });
+  client.reportRound({ pick: 2, won: true, ballPosition: 2 });
+
+  const { type, ...payload } = sent.at(-1);
+  assert.equal(type, MESSAGE_TYPES.ROUND_RESULT);
+  assert.deepEqual(payload, { roundId: "round-1", pick: 2 });
+  client.disconnect();
+});
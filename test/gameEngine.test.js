@@ -0,0 +1,168 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameEngine, PHASES, simulateRound } from "../src/gameEngine.js";
+import { MOVE_TYPES } from "../src/shuffleMoves.js";
+
+// Fixed plan: ball starts under cup 0, swap 0-1 carries it to 1,
+// the feint and the swap of 0-2 leave it there
+const PLAN = {
+  ballPosition: 0,
+  moves: [
+    { type: MOVE_TYPES.SWAP, cups: [0, 1] },
+    { type: MOVE_TYPES.FEINT, cups: [1, 2] },
+    { type: MOVE_TYPES.SWAP, cups: [0, 2] }
+  ]
+};
+
+function createEngine(options = {}) {
+  return new GameEngine({ cupCount: 3, planRound: () => PLAN, ...options });
+}
+
+test("a round walks through every phase in order", async () => {
+  const engine = createEngine();
+  const phases = [];
+  engine.on("phase", ({ phase }) => phases.push(phase));
+
+  assert.equal(engine.phase, PHASES.IDLE);
+  assert.ok(engine.canStart);
+
+  await engine.startRound();
+  engine.beginShuffle();
+  assert.ok(engine.isShuffling);
+  engine.finishShuffle();
+  assert.ok(engine.canSelect);
+  engine.pick(1);
+
+  assert.deepEqual(phases, [
+    PHASES.REVEAL,
+    PHASES.SHUFFLE,
+    PHASES.AWAITING_PICK,
+    PHASES.RESOLVED
+  ]);
+  assert.ok(engine.canStart);
+});
+
+test("illegal transitions throw and leave the phase unchanged", async () => {
+  const engine = createEngine();
+
+  assert.throws(() => engine.beginShuffle(), /Illegal phase transition/);
+  assert.throws(() => engine.finishShuffle(), /Illegal phase transition/);
+  assert.equal(engine.phase, PHASES.IDLE);
+
+  await engine.startRound();
+  await assert.rejects(engine.startRound(), /Cannot start a round/);
+  assert.throws(() => engine.finishShuffle(), /Illegal phase transition/);
+  assert.equal(engine.phase, PHASES.REVEAL);
+});
+
+test("picks outside the pick phase or the table are ignored", async () => {
+  const engine = createEngine();
+  assert.equal(engine.pick(0), null);
+
+  await engine.startRound();
+  engine.beginShuffle();
+  engine.finishShuffle();
+  assert.equal(engine.pick(-1), null);
+  assert.equal(engine.pick(3), null);
+  assert.equal(engine.phase, PHASES.AWAITING_PICK);
+  assert.equal(engine.gamesPlayed, 0);
+});
+
+test("the ball is tracked through every move", async () => {
+  const engine = createEngine();
+  const positions = [];
+  engine.on("move", ({ ballPosition }) => positions.push(ballPosition));
+
+  await engine.startRound();
+  assert.equal(engine.ballPosition, 0);
+  engine.beginShuffle();
+  assert.deepEqual(engine.nextMove(), PLAN.moves[0]);
+  assert.equal(engine.ballPosition, 1);
+  engine.finishShuffle();
+
+  assert.deepEqual(positions, [1, 1, 1]);
+  assert.equal(engine.nextMove(), null);
+});
+
+test("nextMove does nothing outside the shuffle", async () => {
+  const engine = createEngine();
+  await engine.startRound();
+  assert.equal(engine.nextMove(), null);
+  assert.equal(engine.moveIndex, 0);
+});
+
+test("picking keeps score", async () => {
+  const engine = createEngine();
+  const resolved = [];
+  engine.on("resolved", result => resolved.push(result));
+
+  const won = await simulateRound(engine, () => 1);
+  const lost = await simulateRound(engine, () => 2);
+
+  assert.deepEqual(won, { pick: 1, ballPosition: 1, won: true });
+  assert.deepEqual(lost, { pick: 2, ballPosition: 1, won: false });
+  assert.deepEqual(resolved, [won, lost]);
+  assert.equal(engine.score, 1);
+  assert.equal(engine.gamesPlayed, 2);
+});
+
+test("reset abandons the round in any phase", async () => {
+  const engine = createEngine();
+  await engine.startRound();
+  engine.beginShuffle();
+  engine.reset();
+
+  assert.equal(engine.phase, PHASES.IDLE);
+  assert.ok(engine.canStart);
+  engine.reset();
+  assert.equal(engine.phase, PHASES.IDLE);
+});
+
+test("the difficulty only changes between rounds", async () => {
+  const engine = createEngine();
+  const hard = { swapCount: 20, ballFollowChance: 0.5, moveWeights: {} };
+  assert.ok(engine.setDifficulty(hard));
+  assert.equal(engine.swapCount, 20);
+
+  await engine.startRound();
+  assert.equal(engine.setDifficulty({ swapCount: 5 }), false);
+  assert.equal(engine.swapCount, 20);
+});
+
+test("the planner receives the table size and the difficulty", async () => {
+  const calls = [];
+  const engine = createEngine({
+    cupCount: 4,
+    difficulty: { swapCount: 7, ballFollowChance: 0.3, moveWeights: {} },
+    planRound: (...args) => {
+      calls.push(args);
+      return Promise.resolve(PLAN);
+    }
+  });
+
+  await engine.startRound();
+  assert.deepEqual(calls, [[4, 7, { ballFollowChance: 0.3, moveWeights: {} }]]);
+});
+
+test("a failing planner leaves the engine ready to start", async () => {
+  const engine = createEngine({
+    planRound: () => Promise.reject(new Error("no crypto"))
+  });
+
+  await assert.rejects(engine.startRound(), /no crypto/);
+  assert.equal(engine.phase, PHASES.IDLE);
+  assert.ok(engine.canStart);
+});
+
+test("simulateRound plays the default random plan to the end", async () => {
+  const engine = new GameEngine({ cupCount: 5, swapCount: 30 });
+
+  for (let i = 0; i < 20; i++) {
+    const result = await simulateRound(engine, () => 0);
+    assert.equal(engine.phase, PHASES.RESOLVED);
+    assert.equal(engine.plan.moves.length, 30);
+    assert.ok(result.ballPosition >= 0 && result.ballPosition < 5);
+    assert.equal(result.won, result.ballPosition === 0);
+  }
+  assert.equal(engine.gamesPlayed, 20);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { I18n, resolveLanguage } from "../src/i18n/i18n.js";
+import { messages as en } from "../src/i18n/en.js";
+import { messages as de } from "../src/i18n/de.js";
+import { messages as es } from "../src/i18n/es.js";
+import { REASONS } from "../src/net/protocol.js";
+
+const catalogues = {
+  en: {
+    greeting: "Hello {name}",
+    apples: { one: "{count} apple", other: "{count} apples" },
+    onlyEnglish: "English"
+  },
+  de: {
+    greeting: "Hallo {name}",
+    apples: { one: "{count} Apfel", other: "{count} Äpfel" }
+  }
+};
+
+test("language tags resolve to a supported language", () => {
+  const available = ["en", "de"];
+  assert.equal(resolveLanguage(["de-AT"], available), "de");
+  assert.equal(resolveLanguage([null, " DE "], available), "de");
+  assert.equal(resolveLanguage(["fr", "en-GB"], available), "en");
+  assert.equal(resolveLanguage(["fr"], available), "en");
+});
+
+test("messages interpolate and pick plural forms", () => {
+  const i18n = new I18n({ catalogues, language: "de" });
+  assert.equal(i18n.t("greeting", { name: "Ana" }), "Hallo Ana");
+  assert.equal(i18n.t("apples", { count: 1 }), "1 Apfel");
+  assert.equal(i18n.t("apples", { count: 1200 }), "1.200 Äpfel");
+  assert.equal(i18n.t("greeting"), "Hallo {name}");
+});
+
+test("missing messages fall back to the fallback language, then the key", () => {
+  const i18n = new I18n({ catalogues, language: "de" });
+  assert.equal(i18n.t("onlyEnglish"), "English");
+  assert.equal(i18n.t("nowhere"), "nowhere");
+});
+
+test("switching the language notifies subscribers", () => {
+  const i18n = new I18n({ catalogues });
+  const seen = [];
+  const unsubscribe = i18n.subscribe(() => seen.push(i18n.language));
+
+  assert.ok(i18n.setLanguage("de"));
+  assert.equal(i18n.setLanguage("fr"), false);
+  unsubscribe();
+  i18n.setLanguage("en");
+
+  assert.deepEqual(seen, ["de"]);
+});
+
+test("every catalogue defines the same messages as English", () => {
+  const keys = Object.keys(en).sort();
+  for (const [language, messages] of Object.entries({ de, es })) {
+    assert.deepEqual(Object.keys(messages).sort(), keys, language);
+  }
+});
+
+test("every reason code has a message", () => {
+  for (const code of Object.values(REASONS)) {
+    assert.ok(`reason.${code}` in en, code);
+  }
+});
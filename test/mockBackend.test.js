@@ -0,0 +1,163 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMockBackend } from "../src/net/mockBackend.js";
+import { MESSAGE_TYPES, REASONS, encodeMessage } from "../src/net/protocol.js";
+import {
+  DIFFICULTIES,
+  getDifficultyMultiplier
+} from "../src/config/difficulty.js";
+import { verifyRound } from "../src/provablyFair.js";
+import { traceBall } from "../src/shuffleMoves.js";
+import { toMinorUnits, multiplyMinor } from "../src/utils/money.js";
+
+// Connect to a backend and send messages that resolve with the next reply
+function connect(backend) {
+  const replies = [];
+  let waiting = null;
+  const connection = backend.connect(data => {
+    replies.push(JSON.parse(data));
+    if (waiting) waiting();
+  });
+
+  return async (type, payload) => {
+    connection.receive(encodeMessage(type, payload));
+    while (replies.length === 0) {
+      await new Promise(resolve => {
+        waiting = resolve;
+      });
+    }
+    return replies.shift();
+  };
+}
+
+async function openSession(options = {}) {
+  const backend = createMockBackend({ balance: 100, latency: 0, ...options });
+  const request = connect(backend);
+  const auth = await request(MESSAGE_TYPES.AUTH, { token: "launch" });
+  return { backend, request, auth };
+}
+
+const BET = {
+  requestId: "bet-1",
+  bet: 10,
+  currency: "USD",
+  cupCount: 3,
+  difficulty: "normal"
+};
+
+test("the server sets the multiplier and plans the round", async () => {
+  const { request, auth } = await openSession();
+  assert.ok(auth.fairness.serverSeedHash);
+
+  const confirmed = await request(MESSAGE_TYPES.PLACE_BET, {
+    ...BET,
+    multiplier: 1000
+  });
+  assert.equal(confirmed.type, MESSAGE_TYPES.BET_CONFIRMED);
+  assert.equal(
+    confirmed.multiplier,
+    getDifficultyMultiplier(3, DIFFICULTIES.normal)
+  );
+  assert.equal(confirmed.plan.moves.length, DIFFICULTIES.normal.swapCount);
+  assert.equal(confirmed.balance, 90);
+});
+
+test("the outcome comes from the server's plan, not the client", async () => {
+  const { request } = await openSession();
+  const { roundId, plan, multiplier } = await request(
+    MESSAGE_TYPES.PLACE_BET,
+    BET
+  );
+  const ballPosition = traceBall(plan.ballPosition, plan.moves);
+  const wrongCup = (ballPosition + 1) % 3;
+
+  const lost = await request(MESSAGE_TYPES.ROUND_RESULT, {
+    roundId,
+    pick: wrongCup,
+    ballPosition: wrongCup,
+    won: true
+  });
+  assert.equal(lost.won, false);
+  assert.equal(lost.ballPosition, ballPosition);
+  assert.equal(lost.payout, 0);
+  assert.equal(lost.balance, 90);
+
+  const next = await request(MESSAGE_TYPES.PLACE_BET, BET);
+  const nextBall = traceBall(next.plan.ballPosition, next.plan.moves);
+  const won = await request(MESSAGE_TYPES.ROUND_RESULT, {
+    roundId: next.roundId,
+    pick: nextBall
+  });
+  assert.equal(won.won, true);
+  const payoutMinor = multiplyMinor(1000, multiplier);
+  assert.equal(toMinorUnits(won.payout, "USD"), payoutMinor);
+  assert.equal(toMinorUnits(won.balance, "USD"), 8000 + payoutMinor);
+});
+
+test("the settled round's seeds are revealed and verify", async () => {
+  const { request, auth } = await openSession();
+  const { roundId, plan } = await request(MESSAGE_TYPES.PLACE_BET, BET);
+  const result = await request(MESSAGE_TYPES.ROUND_RESULT, {
+    roundId,
+    pick: 0
+  });
+
+  assert.equal(result.reveal.serverSeedHash, auth.fairness.serverSeedHash);
+  const verified = await verifyRound(result.reveal);
+  assert.ok(verified.hashMatches);
+  assert.deepEqual(verified.moves, plan.moves);
+  assert.equal(result.fairness.nonce, auth.fairness.nonce + 1);
+  assert.notEqual(result.fairness.serverSeedHash, auth.fairness.serverSeedHash);
+});
+
+test("bets on unknown tables or difficulties are rejected", async () => {
+  const { request } = await openSession();
+  for (const [bet, reason] of [
+    [{ ...BET, cupCount: 9 }, REASONS.UNKNOWN_TABLE],
+    [{ ...BET, cupCount: "3" }, REASONS.UNKNOWN_TABLE],
+    [{ ...BET, difficulty: "constructor" }, REASONS.UNKNOWN_DIFFICULTY]
+  ]) {
+    const reply = await request(MESSAGE_TYPES.PLACE_BET, bet);
+    assert.equal(reply.type, MESSAGE_TYPES.BET_REJECTED);
+    assert.equal(reply.reason, reason);
+  }
+});
+
+test("only one round is open at a time and picks must be on the table", async () => {
+  const { request } = await openSession();
+  const { roundId } = await request(MESSAGE_TYPES.PLACE_BET, BET);
+
+  const second = await request(MESSAGE_TYPES.PLACE_BET, BET);
+  assert.equal(second.type, MESSAGE_TYPES.BET_REJECTED);
+  assert.equal(second.reason, REASONS.ROUND_IN_PROGRESS);
+
+  const invalid = await request(MESSAGE_TYPES.ROUND_RESULT, {
+    roundId,
+    pick: 3
+  });
+  assert.equal(invalid.type, MESSAGE_TYPES.ERROR);
+});
+
+test("a reconnecting client gets the open round back with its plan", async () => {
+  const { backend, request } = await openSession();
+  const confirmed = await request(MESSAGE_TYPES.PLACE_BET, BET);
+
+  const auth = await connect(backend)(MESSAGE_TYPES.AUTH, { token: "launch" });
+  assert.equal(auth.openRound.roundId, confirmed.roundId);
+  assert.deepEqual(auth.openRound.plan, confirmed.plan);
+  assert.equal(auth.openRound.multiplier, confirmed.multiplier);
+});
+
+test("the client seed only changes between rounds", async () => {
+  const { request } = await openSession();
+  const changed = await request(MESSAGE_TYPES.CLIENT_SEED, {
+    clientSeed: "lucky"
+  });
+  assert.equal(changed.clientSeed, "lucky");
+
+  await request(MESSAGE_TYPES.PLACE_BET, BET);
+  const locked = await request(MESSAGE_TYPES.CLIENT_SEED, {
+    clientSeed: "other"
+  });
+  assert.equal(locked.clientSeed, "lucky");
+});
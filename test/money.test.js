@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  toMinorUnits,
+  fromMinorUnits,
+  toDecimalString,
+  parseAmount,
+  roundToStep,
+  multiplyMinor
+} from "../src/utils/money.js";
+
+test("amounts convert to the currency's minor units", () => {
+  assert.equal(toMinorUnits(12.34, "USD"), 1234);
+  assert.equal(toMinorUnits(0.1 + 0.2, "USD"), 30);
+  assert.equal(toMinorUnits(500, "JPY"), 500);
+  assert.equal(toMinorUnits(0.00012, "BTC"), 12000);
+  assert.equal(toMinorUnits("abc", "USD"), 0);
+  assert.equal(fromMinorUnits(1234, "USD"), 12.34);
+});
+
+test("decimal strings are exact and padded", () => {
+  assert.equal(toDecimalString(123450, "USD"), "1234.50");
+  assert.equal(toDecimalString(5, "USD"), "0.05");
+  assert.equal(toDecimalString(-12000, "BTC"), "-0.00012000");
+  assert.equal(toDecimalString(500, "JPY"), "500");
+});
+
+test("typed amounts parse without floating point", () => {
+  assert.equal(parseAmount("12.5", "USD"), 1250);
+  assert.equal(parseAmount(" 0.0001 ", "BTC"), 10000);
+  assert.equal(parseAmount(".5", "USD"), 50);
+  assert.equal(parseAmount("7.", "USD"), 700);
+  assert.equal(parseAmount("1.999", "USD"), 199);
+  assert.equal(parseAmount("12.5", "JPY"), 12);
+});
+
+test("text that is not an amount parses to null", () => {
+  for (const text of ["", ".", "abc", "-1", "1,5", "1e3", "1.2.3"]) {
+    assert.equal(parseAmount(text, "USD"), null, text);
+  }
+});
+
+test("amounts too large to hold exactly parse to null", () => {
+  assert.equal(parseAmount("99999999999999999999", "USD"), null);
+  assert.equal(parseAmount("90071992547409.91", "USD"), 9007199254740991);
+  assert.equal(parseAmount("90071992547409.92", "USD"), null);
+});
+
+test("amounts round down to the step", () => {
+  assert.equal(roundToStep(1234, 100), 1200);
+  assert.equal(roundToStep(1234, 1), 1234);
+});
+
+test("payouts are rounded down to the smallest unit", () => {
+  assert.equal(multiplyMinor(1000, 2.91), 2910);
+  assert.equal(multiplyMinor(333, 1.5), 499);
+  assert.equal(multiplyMinor(1, 1.94), 1);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  sha256Hex,
+  generateFloats,
+  generateRoundPlan,
+  verifyRound,
+  FairnessSession
+} from "../src/provablyFair.js";
+import { traceBall } from "../src/shuffleMoves.js";
+
+const ROUND = {
+  serverSeed: "server-seed",
+  clientSeed: "client-seed",
+  nonce: 3,
+  cupCount: 4,
+  swapCount: 12,
+  ballFollowChance: 0.5,
+  moveWeights: { swap: 2, rotate: 1, doubleSwap: 1 }
+};
+
+test("sha256Hex matches a known digest", async () => {
+  assert.equal(
+    await sha256Hex("abc"),
+    "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+  );
+});
+
+test("floats are deterministic and in [0, 1)", async () => {
+  const floats = await generateFloats("key", "seed", 0, 20);
+  assert.equal(floats.length, 20);
+  assert.ok(floats.every(value => value >= 0 && value < 1));
+  assert.deepEqual(await generateFloats("key", "seed", 0, 20), floats);
+  assert.notDeepEqual(await generateFloats("key", "seed", 1, 20), floats);
+});
+
+test("the round plan is reproducible from the seeds", async () => {
+  const plan = await generateRoundPlan(ROUND);
+  assert.equal(plan.moves.length, ROUND.swapCount);
+  assert.equal(
+    plan.finalBallPosition,
+    traceBall(plan.ballPosition, plan.moves)
+  );
+  assert.deepEqual(await generateRoundPlan(ROUND), plan);
+});
+
+test("verifyRound checks the server seed against its hash", async () => {
+  const serverSeedHash = await sha256Hex(ROUND.serverSeed);
+  const plan = await generateRoundPlan(ROUND);
+
+  const verified = await verifyRound({ ...ROUND, serverSeedHash });
+  assert.ok(verified.hashMatches);
+  assert.equal(verified.finalBallPosition, plan.finalBallPosition);
+
+  const tampered = await verifyRound({ ...ROUND, serverSeedHash: "0" });
+  assert.equal(tampered.hashMatches, false);
+});
+
+test("a session commits, plans and reveals rounds that verify", async () => {
+  const session = new FairnessSession();
+  const hash = await session.commit();
+  assert.equal(hash, await sha256Hex(session.serverSeed));
+
+  const plan = await session.createRoundPlan(3, 8);
+  assert.equal(session.setClientSeed("other"), false);
+
+  const reveal = session.reveal();
+  assert.equal(reveal.serverSeedHash, hash);
+  assert.equal(reveal.nonce, 0);
+  assert.equal(session.nonce, 1);
+
+  const verified = await verifyRound(reveal);
+  assert.ok(verified.hashMatches);
+  assert.deepEqual(verified.moves, plan.moves);
+  assert.equal(session.reveal(), null);
+});
+
+test("concurrent commits share one server seed", async () => {
+  const session = new FairnessSession();
+  const [first, second] = await Promise.all([
+    session.commit(),
+    session.commit()
+  ]);
+  assert.equal(first, second);
+});
+
+test("the client seed only changes between rounds and must not be blank", () => {
+  const session = new FairnessSession();
+  assert.equal(session.setClientSeed("   "), false);
+  assert.ok(session.setClientSeed("  lucky  "));
+  assert.equal(session.clientSeed, "lucky");
+});
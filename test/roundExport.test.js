@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  EXPORT_FIELDS,
+  EXPORT_SCHEMA,
+  EXPORT_VERSION,
+  toExportRecord,
+  exportRoundsJson,
+  exportRoundsCsv
+} from "../src/roundExport.js";
+
+const ROUND = {
+  roundId: "r-1",
+  timestamp: Date.UTC(2024, 0, 2, 3, 4, 5),
+  currency: "USD",
+  stakeMinor: 1000,
+  payoutMinor: 2910,
+  won: true,
+  pick: 1,
+  initialBallPosition: 0,
+  ballPosition: 1,
+  moves: [
+    { type: "swap", cups: [0, 1] },
+    { type: "rotate", cups: [0, 1, 2] }
+  ],
+  balanceBeforeMinor: 10000,
+  balanceAfterBetMinor: 9000,
+  balanceAfterMinor: 11910,
+  difficulty: "normal",
+  fairness: {
+    serverSeed: "s",
+    serverSeedHash: "h",
+    clientSeed: "=cmd",
+    nonce: 4
+  },
+  cupCount: 3,
+  swapDuration: 400,
+  timeScale: 1
+};
+
+test("records have exactly the export fields with exact amounts", () => {
+  const record = toExportRecord(ROUND);
+  assert.deepEqual(Object.keys(record), EXPORT_FIELDS);
+  assert.equal(record.timestamp, "2024-01-02T03:04:05.000Z");
+  assert.equal(record.stake, "10.00");
+  assert.equal(record.payout, "29.10");
+  assert.equal(record.balanceAfter, "119.10");
+  assert.equal(record.nonce, 4);
+});
+
+test("fields missing from older records export as null", () => {
+  const record = toExportRecord({
+    timestamp: 0,
+    currency: "USD",
+    won: false,
+    pick: 0,
+    ballPosition: 2
+  });
+  assert.equal(record.roundId, null);
+  assert.equal(record.stake, null);
+  assert.equal(record.moves, null);
+  assert.equal(record.serverSeed, null);
+  assert.equal(record.cupCount, null);
+});
+
+test("the JSON export carries the schema and version", () => {
+  const document = JSON.parse(exportRoundsJson([ROUND]));
+  assert.equal(document.schema, EXPORT_SCHEMA);
+  assert.equal(document.version, EXPORT_VERSION);
+  assert.deepEqual(document.rounds, [toExportRecord(ROUND)]);
+});
+
+test("the CSV export quotes cells and defuses formulas", () => {
+  const [header, row, end] = exportRoundsCsv([ROUND]).split("\r\n");
+  assert.equal(header, EXPORT_FIELDS.join(","));
+  assert.equal(end, "");
+
+  const cells = row.split(",");
+  assert.equal(cells[EXPORT_FIELDS.indexOf("moves")], "swap:0-1 rotate:0-1-2");
+  assert.equal(cells[EXPORT_FIELDS.indexOf("clientSeed")], "'=cmd");
+  assert.equal(cells[EXPORT_FIELDS.indexOf("roundId")], "r-1");
+});
+
+test("cells with commas or quotes are quoted", () => {
+  const csv = exportRoundsCsv([{ ...ROUND, roundId: 'a,"b"' }]);
+  assert.ok(csv.includes('"a,""b"""'));
+});
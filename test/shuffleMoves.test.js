@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MOVE_TYPES,
+  MOVES,
+  applyMove,
+  traceBall,
+  createShufflePlan
+} from "../src/shuffleMoves.js";
+
+// Deterministic random source (small LCG)
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+test("every move maps its cups onto the same cups", () => {
+  for (const type of Object.values(MOVE_TYPES)) {
+    const cups = [0, 1, 2, 3].slice(0, MOVES[type].cupsNeeded);
+    const ends = cups.map(cup => applyMove(cup, { type, cups }));
+    assert.deepEqual([...ends].sort(), cups, type);
+  }
+});
+
+test("applyMove follows the ball through each move type", () => {
+  assert.equal(applyMove(0, { type: MOVE_TYPES.SWAP, cups: [0, 2] }), 2);
+  assert.equal(applyMove(0, { type: MOVE_TYPES.FEINT, cups: [0, 2] }), 0);
+  assert.equal(applyMove(2, { type: MOVE_TYPES.ROTATE, cups: [0, 1, 2] }), 0);
+  assert.equal(
+    applyMove(3, { type: MOVE_TYPES.DOUBLE_SWAP, cups: [0, 1, 2, 3] }),
+    2
+  );
+  assert.equal(applyMove(4, { type: MOVE_TYPES.SLIDE, cups: [0, 2] }), 4);
+});
+
+test("traceBall applies the moves in order", () => {
+  const moves = [
+    { type: MOVE_TYPES.SWAP, cups: [0, 1] },
+    { type: MOVE_TYPES.ROTATE, cups: [1, 2, 0] }
+  ];
+  assert.equal(traceBall(0, moves), 2);
+  assert.equal(traceBall(2, []), 2);
+});
+
+test("plans only use moves that fit the table", () => {
+  const moveWeights = {
+    [MOVE_TYPES.SWAP]: 1,
+    [MOVE_TYPES.ROTATE]: 1,
+    [MOVE_TYPES.DOUBLE_SWAP]: 1,
+    [MOVE_TYPES.SLIDE]: 1,
+    [MOVE_TYPES.FEINT]: 1
+  };
+
+  for (const cupCount of [2, 3, 4, 6]) {
+    const plan = createShufflePlan(cupCount, 200, seededRandom(cupCount), {
+      moveWeights
+    });
+    assert.equal(plan.moves.length, 200);
+    for (const { type, cups } of plan.moves) {
+      assert.ok(MOVES[type].minCups <= cupCount, `${type} on ${cupCount}`);
+      assert.equal(cups.length, MOVES[type].cupsNeeded);
+      assert.equal(new Set(cups).size, cups.length);
+      assert.ok(cups.every(cup => cup >= 0 && cup < cupCount));
+      if (type === MOVE_TYPES.SLIDE) {
+        assert.ok(Math.abs(cups[0] - cups[1]) >= 2);
+      }
+    }
+  }
+});
+
+test("plans are reproducible from the random source", () => {
+  const options = { moveWeights: { swap: 2, rotate: 1 } };
+  assert.deepEqual(
+    createShufflePlan(5, 20, seededRandom(7), options),
+    createShufflePlan(5, 20, seededRandom(7), options)
+  );
+});
+
+test("a ball follow chance of 1 keeps moving the ball once it moved", () => {
+  const plan = createShufflePlan(5, 50, seededRandom(3), {
+    ballFollowChance: 1
+  });
+
+  let position = plan.ballPosition;
+  let moved = false;
+  for (const move of plan.moves) {
+    const next = applyMove(position, move);
+    if (moved) assert.notEqual(next, position);
+    moved = next !== position;
+    position = next;
+  }
+});